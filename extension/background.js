@@ -1,41 +1,77 @@
 /**
  * Background Service Worker
- * Handles image + PDF downloads and AI renaming
+ * Handles image, PDF + document downloads and AI renaming
  */
 
 import { CONFIG } from './config.js';
 import {
   captionImage,
-  captionToFilename,
+  captionImageSet,
   prepareImageForAPI,
-  nameFromText
+  nameFromText,
+  nameFromDocumentImage,
+  entitiesFromText,
+  nameWithProfile,
+  languageInstruction
 } from './hf-api.js';
-import { extractPdfPreviewText } from './pdf-extract.js';
-
-// Rate limiting
-let requestCount = 0;
-let requestTimestamp = Date.now();
+import { providerReady, resolveProvider, strongerModel } from './providers.js';
+import { addEntry, getEntry, updateEntry, updateByDownloadId, recentEntries } from './history-store.js';
+import {
+  joinBatch,
+  publishPrefix,
+  failPrefix,
+  markDone,
+  sequenceSuffix,
+  sampleEvenly
+} from './batch.js';
+import { extractPdfPreviewText, extractPdfPageImages } from './pdf-extract.js';
+import { extractDocumentText, DOCUMENT_KINDS } from './doc-extract.js';
+import { readExif } from './exif.js';
+import { pdfNameFromSignals, imageNameFromSignals } from './heuristics.js';
+import { localEntities, mergeEntities, entityContext, hasEnoughEntities } from './entities.js';
+import { renderTemplate, templateUsesCounter, sanitizeBasename } from './template.js';
+import { matchRule, applyRule, downloadFacts } from './rules.js';
+import { pickProfile, usesVariable } from './prompts.js';
+import { readPageContext, contextHints, sourceTab } from './page-context.js';
+import { MENU_ACTIONS, buildContextMenus, parseMenuItem } from './context-menus.js';
+import { pauseState, resumeRenaming, blockedReason, siteAllowed, stateBadge } from './renaming-state.js';
+import {
+  buildFolderPath,
+  joinPath,
+  categoryInstruction,
+  parseCategorizedReply
+} from './routing.js';
+import { fitFilename } from './filename.js';
+import {
+  sniffImageType,
+  sameImageType,
+  looksLikeHtml,
+  extensionForMime,
+  dataUrlMime,
+  extractSvgText,
+  UNDECODABLE_TYPES
+} from './image-formats.js';
+import { fingerprint, findDuplicate, rememberFile } from './duplicates.js';
+import { readSettings, patchSettings, migrateSettings } from './settings-store.js';
+
+// Download id -> AbortController for renames in progress (cancelled with the download)
+const activeRenames = new Map();
 
 // Helper: Get settings
 async function getSettings() {
-  const data = await chrome.storage.sync.get(CONFIG.STORAGE.SETTINGS);
-  return { ...CONFIG.DEFAULTS, ...(data[CONFIG.STORAGE.SETTINGS] || {}) };
+  return readSettings();
 }
 
-// Helper: Save to history
-async function addToHistory(entry) {
-  const data = await chrome.storage.local.get(CONFIG.STORAGE.HISTORY);
-  const history = data[CONFIG.STORAGE.HISTORY] || [];
+// Helper: Save to history (download id + URL let the user undo / rename again later); returns the entry id
+async function addToHistory(entry, downloadItem) {
+  const settings = await getSettings();
 
-  history.unshift({
+  return addEntry({
     ...entry,
-    id: Date.now(),
+    downloadId: downloadItem.id,
+    url: downloadItem.finalUrl || downloadItem.url,
     timestamp: Date.now()
-  });
-
-  // Keep last 100
-  const trimmed = history.slice(0, 100);
-  await chrome.storage.local.set({ [CONFIG.STORAGE.HISTORY]: trimmed });
+  }, settings.historyRetention);
 }
 
 // Helper: Update stats
@@ -57,6 +93,45 @@ async function updateStats(success, method) {
   await chrome.storage.local.set({ [CONFIG.STORAGE.STATS]: stats });
 }
 
+// Serializes counter increments (renames run in parallel and would read the same value)
+let counting = Promise.resolve();
+
+// Helper: Next value for the {seq} template token
+function nextSequence() {
+  const next = counting.then(async () => {
+    const data = await chrome.storage.local.get(CONFIG.STORAGE.COUNTER);
+    const value = (data[CONFIG.STORAGE.COUNTER] || 0) + 1;
+    await chrome.storage.local.set({ [CONFIG.STORAGE.COUNTER]: value });
+    return value;
+  });
+  counting = next.catch(() => {}); // A failed write doesn't block later increments
+  return next;
+}
+
+// Helper: Render the user's filename template (counter only advances when used).
+// The counter value is stored on ctx so re-renders (e.g. regenerate) keep the same number.
+async function buildBasename(settings, ctx) {
+  const template = settings.filenameTemplate;
+  if (ctx.seq == null && templateUsesCounter(template)) {
+    ctx.seq = await nextSequence();
+  }
+  return renderTemplate(template, ctx, settings);
+}
+
+// Helper: Name files without AI? (chosen mode, or no provider set up and fallback allowed)
+function useOfflineMode(settings) {
+  if (settings.renameMode === 'offline') return true;
+  return !providerReady(settings) && settings.offlineFallback;
+}
+
+// Helper: Split "<category> | <words>" replies when categories are enabled
+function splitCategory(reply, settings) {
+  if (!settings.enableCategories || !settings.categories?.length) {
+    return { category: '', text: reply };
+  }
+  return parseCategorizedReply(reply, settings.categories);
+}
+
 // Helper: Check if image type
 function isImage(downloadItem) {
   const filename = (downloadItem.filename || '').toLowerCase();
@@ -73,7 +148,10 @@ function isImage(downloadItem) {
     }
   })();
 
-  return !!(CONFIG.IMAGE_TYPES[extFromName] || CONFIG.IMAGE_TYPES[extFromUrl]);
+  if (CONFIG.IMAGE_TYPES[extFromName] || CONFIG.IMAGE_TYPES[extFromUrl]) return true;
+
+  // No image extension (data: URLs, "/image?id=…" endpoints): go by MIME
+  return !!extensionForMime(downloadItem.mime || dataUrlMime(url));
 }
 
 // Helper: Check if PDF
@@ -98,7 +176,43 @@ function isPdf(downloadItem) {
   return mime === 'application/pdf';
 }
 
-// Helper: Get extension (images)
+// Helper: Screenshot by its name ("Screenshot 2024-…", "Screen Shot …", "Bildschirmfoto …", ...)
+function isScreenshot(downloadItem) {
+  const url = downloadItem.finalUrl || downloadItem.url || '';
+  const name = `${downloadItem.filename || ''} ${url.split(/[?#]/)[0].split('/').pop()}`;
+  return /screen[\s_-]?shot|screen[\s_-]?capture|bildschirmfoto|capture d.[ée]cran|captura de pantalla|schermata/i.test(name);
+}
+
+// Helper: Office / OpenDocument / EPUB / text extension ('' if not a supported document)
+function getDocumentExtension(downloadItem) {
+  const name = (downloadItem.filename || '').split(/[\\/]/).pop().toLowerCase();
+  const ext = name.includes('.') ? name.split('.').pop() : '';
+
+  if (ext && ext !== 'pdf' && CONFIG.DOC_TYPES[ext]) return ext;
+  if (ext) return ''; // Other extensions are left alone (.log stays .log even as text/plain)
+
+  // No extension: go by MIME
+  const mime = (downloadItem.mime || '').toLowerCase();
+  const match = Object.entries(CONFIG.DOC_TYPES).find(([key, type]) => key !== 'pdf' && type === mime);
+  return match ? match[0] : '';
+}
+
+// Helper: Which flow names a download: 'image', 'pdf', 'document' or 'other' (left alone)
+function downloadHandle(downloadItem) {
+  return isImage(downloadItem) ? 'image'
+    : isPdf(downloadItem) ? 'pdf'
+      : getDocumentExtension(downloadItem) ? 'document'
+        : 'other';
+}
+
+// Helper: Started by this extension (chrome.downloads API or a blob: link on one of our pages)
+function isOwnDownload(downloadItem) {
+  const origin = chrome.runtime.getURL('').replace(/\/$/, '');
+  const url = downloadItem.finalUrl || downloadItem.url || '';
+  return downloadItem.byExtensionId === chrome.runtime.id || url.startsWith(origin) || url.startsWith(`blob:${origin}`);
+}
+
+// Helper: Get extension (images) before the content is known: name, then MIME, then URL
 function getImageExtension(downloadItem) {
   const filename = (downloadItem.filename || '').toLowerCase();
   const ext = filename.split('.').pop();
@@ -106,57 +220,147 @@ function getImageExtension(downloadItem) {
   if (CONFIG.IMAGE_TYPES[ext]) return ext;
 
   // Fallback to MIME
-  const mime = (downloadItem.mime || '').toLowerCase();
-  if (mime === 'image/jpeg') return 'jpg';
-  if (mime === 'image/png') return 'png';
-  if (mime === 'image/webp') return 'webp';
-  if (mime === 'image/gif') return 'gif';
+  const url = downloadItem.finalUrl || downloadItem.url || '';
+  const fromMime = extensionForMime(downloadItem.mime || dataUrlMime(url));
+  if (fromMime) return fromMime;
+
+  const fromUrl = url.split(/[?#]/)[0].split('/').pop().split('.').pop().toLowerCase();
+  return CONFIG.IMAGE_TYPES[fromUrl] ? fromUrl : '';
+}
 
-  return 'jpg'; // Default
+// Helper: Extension of the name Chrome picked ('' if none), kept when the type is unknown
+function originalExtension(downloadItem) {
+  const name = (downloadItem.filename || '').split(/[\\/]/).pop();
+  return name.includes('.') ? name.split('.').pop() : '';
 }
 
-// Helper: Rate limit check
-function checkRateLimit() {
-  const now = Date.now();
-  const elapsed = now - requestTimestamp;
+// PDFs over the pdfMaxBytes limit: this much of the end is read as well (xref, trailer, Info)
+const PDF_TAIL_BYTES = 256 * 1024;
 
-  // Reset counter every minute
-  if (elapsed > 60000) {
-    requestCount = 0;
-    requestTimestamp = now;
-  }
+// Helper: Fetch file as ArrayBuffer. Reading stops as soon as the file is over maxSize;
+// that error has tooLarge set, and callers name the file from its URL instead.
+async function fetchFile(url, maxSize, signal) {
+  try {
+    const response = await requestFile(url, signal);
 
-  // Check limit
-  if (requestCount >= CONFIG.RATE_LIMIT.maxPerMinute) {
-    const waitTime = 60000 - elapsed;
-    throw new Error(`Rate limit reached. Please wait ${Math.ceil(waitTime / 1000)} seconds.`);
-  }
+    const declared = Number(response.headers.get('Content-Length')) || 0;
+    if (declared > maxSize) throw tooLargeError(declared, maxSize);
 
-  requestCount++;
+    const { bytes, complete } = await readBody(response, maxSize);
+    if (!complete) throw tooLargeError(0, maxSize);
+
+    return bytes.buffer;
+  } catch (error) {
+    console.error('File fetch error:', error);
+    throw error;
+  }
 }
 
-// Helper: Fetch file as ArrayBuffer
-async function fetchFile(url, maxSize) {
+// Helper: First maxBytes of a PDF and, when the server supports Range requests, its last
+// PDF_TAIL_BYTES (see extractPdfPreviewText). Servers without ranges get their response cut off.
+async function fetchPdfParts(url, maxBytes, signal) {
   try {
-    const response = await fetch(url, { credentials: 'include' });
+    const response = await requestFile(url, signal, `bytes=0-${maxBytes - 1}`);
+    const { bytes, complete } = await readBody(response, maxBytes);
+    const totalSize = Number((response.headers.get('Content-Range') || '').split('/')[1]) || 0;
 
-    if (!response.ok) {
-      throw new Error(`Failed to fetch: ${response.status}`);
+    if (response.status !== 206 || totalSize <= bytes.length) {
+      if (!complete) console.log(`[Smart Rename] Reading the first ${toMB(maxBytes)}MB of the PDF`);
+      return { buffer: bytes.buffer, tail: null, totalSize: 0 };
     }
 
-    const buffer = await response.arrayBuffer();
-
-    if (buffer.byteLength > maxSize) {
-      throw new Error(`File too large: ${(buffer.byteLength / 1024 / 1024).toFixed(1)}MB (limit ${(maxSize / 1024 / 1024).toFixed(0)}MB)`);
-    }
+    console.log(`[Smart Rename] Reading the first ${toMB(maxBytes)}MB and the end of a ${toMB(totalSize)}MB PDF`);
+    const tailResponse = await requestFile(url, signal, `bytes=-${PDF_TAIL_BYTES}`).catch((error) => {
+      if (isAbort(error)) throw error;
+      return null;
+    });
+    const tail = tailResponse?.status === 206 ? (await readBody(tailResponse, PDF_TAIL_BYTES)).bytes.buffer : null;
 
-    return buffer;
+    return { buffer: bytes.buffer, tail, totalSize: tail ? totalSize : 0 };
   } catch (error) {
     console.error('File fetch error:', error);
     throw error;
   }
 }
 
+async function requestFile(url, signal, range = '') {
+  const response = await fetch(url, {
+    credentials: 'include',
+    signal,
+    ...(range ? { headers: { Range: range } } : {})
+  }).catch((error) => {
+    // blob: URLs only live inside the page that created them
+    if (url.startsWith('blob:') && !isAbort(error)) {
+      throw new Error('The page created this file in memory (blob: URL) and it can\'t be read again');
+    }
+    throw error;
+  });
+
+  if (!response.ok) {
+    throw new Error(`Failed to fetch: ${response.status}`);
+  }
+
+  return response;
+}
+
+// Helper: Read a response body from its stream, up to limit bytes (complete: false when cut off)
+async function readBody(response, limit) {
+  if (!response.body) return { bytes: new Uint8Array(0), complete: true };
+
+  const reader = response.body.getReader();
+  const chunks = [];
+  let length = 0;
+
+  while (length <= limit) {
+    const { done, value } = await reader.read();
+    if (done) return { bytes: joinChunks(chunks, length), complete: true };
+    chunks.push(value);
+    length += value.length;
+  }
+
+  reader.cancel().catch(() => {});
+  return { bytes: joinChunks(chunks, limit), complete: false };
+}
+
+function joinChunks(chunks, length) {
+  const out = new Uint8Array(length);
+  let offset = 0;
+  for (const chunk of chunks) {
+    if (offset >= length) break;
+    out.set(chunk.subarray(0, length - offset), offset);
+    offset += chunk.length;
+  }
+  return out;
+}
+
+function tooLargeError(size, maxSize) {
+  const error = new Error(`File too large: ${size ? `${toMB(size)}MB` : `over ${toMB(maxSize)}MB`} (limit ${toMB(maxSize)}MB)`);
+  error.tooLarge = true;
+  return error;
+}
+
+function toMB(bytes) {
+  return (bytes / 1024 / 1024).toFixed(bytes < 10 * 1024 * 1024 ? 1 : 0);
+}
+
+// Helper: The file's bytes: the saved file when we waited for the download, else fetched again
+async function readDownload(downloadItem, maxSize, signal) {
+  const saved = savedFiles.get(downloadItem.id);
+  if (saved?.error) throw saved.error;
+  if (saved) return saved.buffer;
+  return fetchFile(downloadItem.finalUrl || downloadItem.url, maxSize, signal);
+}
+
+// Helper: Head (+ tail) of a PDF, from the saved file or the URL
+async function readPdfParts(downloadItem, maxBytes, signal) {
+  return savedFiles.get(downloadItem.id) || fetchPdfParts(downloadItem.finalUrl || downloadItem.url, maxBytes, signal);
+}
+
+// Helper: Was the download cancelled while we worked on it?
+function isAbort(error) {
+  return error?.name === 'AbortError';
+}
+
 // Helper: Show notification
 async function notify(title, message, success = true) {
   const settings = await getSettings();
@@ -179,179 +383,920 @@ async function updateBadge(text, color) {
   }
 
   if (text) {
-    setTimeout(() => chrome.action.setBadgeText({ text: '' }), 3000);
+    setTimeout(() => showStateBadge().catch(() => {}), 3000);
   }
 }
 
 /* ------------------------------ IMAGE FLOW ------------------------------ */
 
-async function renameImage(downloadItem) {
-  const settings = await getSettings();
+// batch: set for the first image of a possible burst (batch.js), whose name the rest reuse
+async function renameImage(downloadItem, settings, signal, batch = null) {
   const url = downloadItem.finalUrl || downloadItem.url;
-  const ext = getImageExtension(downloadItem);
+  const guessedExt = getImageExtension(downloadItem);
+  const offline = useOfflineMode(settings);
 
   console.log('[Smart Rename] Processing image:', downloadItem.filename);
 
   try {
-    if (!settings.hfToken) {
-      throw new Error('API token not configured. Click extension icon to set up.');
+    if (!offline && !providerReady(settings)) {
+      throw new Error('AI provider not configured. Click extension icon to set up.');
     }
 
-    checkRateLimit();
     await updateBadge('...', '#0066CC');
 
-    // Fetch image
+    // Fetch image (offline naming can still work from the URL if this fails; so can
+    // the fallback for blob: URLs, which are often gone by the time we fetch them)
     console.log('[Smart Rename] Fetching image...');
-    const imageBuffer = await fetchFile(url, settings.maxImageSize);
+    // Files over the size limit are named from their URL and name
+    const nameWithoutFile = offline || (url.startsWith('blob:') && settings.offlineFallback);
+    let tooLarge = false;
+    const imageBuffer = await readDownload(downloadItem, settings.maxImageSize, signal).catch((error) => {
+      if (isAbort(error) || !(nameWithoutFile || error.tooLarge)) throw error;
+      tooLarge = !!error.tooLarge;
+      return null;
+    });
 
     // Check minimum size
-    if (settings.skipSmallImages && imageBuffer.byteLength < settings.minImageSize) {
+    if (imageBuffer && settings.skipSmallImages && imageBuffer.byteLength < settings.minImageSize) {
       console.log('[Smart Rename] Image too small, skipping');
       return null;
     }
 
-    // Prepare for API (resize, optimize)
-    console.log('[Smart Rename] Preparing image...');
-    const imageBase64 = await prepareImageForAPI(imageBuffer);
+    // The content decides the extension: a ".jpg" URL may serve WebP, data: URLs have no name
+    const type = imageBuffer ? sniffImageType(imageBuffer) : '';
+    if (imageBuffer && !type && looksLikeHtml(imageBuffer)) {
+      throw new Error('The server sent a web page instead of an image (login or error page?)');
+    }
+    const ext = type && !sameImageType(type, guessedExt) ? type : guessedExt || type || originalExtension(downloadItem);
+    if (type && ext !== guessedExt) console.log(`[Smart Rename] Content is ${type.toUpperCase()}, not "${guessedExt}"`);
 
-    // Call AI
-    console.log('[Smart Rename] Calling AI (image)...');
-    const caption = await captionImage(imageBase64, settings);
-    console.log('[Smart Rename] Caption:', caption);
+    // Seen this picture before? (batches are named as a whole)
+    const { print, duplicate, similar } = imageBuffer && !batch ? await lookUpDuplicate(imageBuffer, 'image', settings) : {};
+    if (duplicate && settings.duplicateAction === 'cancel') {
+      await cancelDuplicate(downloadItem, 'image', duplicate);
+      return null;
+    }
 
-    // Convert to filename
-    const basename = captionToFilename(caption, settings);
-    const finalName = `${basename}.${ext}`;
+    // SVG is named from its own text; HEIC (and SVG without text) can't be shown to the model
+    const svg = type === 'svg' ? extractSvgText(imageBuffer) : null;
+    const nameLocally = offline || tooLarge || (UNDECODABLE_TYPES.includes(type) && !(svg?.title || svg?.text));
 
-    // Save to history
-    await addToHistory({
-      success: true,
-      original: downloadItem.filename,
-      renamed: finalName,
-      caption,
-      fileType: 'image',
-      source: safeHostname(url)
+    // Screenshots are named after the text they show, photos after what they show
+    const screenshot = settings.readScreenshots && isScreenshot(downloadItem);
+
+    // What the page says about the image (alt text, caption, heading), when turned on
+    const context = !svg && !screenshot && !duplicate ? await readPageContext(downloadItem, settings) : null;
+    const hints = contextHints(context);
+
+    const offlineName = () => svg?.title || svg?.text.split('\n')[0] || imageNameFromSignals({
+      exif: imageBuffer ? readExif(imageBuffer) : {},
+      url,
+      originalFilename: downloadItem.filename,
+      altText: context?.alt || context?.title || ''
+    });
+    const svgPrompt = svg && buildDocumentPrompt({
+      kind: 'svg',
+      title: svg.title,
+      excerpt: svg.text,
+      originalFilename: stripExtension(downloadItem.filename || 'image'),
+      maxWords: settings.maxWords || 5,
+      language: languageInstruction(settings),
+      extraPrompt: settings.extraPrompt,
+      categories: settings.enableCategories ? settings.categories : []
     });
 
-    await updateStats(true, 'hf-api-image');
+    // A prompt profile (from a rule, or the default one) replaces the built-in prompt;
+    // SVG is named from its text, so it takes a text profile
+    const profile = pickProfile(settings, svg ? 'text' : 'image');
+    const vars = profile && await promptVariables(downloadItem, settings, profile, { title: svg?.title, excerpt: svg?.text, context });
+
+    const askAI = (temperature) => profile
+      ? nameWithProfile(profile, vars, settings, { images: svg ? [] : [imageBase64], regenerate: temperature > 0.5, signal })
+      : svg
+        ? nameFromText(svgPrompt, settings, { temperature, signal })
+        : screenshot
+          ? nameFromDocumentImage(imageBase64, settings, { variant: 'screenshot', temperature, signal })
+          : captionImage(imageBase64, settings, { temperature, hints, signal });
+
+    let reply;
+    let method = 'ai';
+    let imageBase64 = null;
+
+    if (duplicate) {
+      console.log('[Smart Rename] Same image as', duplicate.renamed);
+      reply = duplicate.caption;
+      method = 'duplicate';
+    } else if (nameLocally) {
+      const why = offline ? 'image' : tooLarge ? 'over the size limit' : `${type.toUpperCase()} can't be captioned`;
+      console.log(`[Smart Rename] Naming offline (${why})...`);
+      reply = offlineName();
+      method = 'offline';
+    } else {
+      try {
+        // Prepare for API (resize, optimize; SVG goes in as text)
+        if (!imageBuffer) throw new Error('The image could not be read');
+        if (!svg) {
+          console.log('[Smart Rename] Preparing image...');
+          imageBase64 = await prepareImageForAPI(imageBuffer);
+        }
+
+        // Call AI
+        const what = profile ? `profile "${profile.name}"` : svg ? 'SVG text' : screenshot ? 'screenshot' : 'image';
+        console.log(`[Smart Rename] Calling AI (${what})...`);
+        reply = await askAI(0.2);
+      } catch (error) {
+        if (!settings.offlineFallback || isAbort(error)) throw error;
+        console.warn('[Smart Rename] AI failed, using offline name:', error.message);
+        reply = offlineName();
+        method = 'offline-fallback';
+      }
+    }
 
-    await updateBadge('✓', '#00AA00');
-    await notify('✓ Image Renamed', `${basename}\n(${caption})`);
+    const { category, text: caption } = method === 'ai'
+      ? splitCategory(reply, settings)
+      : { category: duplicate?.category || '', text: reply };
+    console.log('[Smart Rename] Caption:', caption, category ? `(${category})` : '');
 
-    return finalName;
-  } catch (error) {
-    console.error('[Smart Rename] Image error:', error);
+    // The confirm window shows a thumbnail, even for offline names
+    if (!imageBase64 && imageBuffer && settings.confirmRenames) {
+      imageBase64 = await prepareImageForAPI(imageBuffer).catch(() => null);
+    }
 
-    await addToHistory({
-      success: false,
-      error: error.message,
-      filename: downloadItem.filename,
+    return await finishRename(downloadItem, settings, {
       fileType: 'image',
-      source: safeHostname(url)
+      ext,
+      method,
+      folderTemplate: settings.imageFolderTemplate,
+      ctx: {
+        caption,
+        category,
+        host: safeHostname(url),
+        original: downloadItem.filename,
+        mime: CONFIG.IMAGE_TYPES[ext] || downloadItem.mime
+      },
+      detail: caption,
+      preview: imageBase64 ? `data:image/jpeg;base64,${imageBase64}` : null,
+      historyExtras: {
+        ...(tooLarge ? { oversize: true } : {}),
+        ...(profile && method === 'ai' ? { profile: profile.name } : {}),
+        ...(hints ? { pageContext: context } : {}),
+        ...duplicateDetails(duplicate),
+        ...similarDetails(similar)
+      },
+      fingerprint: print,
+      duplicate,
+      similar,
+      batch,
+      offlineName,
+      regenerate: method === 'ai' ? () => askAI(0.9) : null
     });
+  } catch (error) {
+    if (isAbort(error)) {
+      console.log('[Smart Rename] Download cancelled, stopped renaming');
+      return null;
+    }
 
-    await updateStats(false, 'error');
+    console.error('[Smart Rename] Image error:', error);
+
+    if (!settings.suggestOnly) {
+      await addToHistory({
+        success: false,
+        error: error.message,
+        filename: downloadItem.filename,
+        fileType: 'image',
+        source: safeHostname(url)
+      }, downloadItem);
+
+      await updateStats(false, 'error');
+    }
 
     await updateBadge('✗', '#CC0000');
-    await notify('⚠ Rename Failed', error.message, false);
+    await notify(settings.suggestOnly ? '⚠ No Name Suggested' : '⚠ Rename Failed', error.message, false);
 
     return null;
   }
 }
 
-/* ------------------------------- PDF FLOW ------------------------------ */
+/* ------------------------------ BATCH FLOW ------------------------------ */
 
-async function renamePdf(downloadItem) {
-  const settings = await getSettings();
+// Images saved in a burst from one page share a name: prefix-01, prefix-02, ... (see batch.js)
+async function renameImageInBatch(downloadItem, settings, signal) {
   const url = downloadItem.finalUrl || downloadItem.url;
+  const { batch, index } = joinBatch({
+    key: downloadItem.referrer || safeHostname(url),
+    host: safeHostname(downloadItem.referrer || url),
+    url,
+    windowMs: Math.max(1, settings.batchWindowSec || 3) * 1000,
+    mode: settings.batchMode
+  });
+
+  if (index === 1) {
+    batch.finished
+      .then(() => notifyBatchDone(batch))
+      .catch((error) => console.warn('[Smart Rename] Could not report the batch:', error));
+  }
+
+  let name = null;
+  try {
+    name = await renameBatchMember(batch, index, downloadItem, settings, signal);
+    return name;
+  } finally {
+    markDone(batch, Boolean(name));
+  }
+}
+
+// Name one image of a batch: the leader names it, the others follow (or fall back to their own name)
+async function renameBatchMember(batch, index, downloadItem, settings, signal) {
+  if (batch.mode === 'together') {
+    if (!(await batch.decided)) return await renameImage(downloadItem, settings, signal);
+    if (index === 1) nameBatchTogether(batch, downloadItem, settings, signal);
+  } else if (index === 1) {
+    const name = await renameImage(downloadItem, settings, signal, batch);
+    failPrefix(batch); // No-op once the name was shared
+    return name;
+  }
+
+  // No shared name (leader failed, skipped or was cancelled): name this one on its own
+  const leader = await batch.prefix.catch(() => null);
+  if (!leader) return await renameImage(downloadItem, settings, signal);
+
+  return await finishBatchMember(downloadItem, settings, index, leader);
+}
 
-  console.log('[Smart Rename] Processing PDF:', downloadItem.filename);
+// "together" mode: when the window closes, caption a few sample images in one call
+async function nameBatchTogether(batch, downloadItem, settings, signal) {
+  const url = downloadItem.finalUrl || downloadItem.url;
+  const ctx = {
+    caption: '',
+    category: '',
+    host: safeHostname(url),
+    original: downloadItem.filename,
+    mime: downloadItem.mime || CONFIG.IMAGE_TYPES[getImageExtension(downloadItem)]
+  };
 
   try {
-    if (!settings.enablePdfRenaming) return null;
+    await batch.closedPromise;
+
+    if (!useOfflineMode(settings)) {
+      try {
+        if (!providerReady(settings)) {
+          throw new Error('AI provider not configured. Click extension icon to set up.');
+        }
+
+        const images = [];
+        for (const sampleUrl of sampleEvenly(batch.urls, 4)) {
+          const buffer = await fetchFile(sampleUrl, settings.maxImageSize, signal).catch((error) => {
+            if (isAbort(error)) throw error;
+            return null;
+          });
+          const base64 = buffer && await prepareImageForAPI(buffer).catch(() => null);
+          if (base64) images.push(base64);
+        }
+        if (!images.length) throw new Error('Could not load any image of the batch');
+
+        console.log(`[Smart Rename] Calling AI (batch of ${batch.size}, ${images.length} samples)...`);
+        const reply = await captionImageSet(images, settings, { signal });
+        ({ category: ctx.category, text: ctx.caption } = splitCategory(reply, settings));
+      } catch (error) {
+        if (!settings.offlineFallback || isAbort(error)) throw error;
+        console.warn('[Smart Rename] AI failed, using offline name for the batch:', error.message);
+      }
+    }
 
-    if (!settings.hfToken) {
-      throw new Error('API token not configured. Click extension icon to set up.');
+    if (!ctx.caption) {
+      ctx.caption = imageNameFromSignals({ exif: {}, url, originalFilename: downloadItem.filename });
     }
 
-    checkRateLimit();
-    await updateBadge('PDF', '#6A1B9A');
+    publishPrefix(batch, {
+      basename: await buildBasename(settings, ctx),
+      folder: buildFolderPath(settings.imageFolderTemplate, ctx, settings),
+      ctx
+    });
+  } catch (error) {
+    console.warn('[Smart Rename] Batch naming failed:', error.message);
+    failPrefix(batch, error);
+  }
+}
+
+// Member of a named batch: shared prefix + sequence number, no AI call
+async function finishBatchMember(downloadItem, settings, index, leader) {
+  const url = downloadItem.finalUrl || downloadItem.url;
+  const ext = getImageExtension(downloadItem) || originalExtension(downloadItem);
+  const finalName = fitFilename(leader.basename, ext, leader.folder, sequenceSuffix(index));
+
+  await addToHistory({
+    success: true,
+    original: downloadItem.filename,
+    renamed: finalName,
+    folder: leader.folder,
+    category: leader.ctx.category,
+    caption: leader.ctx.caption,
+    method: 'batch',
+    fileType: 'image',
+    rule: settings.ruleName,
+    source: safeHostname(url)
+  }, downloadItem);
+
+  await updateStats(true, 'batch-image');
+  return joinPath(leader.folder, finalName);
+}
+
+// One notification per batch instead of one per image; counts only the renamed ones (failures
+// were notified one by one)
+async function notifyBatchDone(batch) {
+  if (batch.size < 2 || !batch.renamed) return;
+
+  const failed = batch.size - batch.renamed;
+  if (!failed) await updateBadge('✓', '#00AA00');
+  await notify(
+    `✓ ${batch.renamed} ${batch.renamed === 1 ? 'Image' : 'Images'} Renamed`,
+    [
+      batch.prefixValue
+        ? `${batch.prefixValue}${sequenceSuffix(1)} … ${batch.prefixValue}${sequenceSuffix(batch.size)}`
+        : 'Each image was named on its own',
+      failed ? `${failed} not renamed` : ''
+    ].filter(Boolean).join(' · ')
+  );
+}
+
+/* ------------------------------ FINISH ------------------------------ */
+
+// Shared last step of every flow: render the name, let the user confirm it (optional), record it.
+// proposal: { fileType, ext, method, folderTemplate, ctx, detail, preview, batch, historyExtras,
+//             fingerprint, duplicate, offlineName, regenerate }
+// Duplicates keep the earlier file's name and folder as they were.
+async function finishRename(downloadItem, settings, proposal) {
+  const { fileType, ext, method, ctx, duplicate } = proposal;
+  const url = downloadItem.finalUrl || downloadItem.url;
+
+  let basename = duplicate ? duplicate.basename : await buildBasename(settings, ctx);
+  let folder = duplicate ? duplicate.folder : buildFolderPath(proposal.folderTemplate, ctx, settings);
+
+  if (settings.confirmRenames) {
+    const decision = await confirmRename(downloadItem, settings, { ...proposal, basename, folder });
+    if (decision.action === 'original') {
+      console.log('[Smart Rename] Keeping original name (user choice)');
+      return null;
+    }
+    ({ basename, folder } = decision);
+  }
+
+  // First image of a burst: its name becomes the batch prefix
+  let tail = '';
+  if (proposal.batch && await proposal.batch.decided) {
+    publishPrefix(proposal.batch, { basename, folder, ctx });
+    tail = sequenceSuffix(1);
+  }
+
+  const finalName = fitFilename(basename, ext, folder, tail);
+
+  // "Just suggest a name" (context menu): nothing is saved or recorded
+  if (settings.suggestOnly) return joinPath(folder, finalName);
+
+  // Save to history
+  const historyId = await addToHistory({
+    success: true,
+    original: downloadItem.filename,
+    renamed: finalName,
+    folder,
+    category: ctx.category,
+    caption: ctx.caption,
+    method,
+    fileType,
+    rule: settings.ruleName,
+    source: safeHostname(url),
+    ...(proposal.historyExtras || {})
+  }, downloadItem);
+
+  // Later copies of this file can reuse the name (see duplicates.js)
+  if (proposal.fingerprint && !duplicate) {
+    await rememberFile({
+      ...proposal.fingerprint,
+      fileType,
+      basename,
+      renamed: finalName,
+      folder,
+      caption: ctx.caption,
+      category: ctx.category,
+      title: ctx.title || '',
+      historyId
+    });
+  }
+
+  await updateStats(true, `${method === 'ai' ? settings.provider : method === 'duplicate' ? 'duplicate' : 'offline'}-${fileType}`);
+
+  const label = { image: 'Image', pdf: 'PDF' }[fileType] || 'Document';
+  await updateBadge('✓', '#00AA00');
+  if (duplicate) {
+    await notify(
+      settings.duplicateAction === 'warn' ? `⚠ ${label} Downloaded Before` : `✓ ${label} Renamed (duplicate)`,
+      `Same file as ${joinPath(duplicate.folder, duplicate.renamed)}`,
+      settings.duplicateAction !== 'warn'
+    );
+  } else if (proposal.similar && settings.duplicateAction === 'warn') {
+    await notify(
+      `⚠ Similar ${label} Downloaded Before`,
+      `${joinPath(folder, basename)}\nLooks like ${joinPath(proposal.similar.folder, proposal.similar.renamed)}`,
+      false
+    );
+  } else {
+    await notify(
+      method === 'ai' ? `✓ ${label} Renamed` : `✓ ${label} Renamed (offline)`,
+      `${joinPath(folder, basename)}\n(${proposal.detail})`
+    );
+  }
+
+  return joinPath(folder, finalName);
+}
+
+/* ------------------------------ DUPLICATES ------------------------------ */
 
-    // Fetch PDF (respect 5MB limit)
-    console.log('[Smart Rename] Fetching PDF...');
-    const pdfBuffer = await fetchFile(url, settings.maxImageSize);
+// Helper: Fingerprint a file and look for an earlier copy (duplicates.js). Only the same bytes
+// are a duplicate (reused name, cancel); a close picture is just similar (named as usual,
+// linked in history). Hashing problems never stop the rename: the file is then simply new.
+async function lookUpDuplicate(parts, fileType, settings) {
+  if (settings.duplicateAction === 'off') return {};
 
-    // Extract text locally (no PDF upload)
-    console.log('[Smart Rename] Extracting PDF text (local)...');
-    const { title, excerpt } = await extractPdfPreviewText(pdfBuffer, {
-      maxChars: settings.pdfMaxChars,
-      maxStreams: settings.pdfMaxStreams
+  try {
+    const print = await fingerprint(parts, { image: fileType === 'image' });
+    const match = await findDuplicate(print, fileType);
+    return {
+      print,
+      duplicate: match?.exact ? match.entry : null,
+      similar: match && !match.exact ? match.entry : null
+    };
+  } catch (error) {
+    console.warn('[Smart Rename] Duplicate check failed:', error.message);
+    return {};
+  }
+}
+
+// Helper: "Cancel the download" for duplicates; a file we waited for is already saved, so it's removed
+async function cancelDuplicate(downloadItem, fileType, duplicate) {
+  const earlier = joinPath(duplicate.folder, duplicate.renamed);
+  console.log('[Smart Rename] Duplicate download, cancelling. Same file as', earlier);
+
+  if (savedFiles.has(downloadItem.id)) {
+    await chrome.downloads.removeFile(downloadItem.id).catch(() => {});
+  } else {
+    await chrome.downloads.cancel(downloadItem.id).catch(() => {});
+  }
+
+  await addToHistory({
+    success: false,
+    error: 'Downloaded before, cancelled',
+    filename: downloadItem.filename,
+    fileType,
+    source: safeHostname(downloadItem.finalUrl || downloadItem.url),
+    ...duplicateDetails(duplicate)
+  }, downloadItem);
+  await updateStats(false, 'duplicate');
+  await notify('⚠ Duplicate Download Cancelled', `Same file as ${earlier}`, false);
+}
+
+// Helper: History fields that link a duplicate to the earlier rename
+function duplicateDetails(duplicate) {
+  if (!duplicate) return {};
+  return {
+    duplicateOf: duplicate.historyId,
+    duplicateName: joinPath(duplicate.folder, duplicate.renamed)
+  };
+}
+
+// Helper: History fields that link a similar (not identical) picture to the earlier rename
+function similarDetails(similar) {
+  if (!similar) return {};
+  return {
+    similarTo: similar.historyId,
+    similarName: joinPath(similar.folder, similar.renamed)
+  };
+}
+
+/* ------------------------------ CONFIRM FLOW ------------------------------ */
+
+// Open confirm windows by id; each holds the resolver for its download's pending suggest()
+const pendingConfirms = new Map();
+
+// Ask the user to accept/edit/regenerate the name. Always resolves (timeout falls back to a default).
+async function confirmRename(downloadItem, settings, proposal) {
+  const id = `${downloadItem.id}-${Date.now()}`;
+  const timeoutMs = Math.min(Math.max(settings.confirmTimeoutSec || 30, 10), 300) * 1000;
+
+  const fallback = settings.confirmTimeoutAction === 'original'
+    ? { action: 'original' }
+    : { action: 'accept', basename: proposal.basename, folder: proposal.folder };
+
+  const alternatives = buildAlternatives(settings, proposal);
+
+  return new Promise((resolve) => {
+    const finish = (decision) => {
+      const pending = pendingConfirms.get(id);
+      if (!pending) return;
+
+      clearTimeout(pending.timer);
+      pendingConfirms.delete(id);
+      if (pending.windowId != null) chrome.windows.remove(pending.windowId).catch(() => {});
+      resolve(decision);
+    };
+
+    pendingConfirms.set(id, {
+      proposal,
+      settings,
+      alternatives,
+      fallback,
+      finish,
+      windowId: null,
+      expiresAt: Date.now() + timeoutMs,
+      timer: setTimeout(() => finish(fallback), timeoutMs)
+    });
+
+    chrome.windows.create({
+      url: chrome.runtime.getURL(`confirm.html?id=${encodeURIComponent(id)}`),
+      type: 'popup',
+      width: 480,
+      height: 620,
+      focused: true
+    }).then((win) => {
+      const pending = pendingConfirms.get(id);
+      if (pending) pending.windowId = win.id;
+    }).catch((error) => {
+      console.error('[Smart Rename] Could not open confirm window:', error);
+      finish(fallback);
     });
+  });
+}
+
+// 2-3 other candidates: the offline name and a shorter version of the suggestion
+function buildAlternatives(settings, proposal) {
+  const { ctx, basename } = proposal;
+  const candidates = [];
+
+  const offlineCaption = proposal.method === 'ai' && proposal.offlineName ? proposal.offlineName() : '';
+  if (offlineCaption) {
+    candidates.push(renderTemplate(settings.filenameTemplate, { ...ctx, caption: offlineCaption }, settings));
+  }
+
+  const shorter = { ...settings, maxWords: Math.max(2, (settings.maxWords || 5) - 2) };
+  candidates.push(renderTemplate(settings.filenameTemplate, ctx, shorter));
+  candidates.push(renderTemplate('{caption:snake}', ctx, settings));
+
+  return [...new Set(candidates)].filter((name) => name && name !== basename).slice(0, 3);
+}
+
+// Data the confirm window needs to render
+function confirmDetails(pending) {
+  const { proposal } = pending;
+
+  return {
+    fileType: proposal.fileType,
+    ext: proposal.ext,
+    original: (proposal.ctx.original || '').split(/[\\/]/).pop(),
+    title: proposal.ctx.title || '',
+    caption: proposal.ctx.caption,
+    suggestion: proposal.basename,
+    folder: proposal.folder,
+    alternatives: pending.alternatives,
+    preview: proposal.preview || null,
+    canRegenerate: !!proposal.regenerate,
+    expiresAt: pending.expiresAt,
+    timeoutAction: pending.fallback.action
+  };
+}
+
+// Ask the model again (higher temperature) and re-render the name
+async function regenerateSuggestion(pending) {
+  const { proposal, settings } = pending;
+  if (!proposal.regenerate) throw new Error('Regenerate is only available for AI names');
+
+  const reply = await proposal.regenerate();
+  const { category, text } = splitCategory(reply, settings);
+
+  proposal.ctx.caption = text;
+  if (category) proposal.ctx.category = category;
+
+  proposal.basename = await buildBasename(settings, proposal.ctx);
+  proposal.folder = buildFolderPath(proposal.folderTemplate, proposal.ctx, settings);
+
+  return { suggestion: proposal.basename, folder: proposal.folder, caption: text };
+}
+
+/* ---------------------------- ORIGINAL NAME ---------------------------- */
+
+// Rule action "original": no AI call, keep the browser's name (folder routing still applies)
+async function keepOriginalName(downloadItem, settings) {
+  const url = downloadItem.finalUrl || downloadItem.url;
+  const original = (downloadItem.filename || '').split(/[\\/]/).pop();
+  const fileType = isImage(downloadItem) ? 'image' : isPdf(downloadItem) ? 'pdf' : 'document';
+
+  console.log('[Smart Rename] Keeping original name (rule):', original);
+
+  const folderTemplate = fileType === 'image' ? settings.imageFolderTemplate : settings.pdfFolderTemplate;
+  const folder = buildFolderPath(folderTemplate, {
+    host: safeHostname(url),
+    original: downloadItem.filename,
+    mime: downloadItem.mime
+  }, settings);
+
+  await addToHistory({
+    success: true,
+    original: downloadItem.filename,
+    renamed: original,
+    folder,
+    caption: '',
+    fileType,
+    rule: settings.ruleName,
+    source: safeHostname(url)
+  }, downloadItem);
+
+  return original ? joinPath(folder, original) : null;
+}
+
+/* ---------------------------- DOCUMENT FLOW ---------------------------- */
+
+// Words for the prompt + per-type naming hints (PDF keeps its original prompt)
+const DOCUMENT_PROMPTS = {
+  pdf: {
+    noun: 'a PDF',
+    hint: 'Prefer document title, topic, company name, invoice/reference numbers, and dates if present.'
+  },
+  word: {
+    noun: 'a text document (Word/OpenDocument)',
+    hint: 'Prefer document title, topic, company name, invoice/reference numbers, and dates if present.'
+  },
+  spreadsheet: {
+    noun: 'a spreadsheet',
+    hint: 'Describe what the data is about (report name, period, company, project); column names are only hints.'
+  },
+  presentation: {
+    noun: 'a slide presentation',
+    hint: 'Prefer the deck title or topic, plus event, client or date if present.'
+  },
+  ebook: {
+    noun: 'an e-book',
+    hint: 'Use the book title followed by the author surname if both are known.'
+  },
+  text: {
+    noun: 'a plain text file',
+    hint: 'Prefer the main topic; a short first line is often the title.'
+  },
+  markdown: {
+    noun: 'a Markdown document',
+    hint: 'Prefer the main heading or topic.'
+  },
+  csv: {
+    noun: 'a CSV data export',
+    hint: 'Describe what the rows are (e.g. bank transactions, contacts, orders) and the period if visible.'
+  },
+  svg: {
+    noun: 'an SVG graphic (logo, icon, chart or diagram)',
+    hint: 'Name what the graphic shows, using its title and the text drawn in it.'
+  }
+};
+
+// PDFs and other documents: extract text locally, name from text only
+async function renameDocument(downloadItem, settings, signal) {
+  const url = downloadItem.finalUrl || downloadItem.url;
+  const ext = isPdf(downloadItem) ? 'pdf' : getDocumentExtension(downloadItem);
+  const fileType = ext === 'pdf' ? 'pdf' : 'document';
+  const label = ext.toUpperCase();
+
+  const offline = useOfflineMode(settings);
+
+  console.log(`[Smart Rename] Processing ${label}:`, downloadItem.filename);
+
+  try {
+    if (fileType === 'pdf' ? !settings.enablePdfRenaming : !settings.enableDocumentRenaming) return null;
+
+    if (!offline && !providerReady(settings)) {
+      throw new Error('AI provider not configured. Click extension icon to set up.');
+    }
+
+    await updateBadge(fileType === 'pdf' ? 'PDF' : 'DOC', '#6A1B9A');
+
+    // Fetch: PDFs only their first pdfMaxBytes (+ end), other documents up to their size limit;
+    // documents over it are named from their URL and name
+    console.log(`[Smart Rename] Fetching ${label}...`);
+    const pdf = fileType === 'pdf' ? await readPdfParts(downloadItem, settings.pdfMaxBytes, signal) : null;
+    const buffer = pdf
+      ? pdf.buffer
+      : await readDownload(downloadItem, settings.maxDocumentSize, signal).catch((error) => {
+        if (!error.tooLarge) throw error;
+        return null;
+      });
+    const tooLarge = !buffer;
+
+    const { print, duplicate } = buffer
+      ? await lookUpDuplicate(pdf ? [pdf.buffer, pdf.tail] : buffer, fileType, settings)
+      : {};
+    if (duplicate && settings.duplicateAction === 'cancel') {
+      await cancelDuplicate(downloadItem, fileType, duplicate);
+      return null;
+    }
+
+    // Extract text locally (no file upload). A corrupt or mislabelled file (e.g. an HTML error
+    // page saved as .docx) is named from its name like one over the size limit
+    console.log(`[Smart Rename] Extracting ${label} text (local)...`);
+    const noText = { kind: DOCUMENT_KINDS[ext], title: duplicate?.title || '', excerpt: '', lines: [] };
+    const extracted = tooLarge || duplicate
+      ? noText
+      : await (pdf
+        ? extractPdfPreviewText(buffer, {
+          maxChars: settings.pdfMaxChars,
+          maxPages: settings.pdfMaxPages,
+          tail: pdf.tail,
+          totalSize: pdf.totalSize
+        })
+        : extractDocumentText(buffer, ext, { maxChars: settings.pdfMaxChars })
+      ).catch((error) => {
+        console.warn(`[Smart Rename] Could not read the ${label}:`, error.message);
+        return null;
+      });
+    const unreadable = !extracted;
+    const { kind = 'pdf', title, excerpt, lines } = extracted || noText;
 
     const originalBase = stripExtension(downloadItem.filename || 'document');
 
-    const prompt = buildPdfPrompt({
+    const offlineName = () => pdfNameFromSignals({
       title,
+      lines,
       excerpt,
       originalFilename: originalBase,
       maxWords: settings.maxWords || 5
     });
 
-    console.log('[Smart Rename] Calling AI (text, PDF)...');
-    const suggestion = await nameFromText(prompt, settings);
-
-    const basename = captionToFilename(suggestion, settings);
-    const finalName = `${basename}.pdf`;
+    // Scanned PDF (no usable text layer): let the vision model read the page images instead
+    const pageImages = pdf && !offline && !duplicate && !unreadable && settings.enablePdfOcr &&
+      excerpt.length < settings.pdfOcrMinChars && resolveProvider(settings).vision
+      ? await scannedPageImages(pdf)
+      : [];
 
-    await addToHistory({
-      success: true,
-      original: downloadItem.filename,
-      renamed: finalName,
-      caption: suggestion,
-      fileType: 'pdf',
-      pdfTitle: title,
-      source: safeHostname(url)
+    const prompt = buildDocumentPrompt({
+      kind,
+      title,
+      excerpt,
+      originalFilename: originalBase,
+      maxWords: settings.maxWords || 5,
+      language: languageInstruction(settings),
+      extraPrompt: settings.extraPrompt,
+      categories: settings.enableCategories ? settings.categories : []
     });
+    const profile = pageImages.length ? null : pickProfile(settings, 'text');
+    const vars = profile && await promptVariables(downloadItem, settings, profile, { title, excerpt });
+
+    const askAI = (temperature) => pageImages.length
+      ? nameFromDocumentImage(pageImages, settings, { variant: 'scan', temperature, signal })
+      : profile
+        ? nameWithProfile(profile, vars, settings, { regenerate: temperature > 0.5, signal })
+        : nameFromText(prompt, settings, { temperature, signal });
+
+    // Structured mode: invoices, receipts, statements get a fixed-shape name from their fields
+    const fields = settings.structuredNaming && STRUCTURED_KINDS.includes(kind) && !tooLarge && !unreadable && !duplicate && !pageImages.length
+      ? await documentFields({ title, excerpt, originalBase, offline, settings, signal })
+      : null;
+    const structured = !!fields && hasEnoughEntities(fields.values);
+
+    let reply;
+    let method = 'ai';
+
+    if (duplicate) {
+      console.log(`[Smart Rename] Same ${label} as`, duplicate.renamed);
+      reply = duplicate.caption;
+      method = 'duplicate';
+    } else if (structured) {
+      const { doc_type: docType, organization, reference } = fields.values;
+      reply = [docType, organization, reference].filter(Boolean).join(' ');
+      method = fields.method;
+    } else if (offline || tooLarge || unreadable) {
+      const why = tooLarge ? `${label} over the size limit` : unreadable ? `${label} not readable` : label;
+      console.log(`[Smart Rename] Naming offline (${why})...`);
+      reply = offlineName();
+      method = 'offline';
+    } else {
+      try {
+        const what = pageImages.length ? 'scanned page images' : profile ? `profile "${profile.name}"` : 'text';
+        console.log(`[Smart Rename] Calling AI (${what}, ${label})...`);
+        reply = await askAI(0.2);
+      } catch (error) {
+        if (!settings.offlineFallback || isAbort(error)) throw error;
+        console.warn('[Smart Rename] AI failed, using offline name:', error.message);
+        reply = offlineName();
+        method = 'offline-fallback';
+      }
+    }
 
-    await updateStats(true, 'hf-api-pdf');
-
-    await updateBadge('✓', '#00AA00');
-    await notify('✓ PDF Renamed', `${basename}\n(${title || 'PDF'})`);
-
-    return finalName;
+    const { category, text: suggestion } = method === 'ai' && !structured
+      ? splitCategory(reply, settings)
+      : { category: duplicate?.category || '', text: reply };
+
+    const nameSettings = structured ? { ...settings, filenameTemplate: settings.structuredTemplate } : settings;
+
+    return await finishRename(downloadItem, nameSettings, {
+      fileType,
+      ext,
+      method,
+      folderTemplate: settings.pdfFolderTemplate,
+      ctx: {
+        caption: suggestion,
+        category,
+        title,
+        host: safeHostname(url),
+        original: downloadItem.filename,
+        mime: downloadItem.mime || CONFIG.DOC_TYPES[ext],
+        ...(structured ? entityContext(fields.values) : {})
+      },
+      detail: title || (pageImages.length ? 'scanned PDF' : label),
+      preview: pageImages.length ? `data:image/jpeg;base64,${pageImages[0]}` : null,
+      historyExtras: {
+        ...(fileType === 'pdf' ? { pdfTitle: title } : { docTitle: title, docKind: kind }),
+        ...(pageImages.length ? { scanned: true } : {}),
+        ...(tooLarge ? { oversize: true } : {}),
+        ...(structured ? { fields: fields.values } : {}),
+        ...(profile && method === 'ai' ? { profile: profile.name } : {}),
+        ...duplicateDetails(duplicate)
+      },
+      fingerprint: print,
+      duplicate,
+      offlineName,
+      regenerate: method === 'ai' && !structured ? () => askAI(0.9) : null
+    });
   } catch (error) {
-    console.error('[Smart Rename] PDF error:', error);
+    if (isAbort(error)) {
+      console.log('[Smart Rename] Download cancelled, stopped renaming');
+      return null;
+    }
 
-    await addToHistory({
-      success: false,
-      error: error.message,
-      filename: downloadItem.filename,
-      fileType: 'pdf',
-      source: safeHostname(url)
-    });
+    console.error(`[Smart Rename] ${label} error:`, error);
 
-    await updateStats(false, 'error');
+    if (!settings.suggestOnly) {
+      await addToHistory({
+        success: false,
+        error: error.message,
+        filename: downloadItem.filename,
+        fileType,
+        source: safeHostname(url)
+      }, downloadItem);
+
+      await updateStats(false, 'error');
+    }
 
     await updateBadge('✗', '#CC0000');
-    await notify('⚠ Rename Failed', error.message, false);
+    await notify(settings.suggestOnly ? '⚠ No Name Suggested' : '⚠ Rename Failed', error.message, false);
 
     return null;
   }
 }
 
-function buildPdfPrompt({ title, excerpt, originalFilename, maxWords }) {
+// Document kinds that can be invoices, receipts or statements (structured mode)
+const STRUCTURED_KINDS = ['pdf', 'word', 'text'];
+
+// Helper: Structured fields from local regexes, plus the model's JSON reply unless offline
+async function documentFields({ title, excerpt, originalBase, offline, settings, signal }) {
+  const text = `${title}\n${excerpt}`;
+  const local = localEntities(text);
+  if (offline) return { values: local, method: 'offline' };
+
+  try {
+    console.log('[Smart Rename] Calling AI (structured fields)...');
+    const prompt = `Original filename: ${originalBase}\nTitle: ${title}\n\nText from the beginning of the document:\n${excerpt.slice(0, 2500)}`;
+    const ai = await entitiesFromText(prompt, settings, { signal });
+    return { values: mergeEntities(ai, local, text), method: 'ai' };
+  } catch (error) {
+    if (!settings.offlineFallback || isAbort(error)) throw error;
+    console.warn('[Smart Rename] Structured fields failed, using local matches:', error.message);
+    return { values: local, method: 'offline-fallback' };
+  }
+}
+
+// Helper: First page scans of a PDF, resized for the vision model (unreadable images are skipped)
+async function scannedPageImages({ buffer, tail, totalSize }) {
+  const images = await extractPdfPageImages(buffer, { maxPages: 2, maxImages: 2, tail, totalSize });
+  const prepared = [];
+
+  for (const image of images) {
+    try {
+      prepared.push(await prepareImageForAPI(image.data));
+    } catch (error) {
+      console.warn('[Smart Rename] Skipping unreadable page image:', error.message);
+    }
+  }
+
+  return prepared;
+}
+
+function buildDocumentPrompt({ kind, title, excerpt, originalFilename, maxWords, language, extraPrompt, categories = [] }) {
+  const { noun, hint } = DOCUMENT_PROMPTS[kind] || DOCUMENT_PROMPTS.pdf;
   const safeTitle = (title || '').slice(0, 200);
   const safeExcerpt = (excerpt || '').slice(0, 2500);
 
   return `
-Create a short, descriptive filename for a PDF.
+Create a short, descriptive filename for ${noun}.
 Rules:
 - Output ONLY the filename words (no extension, no quotes, no extra text).
 - ${maxWords - 1} to ${maxWords + 2} words is OK; keep it short.
-- Prefer document title, topic, company name, invoice/reference numbers, and dates if present.
+- ${hint}
 - Avoid generic words like "document", "file", "scan" unless nothing else exists.
-- Use plain English words. No emojis.
-
+- ${language || 'Use plain English words.'} No emojis.${extraPrompt ? `\n- ${extraPrompt}` : ''}
+${categories.length ? `\n${categoryInstruction(categories)}\n` : ''}
 Original filename (hint): ${originalFilename}
 
 Title (if available): ${safeTitle}
@@ -360,6 +1305,24 @@ Extracted text excerpt (from the beginning): ${safeExcerpt}
 `.trim();
 }
 
+// Helper: Values for a prompt profile's {variables} (see prompts.js)
+async function promptVariables(downloadItem, settings, profile, { title = '', excerpt = '', context = null } = {}) {
+  return {
+    hostname: safeHostname(downloadItem.finalUrl || downloadItem.url),
+    pageTitle: context?.pageTitle || (usesVariable(profile, 'pageTitle') ? await pageTitleFor(downloadItem) : ''),
+    pageContext: contextHints(context),
+    originalName: stripExtension(downloadItem.filename || ''),
+    maxWords: settings.maxWords || 5,
+    title: (title || '').slice(0, 200),
+    excerpt: (excerpt || '').slice(0, settings.pdfMaxChars || 2500)
+  };
+}
+
+// Helper: Title of the open tab the download came from ('' when it's closed or unknown)
+async function pageTitleFor(downloadItem) {
+  return (await sourceTab(downloadItem))?.title || '';
+}
+
 function stripExtension(name) {
   const base = name.split(/[\\/]/).pop() || name;
   return base.replace(/\.[^.]+$/, '');
@@ -367,16 +1330,525 @@ function stripExtension(name) {
 
 function safeHostname(url) {
   try {
-    return url ? new URL(url).hostname : 'unknown';
+    // blob:https://site/uuid belongs to the site; data: URLs have no host
+    return url ? new URL(url.replace(/^blob:/, '')).hostname || 'unknown' : 'unknown';
   } catch {
     return 'unknown';
   }
 }
 
+/* ------------------------- UNDO / RENAME AGAIN ------------------------- */
+
+// Finished files can't be renamed in place, so both actions save the file again and delete
+// the old one once the new download has completed. Files named from the saved copy (one-time /
+// signed URLs, see SAVED-FILE FLOW) are saved again from disk; others are downloaded again.
+
+// Re-downloads started from history, keyed by URL until onDeterminingFilename sees them
+const pendingRedownloads = new Map();
+
+// Save the file again under its original name
+async function undoRename(entryId) {
+  const entry = await getEntry(entryId);
+  if (!entry?.success || !entry.url) throw new Error('This rename cannot be undone.');
+  if (entry.undone) throw new Error('Already undone.');
+
+  const originalName = (entry.original || '').split(/[\\/]/).pop() || 'download';
+  const url = await redownloadUrl(entry);
+  pendingRedownloads.set(url, { mode: 'undo', filename: originalName });
+
+  const newId = await chrome.downloads.download({ url, conflictAction: 'uniquify' });
+  await afterRedownload(newId, {
+    replaces: entry.downloadId ?? null,
+    held: entry.savedFile ? entry.downloadId : null,
+    entryId,
+    update: { undone: true }
+  });
+  return { ok: true };
+}
+
+// Run the file through the rename pipeline again (e.g. after changing settings), optionally
+// with another model
+async function renameAgain(entryId, { model = '' } = {}) {
+  const entry = await getEntry(entryId);
+  if (!entry?.url) throw new Error('No download URL stored for this entry.');
+
+  if (entry.savedFile) {
+    await renameSavedAgain(entry, model);
+    await updateEntry(entryId, { renamedAgain: true });
+    return { ok: true };
+  }
+
+  pendingRedownloads.set(entry.url, { mode: 'again', model });
+
+  const newId = await chrome.downloads.download({ url: entry.url, conflictAction: 'uniquify' });
+  const replaces = entry.success && !entry.undone ? entry.downloadId ?? null : null;
+  await afterRedownload(newId, { replaces, entryId, update: { renamedAgain: true } });
+  return { ok: true };
+}
+
+// Save the file again under a name typed in the history page (extension kept, same folder)
+async function renameTo(entryId, basename) {
+  const entry = await getEntry(entryId);
+  if (!entry?.success || !entry.url) throw new Error('This file cannot be renamed.');
+
+  const clean = sanitizeBasename(basename || '');
+  if (!clean) throw new Error('Enter a name.');
+
+  const ext = entry.renamed.includes('.') ? entry.renamed.split('.').pop() : '';
+  const renamed = fitFilename(clean, ext, entry.folder || '');
+  const url = await redownloadUrl(entry);
+  pendingRedownloads.set(url, { mode: 'edit', filename: joinPath(entry.folder, renamed) });
+
+  const newId = await chrome.downloads.download({ url, conflictAction: 'uniquify' });
+  await afterRedownload(newId, {
+    replaces: entry.undone ? null : entry.downloadId ?? null,
+    held: entry.savedFile ? entry.downloadId : null,
+    entryId,
+    update: { renamed, downloadId: newId, undone: false, edited: true }
+  });
+  return { ok: true, renamed };
+}
+
+// Helper: Where an entry's file is saved again from: its URL, or for files named from the
+// saved copy a blob: URL of the file on disk (held by the offscreen document until completion)
+async function redownloadUrl(entry) {
+  if (!entry.savedFile) return entry.url;
+  if (!entry.filePath || entry.downloadId == null) throw new Error('The saved file of this entry is not known.');
+
+  const file = await readSavedFile({ id: entry.downloadId, filename: entry.filePath }, { maxSize: 0 });
+  return file.blobUrl;
+}
+
+// Helper: Rename again a file named from the saved copy: name it from disk like a new one
+async function renameSavedAgain(entry, model) {
+  if (!entry.filePath || entry.downloadId == null) throw new Error('The saved file of this entry is not known.');
+
+  const [found] = await chrome.downloads.search({ id: entry.downloadId });
+  const item = { ...found, id: entry.downloadId, filename: entry.filePath, url: entry.url, finalUrl: entry.url };
+  const handle = downloadHandle({ ...item, filename: entry.filePath.split(/[\\/]/).pop() });
+  if (handle === 'other') throw new Error('This file type is not renamed.');
+
+  const rule = matchRule((await getSettings()).rules, downloadFacts(item));
+  if (rule && rule.action !== 'rename') throw new Error(`Left alone by rule "${rule.name}".`);
+
+  await renameSavedFile(item, { handle, ruleId: rule?.id || '', request: { mode: 'again', model } });
+}
+
+// What to do once a re-download has completed: the old file to remove (replaces), the file the
+// offscreen document holds for it (held) and history changes (entryId, update). Session storage,
+// one key per download: the worker may sleep before the download completes.
+async function afterRedownload(newId, { replaces = null, held = null, entryId = null, update = null }) {
+  await chrome.storage.session.set({ [redownloadKey(newId)]: { replaces, held, entryId, update } });
+}
+
+async function takeRedownload(id) {
+  const key = redownloadKey(id);
+  const redownload = (await chrome.storage.session.get(key))[key];
+  if (!redownload) return null;
+
+  await chrome.storage.session.remove(key);
+  return redownload;
+}
+
+function redownloadKey(id) {
+  return `${CONFIG.STORAGE.REDOWNLOADS}:${id}`;
+}
+
+// Remove a replaced file (ignore files the user already moved or deleted)
+async function removeReplacedFile(oldId) {
+  try {
+    await chrome.downloads.removeFile(oldId);
+  } catch (error) {
+    console.warn('[Smart Rename] Could not remove old file:', error.message);
+  }
+  await chrome.downloads.erase({ id: oldId }).catch(() => {});
+}
+
+/* --------------------------- SAVED-FILE FLOW --------------------------- */
+
+// For one-time / signed URLs, POST downloads and referrer checks: the browser's download is
+// left alone, and once it is complete the saved file is read through the offscreen document,
+// named, saved again under the new name (from a blob: URL, no network) and the first copy removed.
+
+// Download id -> bytes of its saved file while it is being named (read by readDownload)
+const savedFiles = new Map();
+
+let creatingOffscreen = null;
+
+// Remember a download to rename once saved (session storage: the worker may sleep meanwhile).
+// One key per download, so downloads starting and finishing together don't overwrite each
+// other; only what rebuilds the settings is kept (no API keys), see settingsForDownload.
+async function waitForSavedFile(downloadItem, handle, rule, request) {
+  const waiting = {
+    handle,
+    ruleId: rule?.id || '',
+    request: request ? { mode: request.mode, model: request.model || '', folder: request.folder ?? null } : null
+  };
+  await chrome.storage.session.set({ [waitingKey(downloadItem.id)]: waiting });
+}
+
+async function takeWaitingDownload(id) {
+  const key = waitingKey(id);
+  const waiting = (await chrome.storage.session.get(key))[key];
+  if (!waiting) return null;
+
+  await chrome.storage.session.remove(key);
+  return waiting;
+}
+
+function waitingKey(id) {
+  return `${CONFIG.STORAGE.WAITING}:${id}`;
+}
+
+async function renameSavedFile(item, { handle, ruleId, request }) {
+  // Settings as they are now (changed or not while the file was downloading)
+  const baseSettings = await getSettings();
+  const rule = ruleId ? (baseSettings.rules || []).find((candidate) => candidate.id === ruleId) || null : null;
+  const settings = settingsForDownload(baseSettings, rule, request);
+
+  // The pipeline expects the name the browser suggested, not the full path on disk
+  const downloadItem = { ...item, filename: item.filename.split(/[\\/]/).pop() };
+  const fileType = handle === 'image' ? 'image' : handle === 'pdf' ? 'pdf' : 'document';
+
+  let file;
+  try {
+    console.log('[Smart Rename] Reading saved file:', item.filename);
+    file = await readSavedFile(item, handle === 'image'
+      ? { maxSize: settings.maxImageSize }
+      : handle === 'pdf'
+        ? { maxSize: settings.pdfMaxBytes, tailSize: PDF_TAIL_BYTES }
+        : { maxSize: settings.maxDocumentSize });
+  } catch (error) {
+    console.error('[Smart Rename] Saved file error:', error);
+
+    await addToHistory({
+      success: false,
+      error: error.message,
+      filename: downloadItem.filename,
+      fileType,
+      source: safeHostname(item.finalUrl || item.url)
+    }, downloadItem);
+    await updateStats(false, 'error');
+    await notify('⚠ Rename Failed', error.message, false);
+    return;
+  }
+
+  savedFiles.set(item.id, file);
+
+  let newName = null;
+  try {
+    const signal = new AbortController().signal;
+    newName = handle === 'image'
+      ? await renameImage(downloadItem, settings, signal)
+      : await renameDocument(downloadItem, settings, signal);
+  } finally {
+    savedFiles.delete(item.id);
+  }
+
+  // Undo / rename again read this file from disk instead of fetching its URL again
+  if (newName) await updateByDownloadId(item.id, { savedFile: true, filePath: item.filename });
+
+  if (!newName || newName === downloadItem.filename) {
+    releaseSavedFile(item.id);
+    return;
+  }
+
+  // Save a copy under the new name; the first one is removed when it has completed
+  pendingRedownloads.set(file.blobUrl, { mode: 'resave', filename: newName });
+  const newId = await chrome.downloads.download({ url: file.blobUrl, conflictAction: 'uniquify' });
+  await afterRedownload(newId, { replaces: item.id, held: item.id });
+  await updateByDownloadId(item.id, { downloadId: newId });
+}
+
+// Helper: Bytes of a finished download (needs "Allow access to file URLs" for this extension),
+// in the shape readDownload / readPdfParts use. Over maxSize: error is set, unless a PDF tail was asked for.
+async function readSavedFile(item, { maxSize, tailSize = 0 }) {
+  if (!(await chrome.extension.isAllowedFileSchemeAccess())) {
+    throw new Error('Turn on "Allow access to file URLs" for this extension (chrome://extensions) to rename saved files.');
+  }
+
+  await ensureOffscreenDocument();
+  const reply = await chrome.runtime.sendMessage({
+    target: 'offscreen',
+    type: 'file:read',
+    key: item.id,
+    path: item.filename,
+    maxSize,
+    tailSize
+  });
+  if (!reply || reply.error) throw new Error(reply?.error || 'Could not read the saved file');
+
+  const decode = (base64) => Uint8Array.from(atob(base64), (ch) => ch.charCodeAt(0)).buffer;
+  return {
+    buffer: reply.tooLarge ? null : decode(reply.base64),
+    tail: reply.tailBase64 ? decode(reply.tailBase64) : null,
+    totalSize: reply.tailBase64 ? reply.size : 0,
+    error: reply.tooLarge ? tooLargeError(reply.size, maxSize) : null,
+    blobUrl: reply.blobUrl
+  };
+}
+
+// The offscreen document keeps each read file's blob: URL (by download id) until released
+function releaseSavedFile(id) {
+  chrome.runtime.sendMessage({ target: 'offscreen', type: 'file:release', key: id }).catch(() => {});
+}
+
+async function ensureOffscreenDocument() {
+  if (await chrome.offscreen.hasDocument()) return;
+
+  creatingOffscreen ??= chrome.offscreen.createDocument({
+    url: 'offscreen.html',
+    reasons: ['BLOBS', 'CLIPBOARD'],
+    justification: 'Read finished downloads and save them again under their new name; copy suggested names'
+  }).finally(() => {
+    creatingOffscreen = null;
+  });
+  await creatingOffscreen;
+}
+
+/* ---------------------------- CONTEXT MENUS ---------------------------- */
+
+// Explicit requests from the right-click menu (see context-menus.js). They go through the same
+// pipeline as automatic renaming, which is how files get named while that is turned off.
+
+// Stand-in download ids for suggestions (negative: never a real download)
+let suggestionCount = 0;
+
+async function handleMenuClick(info) {
+  const item = parseMenuItem(info.menuItemId);
+  if (!item) return;
+
+  const url = info.mediaType === 'image' && info.srcUrl ? info.srcUrl : info.linkUrl || info.srcUrl || info.pageUrl;
+  if (!url) return;
+
+  if (item.action === MENU_ACTIONS.SUGGEST) {
+    await suggestName(url, info);
+    return;
+  }
+
+  // onDeterminingFilename picks the request up by URL, like history re-downloads
+  pendingRedownloads.set(url, { mode: 'smart', referrer: info.pageUrl || '', folder: item.folder });
+  await chrome.downloads.download({ url, conflictAction: 'uniquify' });
+}
+
+// "Just suggest a name": the pipeline runs on a stand-in download item; the name is copied
+// to the clipboard and nothing is saved or recorded
+async function suggestName(url, info) {
+  const downloadItem = {
+    id: -(++suggestionCount),
+    url,
+    finalUrl: url,
+    referrer: info.pageUrl || '',
+    filename: filenameFromUrl(url),
+    mime: info.mediaType === 'image' ? 'image/jpeg' : '' // The real type is read from the bytes
+  };
+
+  const handle = downloadHandle(downloadItem);
+  if (handle === 'other') {
+    await notify('⚠ No Name Suggested', 'Only images, PDFs and documents can be named.', false);
+    return;
+  }
+
+  const baseSettings = await getSettings();
+  const rule = matchRule(baseSettings.rules, downloadFacts(downloadItem));
+  const settings = {
+    ...applyRule(baseSettings, rule),
+    suggestOnly: true,
+    confirmRenames: false,
+    batchMode: 'off',
+    readFrom: 'fetch',
+    skipSmallImages: false,
+    duplicateAction: baseSettings.duplicateAction === 'off' ? 'off' : 'reuse'
+  };
+
+  const signal = new AbortController().signal;
+  const name = handle === 'image'
+    ? await renameImage(downloadItem, settings, signal)
+    : await renameDocument(downloadItem, settings, signal);
+  if (!name) return; // Failures were already reported
+
+  const filename = name.split('/').pop();
+  await copyToClipboard(filename);
+  await notify('📋 Name Copied', filename);
+}
+
+// Helper: Copy text through the offscreen document (service workers have no clipboard)
+async function copyToClipboard(text) {
+  await ensureOffscreenDocument();
+  const reply = await chrome.runtime.sendMessage({ target: 'offscreen', type: 'clipboard:write', text });
+  if (!reply?.ok) throw new Error(reply?.error || 'Could not copy to the clipboard');
+}
+
+// Helper: Last path segment of a URL ("download" when there is none)
+function filenameFromUrl(url) {
+  try {
+    const last = new URL(url).pathname.split('/').pop();
+    return decodeURIComponent(last) || 'download';
+  } catch {
+    return 'download';
+  }
+}
+
+chrome.contextMenus.onClicked.addListener((info) => {
+  handleMenuClick(info).catch(async (error) => {
+    console.error('[Smart Rename] Context menu error:', error);
+    await notify('⚠ Smart Rename Failed', error.message, false);
+  });
+});
+
+/* ---------------------------- RENAMING STATE ---------------------------- */
+
+// Off / paused / site lists (see renaming-state.js): the popup and options page only write
+// storage; the badge, the menus and the end-of-pause alarm follow from here.
+
+const PAUSE_ALARM = 'pause-end';
+
+// Helper: Badge for the current state, shown between renames ('' when renaming as usual)
+async function showStateBadge() {
+  const badge = stateBadge(await getSettings(), await pauseState());
+  await chrome.action.setBadgeText({ text: badge.text });
+  if (badge.color) await chrome.action.setBadgeBackgroundColor({ color: badge.color });
+  await chrome.action.setTitle({ title: badge.title });
+}
+
+// Helper: "OFF" on tabs of sites where downloads aren't renamed (null = the global badge)
+async function showSiteBadge(tab, settings) {
+  if (!tab?.id || !/^https?:/.test(tab.url || '')) return;
+
+  const off = !siteAllowed(settings, [safeHostname(tab.url)]);
+  await chrome.action.setBadgeText({ tabId: tab.id, text: off ? 'OFF' : null });
+  if (off) await chrome.action.setBadgeBackgroundColor({ tabId: tab.id, color: '#777777' });
+}
+
+async function showSiteBadges() {
+  const settings = await getSettings();
+  for (const tab of await chrome.tabs.query({})) {
+    await showSiteBadge(tab, settings).catch(() => {});
+  }
+}
+
+// Timed pauses end by themselves; the alarm only brings the badge up to date
+async function schedulePauseEnd(pause) {
+  await chrome.alarms.clear(PAUSE_ALARM);
+  if (pause?.until) await chrome.alarms.create(PAUSE_ALARM, { when: pause.until });
+}
+
+chrome.alarms.onAlarm.addListener(async (alarm) => {
+  if (alarm.name === PAUSE_ALARM) await resumeRenaming();
+});
+
+chrome.tabs.onUpdated.addListener(async (tabId, changeInfo, tab) => {
+  if (changeInfo.url || changeInfo.status === 'complete') {
+    await showSiteBadge(tab, await getSettings()).catch(() => {});
+  }
+});
+
+// Badges are not kept across browser restarts
+chrome.runtime.onStartup.addListener(async () => {
+  await showStateBadge();
+  await showSiteBadges();
+});
+
+// Settings or rules changed: menus (folders in "Save with smart name into…") and badges follow.
+// Pause changed: badge and alarm.
+chrome.storage.onChanged.addListener(async (changes, area) => {
+  if ((area === 'sync' && changes[CONFIG.STORAGE.SETTINGS]) || (area === 'local' && changes[CONFIG.STORAGE.RULES])) {
+    await buildContextMenus(await getSettings());
+    await showStateBadge();
+    await showSiteBadges();
+  }
+  if (area === 'session' && changes[CONFIG.STORAGE.PAUSE]) {
+    await schedulePauseEnd(changes[CONFIG.STORAGE.PAUSE].newValue);
+    await showStateBadge();
+  }
+});
+
+/* --------------------------- KEYBOARD SHORTCUTS --------------------------- */
+
+// manifest.json "commands"; bound or changed at chrome://extensions/shortcuts (listed in options)
+
+async function runCommand(command) {
+  switch (command) {
+    case 'toggle-auto-rename': {
+      let autoRename;
+
+      // The badge follows through storage.onChanged; a failed write is reported by onCommand
+      await patchSettings((stored) => {
+        autoRename = !(stored.autoRename ?? CONFIG.DEFAULTS.autoRename);
+        return { autoRename };
+      });
+      await notify(
+        autoRename ? '▶ Automatic Renaming On' : '⏹ Automatic Renaming Off',
+        autoRename ? 'Downloads are renamed as they start.' : 'Downloads keep their names. Right-click a file to rename it.'
+      );
+      return;
+    }
+
+    case 'edit-last-rename': {
+      const entry = await lastEntry((item) => item.success && item.url);
+      await chrome.tabs.create({ url: chrome.runtime.getURL(`history.html?edit=${entry.id}`) });
+      return;
+    }
+
+    case 'undo-last-rename': {
+      const entry = await lastEntry((item) => item.success && item.url && !item.undone);
+      await undoRename(entry.id);
+      await notify('↩ Rename Undone', `Saving ${entry.renamed} again as ${(entry.original || '').split(/[\\/]/).pop()}`);
+      return;
+    }
+
+    case 'rename-last-stronger': {
+      const settings = await getSettings();
+      const model = strongerModel(settings);
+      if (!model) throw new Error('Pick a stronger model in Settings (Keyboard Shortcuts).');
+
+      const entry = await lastEntry((item) => item.url);
+      await renameAgain(entry.id, { model });
+      await notify('🔁 Renaming Again', `${entry.renamed || entry.filename} with ${model}`);
+      return;
+    }
+  }
+}
+
+// Helper: Newest history entry a shortcut applies to (among the last few renames)
+async function lastEntry(test) {
+  const entry = (await recentEntries(20)).find(test);
+  if (!entry) throw new Error('No recent rename to use.');
+  return entry;
+}
+
+chrome.commands.onCommand.addListener((command) => {
+  runCommand(command).catch(async (error) => {
+    console.error('[Smart Rename] Shortcut error:', error);
+    await notify('⚠ Shortcut Failed', error.message, false);
+  });
+});
+
 /* ------------------------------ EVENT HOOK ----------------------------- */
 
 chrome.downloads.onDeterminingFilename.addListener((downloadItem, suggest) => {
-  const handle = isImage(downloadItem) ? 'image' : isPdf(downloadItem) ? 'pdf' : 'other';
+  // Undo / edited name from history, re-save of a saved file: use the name we already have
+  const redownload = pendingRedownloads.get(downloadItem.url);
+  if (redownload) {
+    pendingRedownloads.delete(downloadItem.url);
+    if (['undo', 'edit', 'resave'].includes(redownload.mode)) {
+      suggest({ filename: redownload.filename, conflictAction: 'uniquify' });
+      return false;
+    }
+  }
+
+  // Files the extension saves itself (e.g. history exports) keep their names
+  if (!redownload && isOwnDownload(downloadItem)) {
+    suggest();
+    return false;
+  }
+
+  // Saved from the context menu: the API gives these downloads no referrer, so keep the page's
+  if (redownload?.referrer && !downloadItem.referrer) {
+    downloadItem = { ...downloadItem, referrer: redownload.referrer };
+  }
+
+  const handle = downloadHandle(downloadItem);
 
   if (handle === 'other') {
     suggest();
@@ -387,9 +1859,60 @@ chrome.downloads.onDeterminingFilename.addListener((downloadItem, suggest) => {
 
   (async () => {
     try {
-      const newName = handle === 'image'
-        ? await renameImage(downloadItem)
-        : await renamePdf(downloadItem);
+      // Rules run before any network call
+      const baseSettings = await getSettings();
+
+      // Off, paused or not on this site: only explicit requests (context menu, history) are named
+      const blocked = !redownload && blockedReason(baseSettings, await pauseState(), [
+        downloadItem.referrer ? safeHostname(downloadItem.referrer) : '',
+        safeHostname(downloadItem.finalUrl || downloadItem.url)
+      ]);
+      if (blocked) {
+        console.log(`[Smart Rename] Not renamed automatically (${blocked})`);
+        suggest();
+        return;
+      }
+
+      const rule = matchRule(baseSettings.rules, downloadFacts(downloadItem));
+
+      // "Save with smart name" is always renamed, whatever the rules say
+      const action = redownload?.mode === 'smart' ? 'rename' : rule?.action;
+
+      if (action === 'skip') {
+        console.log(`[Smart Rename] Skipped by rule "${rule.name}"`);
+        suggest();
+        return;
+      }
+
+      const settings = settingsForDownload(baseSettings, rule, redownload);
+      let newName;
+
+      if (settings.readFrom === 'saved' && action !== 'original') {
+        // Keep the browser's name for now; renamed from the saved file once complete
+        console.log('[Smart Rename] Waiting for the download to finish');
+        await waitForSavedFile(downloadItem, handle, rule, redownload);
+        suggest();
+        return;
+      }
+
+      if (action === 'original') {
+        newName = await keepOriginalName(downloadItem, settings);
+      } else {
+        const controller = new AbortController();
+        activeRenames.set(downloadItem.id, controller);
+
+        try {
+          if (handle === 'image' && settings.batchMode !== 'off') {
+            newName = await renameImageInBatch(downloadItem, settings, controller.signal);
+          } else {
+            newName = handle === 'image'
+              ? await renameImage(downloadItem, settings, controller.signal)
+              : await renameDocument(downloadItem, settings, controller.signal);
+          }
+        } finally {
+          activeRenames.delete(downloadItem.id);
+        }
+      }
 
       if (newName) {
         suggest({ filename: newName, conflictAction: 'uniquify' });
@@ -405,10 +1928,67 @@ chrome.downloads.onDeterminingFilename.addListener((downloadItem, suggest) => {
   return true; // Async suggest
 });
 
+// Helper: Settings for one download: its rule applied, plus what an explicit request
+// (pendingRedownloads entry) asks for
+function settingsForDownload(baseSettings, rule, request) {
+  // "Rename again" asks for a new name: no earlier name for duplicates, no cached reply
+  let settings = request?.mode === 'again'
+    ? { ...applyRule(baseSettings, rule), duplicateAction: 'off', cacheReplies: false }
+    : applyRule(baseSettings, rule);
+
+  // ...and the stronger-model shortcut another model
+  if (request?.model) {
+    settings = { ...settings, modelOverride: request.model };
+  }
+
+  // "Save with smart name into…": the picked folder for every file type
+  if (request?.folder != null) {
+    settings = { ...settings, imageFolderTemplate: request.folder, pdfFolderTemplate: request.folder };
+  }
+  return settings;
+}
+
+// Event: Download finished / failed
+chrome.downloads.onChanged.addListener(async (delta) => {
+  const state = delta.state?.current;
+  if (state !== 'complete' && state !== 'interrupted') return;
+
+  // Cancelled while we were still naming it: stop queued / running AI calls
+  if (state === 'interrupted') {
+    activeRenames.get(delta.id)?.abort();
+  }
+
+  const redownload = await takeRedownload(delta.id);
+  if (redownload?.held != null) releaseSavedFile(redownload.held);
+
+  const waiting = await takeWaitingDownload(delta.id);
+
+  if (state === 'interrupted') return; // Keep the old file and entry if the re-download failed
+
+  const [item] = await chrome.downloads.search({ id: delta.id });
+  if (redownload?.entryId != null && redownload.update) {
+    // After an undo the entry's file is the copy under the original name
+    const moved = redownload.update.undone && item ? { filePath: item.filename } : {};
+    await updateEntry(redownload.entryId, { ...redownload.update, ...moved });
+  }
+
+  // Remember where the file ended up (needed to undo / rename again)
+  if (item) {
+    await updateByDownloadId(delta.id, { filePath: item.filename });
+  }
+
+  if (redownload?.replaces != null) await removeReplacedFile(redownload.replaces);
+  if (waiting && item) await renameSavedFile(item, waiting);
+});
+
 // Event: Extension installed
 chrome.runtime.onInstalled.addListener(async () => {
   console.log('[Smart Rename] Extension installed');
 
+  await migrateSettings().catch((error) => console.warn('[Smart Rename] Could not migrate settings:', error));
+  await buildContextMenus(await getSettings());
+  await showStateBadge();
+
   chrome.notifications.create({
     type: 'basic',
     iconUrl: 'icon48.png',
@@ -419,6 +1999,67 @@ chrome.runtime.onInstalled.addListener(async () => {
   });
 });
 
+// Messages from extension pages
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  handleMessage(message)
+    .then(sendResponse)
+    .catch((error) => sendResponse({ error: error.message }));
+  return true; // Async response
+});
+
+async function handleMessage(message) {
+  switch (message?.type) {
+    case 'confirm:get': {
+      const pending = pendingConfirms.get(message.id);
+      return pending ? confirmDetails(pending) : { error: 'This rename is no longer waiting for confirmation.' };
+    }
+
+    case 'confirm:regenerate': {
+      const pending = pendingConfirms.get(message.id);
+      if (!pending) throw new Error('This rename is no longer waiting for confirmation.');
+      return await regenerateSuggestion(pending);
+    }
+
+    case 'confirm:resolve': {
+      const pending = pendingConfirms.get(message.id);
+      if (!pending) return { ok: false };
+
+      if (message.action === 'original') {
+        pending.finish({ action: 'original' });
+      } else {
+        pending.finish({
+          action: 'accept',
+          basename: sanitizeBasename(message.basename || '') || pending.proposal.basename,
+          folder: buildFolderPath(message.folder, {}, pending.settings)
+        });
+      }
+      return { ok: true };
+    }
+
+    case 'history:undo':
+      return await undoRename(message.id);
+
+    case 'history:rename-again':
+      return await renameAgain(message.id);
+
+    case 'history:rename-to':
+      return await renameTo(message.id, message.basename);
+
+    default:
+      return { error: `Unknown message: ${message?.type}` };
+  }
+}
+
+// Closing a confirm window counts as "use the timeout default"
+chrome.windows.onRemoved.addListener((windowId) => {
+  for (const pending of pendingConfirms.values()) {
+    if (pending.windowId === windowId) {
+      pending.windowId = null;
+      pending.finish(pending.fallback);
+    }
+  }
+});
+
 // Handle notification clicks
 chrome.notifications.onClicked.addListener(() => {
   chrome.runtime.openOptionsPage();
@@ -0,0 +1,143 @@
+/**
+ * Batch Downloads
+ * Groups bursts of image downloads from the same page (each arriving within the batch
+ * window of the previous one) so they share one name: prefix-01, prefix-02, ...
+ * Progress is mirrored to chrome.storage.session for the popup.
+ */
+
+import { CONFIG } from './config.js';
+
+export const BATCH_MODES = {
+  off: 'Off',
+  first: 'Name the first image, number the rest',
+  together: 'Name the whole batch from a few sample images'
+};
+
+// Open batches by page key
+const openBatches = new Map();
+
+let nextBatchId = 1;
+
+/**
+ * Add a download to the open batch for its page (or start a new one).
+ * Returns { batch, index } with a 1-based index.
+ */
+export function joinBatch({ key, host, url, windowMs, mode }) {
+  let batch = openBatches.get(key);
+
+  if (!batch) {
+    batch = createBatch(key, host, mode);
+    openBatches.set(key, batch);
+  }
+
+  batch.size++;
+  batch.urls.push(url);
+  if (batch.size === 2) batch.resolveDecided(true);
+
+  // The window restarts with every new download
+  clearTimeout(batch.timer);
+  batch.timer = setTimeout(() => closeBatch(batch), windowMs);
+
+  saveProgress(batch);
+  return { batch, index: batch.size };
+}
+
+// Share the leader's name with the rest of the batch ({ basename, folder, ctx })
+export function publishPrefix(batch, leader) {
+  if (batch.settledPrefix) return;
+  batch.settledPrefix = true;
+  batch.prefixValue = leader.basename;
+  batch.resolvePrefix(leader);
+  saveProgress(batch);
+}
+
+// No shared name (leader failed or was skipped): members fall back to naming themselves
+export function failPrefix(batch, error) {
+  if (batch.settledPrefix) return;
+  batch.settledPrefix = true;
+  batch.rejectPrefix(error || new Error('Batch has no shared name'));
+}
+
+// A member finished; renamed: it got a name (not failed, skipped or cancelled)
+export function markDone(batch, renamed) {
+  batch.done++;
+  if (renamed) batch.renamed++;
+  saveProgress(batch);
+  maybeFinish(batch);
+}
+
+// "-01".."-99", then "-100" and up
+export function sequenceSuffix(index) {
+  return `-${String(index).padStart(2, '0')}`;
+}
+
+// Pick up to n evenly spaced items
+export function sampleEvenly(items, n) {
+  if (items.length <= n) return [...items];
+  const step = (items.length - 1) / (n - 1);
+  return Array.from({ length: n }, (_, i) => items[Math.round(i * step)]);
+}
+
+/* ------------------------------ internals ------------------------------ */
+
+function createBatch(key, host, mode) {
+  const batch = {
+    id: nextBatchId++,
+    key,
+    host,
+    mode,
+    size: 0,
+    done: 0,
+    renamed: 0,
+    urls: [],
+    closed: false,
+    timer: null,
+    settledPrefix: false,
+    prefixValue: ''
+  };
+
+  // Resolves true once a second download joins, false if the window closes first
+  batch.decided = new Promise((resolve) => { batch.resolveDecided = resolve; });
+  // Resolves when the batch window closes
+  batch.closedPromise = new Promise((resolve) => { batch.resolveClosed = resolve; });
+  batch.prefix = new Promise((resolve, reject) => {
+    batch.resolvePrefix = resolve;
+    batch.rejectPrefix = reject;
+  });
+  batch.prefix.catch(() => {}); // Members that never wait on it shouldn't log unhandled rejections
+  // Resolves once the window closed and every member is done
+  batch.finished = new Promise((resolve) => { batch.resolveFinished = resolve; });
+
+  return batch;
+}
+
+function closeBatch(batch) {
+  batch.closed = true;
+  if (openBatches.get(batch.key) === batch) openBatches.delete(batch.key);
+
+  batch.resolveDecided(false);
+  batch.resolveClosed();
+  saveProgress(batch);
+  maybeFinish(batch);
+}
+
+function maybeFinish(batch) {
+  if (batch.closed && batch.done >= batch.size) batch.resolveFinished();
+}
+
+// Only multi-file batches show up in the popup
+function saveProgress(batch) {
+  if (batch.size < 2) return;
+
+  chrome.storage.session.set({
+    [CONFIG.STORAGE.BATCH]: {
+      id: batch.id,
+      host: batch.host,
+      prefix: batch.prefixValue,
+      total: batch.size,
+      done: batch.done,
+      finished: batch.closed && batch.done >= batch.size,
+      updatedAt: Date.now()
+    }
+  }).catch(() => {});
+}
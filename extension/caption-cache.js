@@ -0,0 +1,101 @@
+/**
+ * Caption Cache
+ * Remembers AI replies (captions, text-based names) so the same file asked the same way is
+ * never paid for twice. Keys are a SHA-256 of what would be sent: model, prompt version,
+ * prompt and content (image or extracted text). Entries expire after a TTL and the oldest
+ * are dropped beyond the size limit. Hit/miss counts for the popup are kept under their own
+ * small key, so a lookup doesn't rewrite the entries.
+ */
+
+import { CONFIG } from './config.js';
+
+// Serializes writes (renames run in parallel)
+let writing = Promise.resolve();
+
+// Key for one request: everything that changes the answer
+export async function cacheKey(parts) {
+  const bytes = new TextEncoder().encode(JSON.stringify(parts));
+  const digest = await crypto.subtle.digest('SHA-256', bytes);
+  return Array.from(new Uint8Array(digest), (byte) => byte.toString(16).padStart(2, '0')).join('');
+}
+
+// Cached reply for a key, or null (counts a hit or a miss)
+export async function cachedReply(key, settings) {
+  const entry = (await loadCache()).entries[key];
+  const fresh = entry && Date.now() - entry.time < ttlMs(settings);
+
+  if (entry && !fresh) {
+    await update((cache) => {
+      if (cache.entries[key]?.time === entry.time) delete cache.entries[key]; // Unless stored again meanwhile
+    });
+  }
+  await count(fresh ? 'hits' : 'misses');
+
+  return fresh ? entry.reply : null;
+}
+
+export async function storeReply(key, reply, settings) {
+  await update((cache) => {
+    cache.entries[key] = { reply, time: Date.now() };
+
+    const keys = Object.keys(cache.entries);
+    const excess = keys.length - settings.cacheMaxEntries;
+    if (excess > 0) {
+      keys.sort((a, b) => cache.entries[a].time - cache.entries[b].time);
+      for (const old of keys.slice(0, excess)) delete cache.entries[old];
+    }
+  });
+}
+
+// { entries, hits, misses } for the popup and options page
+export async function cacheStats() {
+  const [cache, counts] = await Promise.all([loadCache(), loadCounts()]);
+  return { entries: Object.keys(cache.entries).length, ...counts };
+}
+
+// Drops every cached reply and resets the counts
+export async function clearCaptionCache() {
+  await serialize(() => chrome.storage.local.set({
+    [CONFIG.STORAGE.CAPTION_CACHE]: { entries: {} },
+    [CONFIG.STORAGE.CAPTION_CACHE_STATS]: { hits: 0, misses: 0 }
+  }));
+}
+
+/* ------------------------------ internals ------------------------------ */
+
+async function loadCache() {
+  const data = await chrome.storage.local.get(CONFIG.STORAGE.CAPTION_CACHE);
+  return { entries: {}, ...(data[CONFIG.STORAGE.CAPTION_CACHE] || {}) };
+}
+
+// Counts from before they had their own key are still in the entries item
+async function loadCounts() {
+  const data = await chrome.storage.local.get(CONFIG.STORAGE.CAPTION_CACHE_STATS);
+  const counts = data[CONFIG.STORAGE.CAPTION_CACHE_STATS] || await loadCache();
+  return { hits: counts.hits || 0, misses: counts.misses || 0 };
+}
+
+function update(change) {
+  return serialize(async () => {
+    const cache = await loadCache();
+    change(cache);
+    await chrome.storage.local.set({ [CONFIG.STORAGE.CAPTION_CACHE]: { entries: cache.entries } });
+  });
+}
+
+function count(field) {
+  return serialize(async () => {
+    const counts = await loadCounts();
+    counts[field]++;
+    await chrome.storage.local.set({ [CONFIG.STORAGE.CAPTION_CACHE_STATS]: counts });
+  });
+}
+
+function serialize(task) {
+  writing = writing.then(task).catch((error) => console.warn('[Smart Rename] Caption cache error:', error));
+  return writing;
+}
+
+function ttlMs(settings) {
+  return settings.cacheTtlDays * 24 * 60 * 60 * 1000;
+}
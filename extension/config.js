@@ -17,59 +17,226 @@ export const CONFIG = {
 
   DEFAULT_MODEL: 'Qwen/Qwen3-VL-8B-Instruct:fastest',
 
-  // OpenAI-compatible endpoint for Hugging Face Inference Providers
-  HF_CHAT_COMPLETIONS_URL: 'https://router.huggingface.co/v1/chat/completions',
+  // Model for the "rename again with the stronger model" shortcut when strongerModel is empty
+  STRONG_MODEL: 'CohereLabs/aya-vision-32b:cohere',
+
+  // AI backends (see providers.js). "kind" picks the request/response format.
+  // Hugging Face keeps its token/model in the top-level hfToken/model settings.
+  PROVIDERS: {
+    huggingface: {
+      label: 'Hugging Face Inference Providers',
+      kind: 'openai',
+      baseUrl: 'https://router.huggingface.co/v1',
+      requiresKey: true,
+      vision: true
+    },
+    openai: {
+      label: 'OpenAI-compatible server (Ollama, LM Studio, llama.cpp, vLLM)',
+      kind: 'openai',
+      baseUrl: 'http://localhost:11434/v1',
+      requiresKey: false,
+      vision: true,
+      models: {
+        'Qwen2.5-VL 7B (Ollama)': 'qwen2.5vl:7b',
+        'LLaVA 7B (Ollama)': 'llava:7b',
+        'Llama 3.2 3B (text only)': 'llama3.2:3b'
+      }
+    },
+    anthropic: {
+      label: 'Anthropic (Messages API)',
+      kind: 'anthropic',
+      baseUrl: 'https://api.anthropic.com',
+      requiresKey: true,
+      vision: true,
+      models: {
+        'Claude 3.5 Haiku — fast': 'claude-3-5-haiku-latest',
+        'Claude 3.7 Sonnet — best quality': 'claude-3-7-sonnet-latest'
+      },
+      strongModel: 'claude-3-7-sonnet-latest'
+    },
+    gemini: {
+      label: 'Google Gemini (generateContent API)',
+      kind: 'gemini',
+      baseUrl: 'https://generativelanguage.googleapis.com',
+      requiresKey: true,
+      vision: true,
+      models: {
+        'Gemini 2.0 Flash — fast': 'gemini-2.0-flash',
+        'Gemini 1.5 Pro — best quality': 'gemini-1.5-pro'
+      },
+      strongModel: 'gemini-1.5-pro'
+    }
+  },
 
   // Storage keys
   STORAGE: {
     SETTINGS: 'image_rename_settings_v1', // keep existing key for seamless upgrades
-    HISTORY: 'image_rename_history_v1',
-    STATS: 'image_rename_stats_v1'
+    HISTORY: 'image_rename_history_v1', // legacy array, migrated to IndexedDB (history-store.js)
+    STATS: 'image_rename_stats_v1',
+    COUNTER: 'image_rename_counter_v1', // {seq} template token
+    RATE_BUCKET: 'ai_rate_bucket_v1',   // chrome.storage.session, see queue.js
+    BATCH: 'batch_progress_v1',         // chrome.storage.session, see batch.js
+    WAITING: 'waiting_download_v1',     // chrome.storage.session, one "<key>:<id>" per download renamed once saved
+    REDOWNLOADS: 'redownload_v1',       // chrome.storage.session, one "<key>:<id>" per re-save from history
+    DUPLICATES: 'duplicate_index_v1',   // Fingerprints of renamed files, see duplicates.js
+    CAPTION_CACHE: 'caption_cache_v1',  // Cached AI replies, see caption-cache.js
+    CAPTION_CACHE_STATS: 'caption_cache_stats_v1', // Its hit/miss counts (small, written on every lookup)
+    PAUSE: 'rename_pause_v1',           // chrome.storage.session, see renaming-state.js
+    PROMPT_PROFILES: 'prompt_profiles_v1', // chrome.storage.local, see settings-store.js
+    RULES: 'rename_rules_v1'            // chrome.storage.local, see settings-store.js
   },
 
   // Default settings
   DEFAULTS: {
+    provider: 'huggingface',        // Key of CONFIG.PROVIDERS
     hfToken: '',                    // User's HF token (free to get)
     model: 'Qwen/Qwen3-VL-8B-Instruct:fastest',
+    providers: {},                  // Per-provider { baseUrl, apiKey, model, vision } for non-HF backends
+
+    // AI request queue (queue.js)
+    maxConcurrentRequests: 2,
+    maxRequestsPerMinute: 30,       // Conservative for the Hugging Face free tier
+
+    // Cached AI replies (caption-cache.js): same content, model and prompt -> no new call
+    cacheReplies: true,
+    cacheTtlDays: 30,
+    cacheMaxEntries: 1000,
+
+    // Offline naming (heuristics.js): 'ai' or 'offline'
+    renameMode: 'ai',
+    offlineFallback: true,          // Use local signals when the AI call fails or isn't set up
 
-    // Limits
-    maxImageSize: 5 * 1024 * 1024,  // 5MB max (images + PDFs)
+    // Limits (files over them are named from their URL and name, see fetchFile)
+    maxImageSize: 25 * 1024 * 1024, // Images read for captioning
+    maxDocumentSize: 25 * 1024 * 1024, // Office / OpenDocument / EPUB / text
+    pdfMaxBytes: 8 * 1024 * 1024,   // PDFs of any size: this much of the start (+ the end) is read
     minImageSize: 50 * 1024,        // Skip images < 50KB (icons, etc)
 
     // Image options
     skipSmallImages: false,
     cleanCaptions: true,            // Remove articles (a, an, the)
     addDateSuffix: false,           // Add date to filename
+    readScreenshots: true,          // Screenshot-named images: name from visible text, not the scene
+    usePageContext: false,          // Read alt text, caption and heading from the page (see page-context.js)
+    pageContextExcludedSites: [],   // Hostname globs where the page is never read
+    nameLanguage: '',               // '' English, 'browser', 'match' (the file's language) or a LANGUAGES code
+    transliterate: false,           // Names in plain ASCII (é -> e, ß -> ss, Москва -> moskva)
     maxWords: 5,                    // Max words in filename
 
+    // Filename template (see template.js for tokens)
+    filenameTemplate: '{caption}',
+
+    // Folder routing (relative to the Downloads folder, see routing.js)
+    imageFolderTemplate: '',        // e.g. "Images/{host}"
+    pdfFolderTemplate: '',          // e.g. "Documents/{category}/{year}"
+    enableCategories: false,        // Let the AI pick a {category} from the list below
+    categories: ['receipts', 'invoices', 'papers', 'screenshots', 'memes', 'photos'],
+
+    // Ordered rename rules (see rules.js); first match wins
+    rules: [],
+
+    // Prompt profiles (see prompts.js) and the ones used when no rule picks one ('' = built-in prompt)
+    promptProfiles: [],
+    imagePromptProfile: '',
+    textPromptProfile: '',
+
+    // How the file is read for naming: 'fetch' the URL again (name is set before saving), or
+    // let the browser finish its download and read the 'saved' file (re-saved under the new name)
+    readFrom: 'fetch',
+
     // PDF options (text-only: we extract locally; only extracted text is sent)
     enablePdfRenaming: true,
     pdfMaxChars: 2500,              // Max extracted chars to send to AI
-    pdfMaxStreams: 12,              // Approx "first few pages" (content streams)
+    pdfMaxPages: 3,                 // Pages read from the start of the PDF
+    enableDocumentRenaming: true,   // Office / OpenDocument / EPUB / text (doc-extract.js), same text limit
+    enablePdfOcr: true,             // Scanned PDFs: send the first page images to the vision model
+    pdfOcrMinChars: 80,             // ...when less text than this was extracted
+    structuredNaming: false,        // Invoices/receipts/statements: name from extracted fields (entities.js)
+    structuredTemplate: '{docdate}_{org}_{doc_type}_{ref}',
+
+    // Files downloaded before (duplicates.js): 'off', 'reuse' the earlier name, 'warn' or 'cancel'
+    duplicateAction: 'reuse',
+
+    // Batch downloads (batch.js): 'off', 'first' or 'together'
+    batchMode: 'off',
+    batchWindowSec: 3,              // Max gap between downloads of one burst
+
+    // Rename downloads as they start; when off, only the context menu (and history) renames
+    autoRename: true,
+    disabledSites: [],              // Hostname globs where downloads are never renamed automatically
+    allowedSites: [],               // If set, only these sites are renamed automatically
+
+    // Model for the "rename again with the stronger model" shortcut ('' = the provider's best, see providers.js)
+    strongerModel: '',
+
+    // Confirm window before a rename is applied
+    confirmRenames: false,
+    confirmTimeoutSec: 30,
+    confirmTimeoutAction: 'accept', // 'accept' the suggestion or keep the 'original' name
+
+    // History (IndexedDB); 0 keeps everything
+    historyRetention: 5000,
 
     // UX
     enableNotifications: true,
     debug: false
   },
 
+  // Languages names can be written in (nameLanguage setting)
+  LANGUAGES: {
+    en: 'English',
+    de: 'German',
+    fr: 'French',
+    es: 'Spanish',
+    it: 'Italian',
+    pt: 'Portuguese',
+    nl: 'Dutch',
+    pl: 'Polish',
+    sv: 'Swedish',
+    tr: 'Turkish',
+    ru: 'Russian',
+    uk: 'Ukrainian',
+    ja: 'Japanese',
+    zh: 'Chinese',
+    ko: 'Korean'
+  },
+
   // Supported image types
   IMAGE_TYPES: {
     'jpg': 'image/jpeg',
     'jpeg': 'image/jpeg',
     'png': 'image/png',
     'webp': 'image/webp',
-    'gif': 'image/gif'
+    'gif': 'image/gif',
+    'avif': 'image/avif',
+    'heic': 'image/heic',
+    'heif': 'image/heif',
+    'bmp': 'image/bmp',
+    'tiff': 'image/tiff',
+    'tif': 'image/tiff',
+    'svg': 'image/svg+xml',
+    'ico': 'image/x-icon'
   },
 
   // Supported document types
   DOC_TYPES: {
-    'pdf': 'application/pdf'
+    'pdf': 'application/pdf',
+    'docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    'xlsx': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    'pptx': 'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+    'odt': 'application/vnd.oasis.opendocument.text',
+    'ods': 'application/vnd.oasis.opendocument.spreadsheet',
+    'odp': 'application/vnd.oasis.opendocument.presentation',
+    'epub': 'application/epub+zip',
+    'txt': 'text/plain',
+    'md': 'text/markdown',
+    'markdown': 'text/markdown',
+    'csv': 'text/csv'
   },
 
-  // Rate limiting (Hugging Face free tier)
+  // Retries for 429 / 5xx responses (exponential backoff unless Retry-After says otherwise)
   RATE_LIMIT: {
-    maxPerMinute: 30,      // Conservative limit
-    retryDelay: 2000,      // 2 seconds
+    retryDelay: 2000,      // 2 seconds, doubled per attempt
     maxRetries: 3
   }
 };
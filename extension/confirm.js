@@ -0,0 +1,166 @@
+/**
+ * Confirm Window Logic
+ * Shows the AI suggestion for a pending download; the background worker holds the
+ * download until this page answers or the timeout default kicks in.
+ */
+
+const id = new URLSearchParams(location.search).get('id');
+
+const elements = {
+  error: document.getElementById('error'),
+  preview: document.getElementById('preview'),
+  basename: document.getElementById('basename'),
+  ext: document.getElementById('ext'),
+  folder: document.getElementById('folder'),
+  alternatives: document.getElementById('alternatives'),
+  acceptBtn: document.getElementById('acceptBtn'),
+  regenerateBtn: document.getElementById('regenerateBtn'),
+  originalBtn: document.getElementById('originalBtn'),
+  countdown: document.getElementById('countdown')
+};
+
+let expiresAt = 0;
+let timeoutAction = 'accept';
+
+// Render the pending rename
+async function load() {
+  const details = await chrome.runtime.sendMessage({ type: 'confirm:get', id });
+
+  if (!details || details.error) {
+    showError(details?.error || 'Nothing to confirm.');
+    setButtonsDisabled(true);
+    return;
+  }
+
+  renderPreview(details);
+
+  elements.basename.value = details.suggestion;
+  elements.ext.textContent = `.${details.ext}`;
+  elements.folder.value = details.folder;
+  elements.regenerateBtn.disabled = !details.canRegenerate;
+  elements.regenerateBtn.title = details.canRegenerate ? '' : 'Only available for AI names';
+
+  renderAlternatives(details.alternatives);
+
+  expiresAt = details.expiresAt;
+  timeoutAction = details.timeoutAction;
+  updateCountdown();
+  setInterval(updateCountdown, 1000);
+
+  elements.basename.focus();
+  elements.basename.select();
+}
+
+function renderPreview(details) {
+  elements.preview.innerHTML = '';
+
+  if (details.preview) {
+    const img = document.createElement('img');
+    img.src = details.preview;
+    img.alt = details.caption || '';
+    elements.preview.appendChild(img);
+  } else {
+    const icon = document.createElement('div');
+    icon.className = 'doc-icon';
+    icon.textContent = { pdf: '📄', document: '📝' }[details.fileType] || '🖼️';
+
+    const title = document.createElement('div');
+    title.className = 'doc-title';
+    title.textContent = details.title || details.caption || '';
+
+    elements.preview.append(icon, title);
+  }
+
+  const original = document.createElement('div');
+  original.className = 'original';
+  original.textContent = `Original: ${details.original}`;
+  elements.preview.appendChild(original);
+}
+
+function renderAlternatives(alternatives) {
+  elements.alternatives.innerHTML = '';
+
+  for (const name of alternatives) {
+    const chip = document.createElement('button');
+    chip.className = 'alt';
+    chip.textContent = name;
+    chip.addEventListener('click', () => {
+      elements.basename.value = name;
+      elements.basename.focus();
+    });
+    elements.alternatives.appendChild(chip);
+  }
+}
+
+function updateCountdown() {
+  const seconds = Math.max(0, Math.ceil((expiresAt - Date.now()) / 1000));
+  elements.countdown.textContent = timeoutAction === 'original'
+    ? `Keeping the original name in ${seconds}s`
+    : `Accepting the suggestion in ${seconds}s`;
+}
+
+// Actions
+async function accept() {
+  setButtonsDisabled(true);
+  await chrome.runtime.sendMessage({
+    type: 'confirm:resolve',
+    id,
+    action: 'accept',
+    basename: elements.basename.value.trim(),
+    folder: elements.folder.value.trim()
+  });
+  window.close();
+}
+
+async function keepOriginal() {
+  setButtonsDisabled(true);
+  await chrome.runtime.sendMessage({ type: 'confirm:resolve', id, action: 'original' });
+  window.close();
+}
+
+async function regenerate() {
+  setButtonsDisabled(true);
+  elements.regenerateBtn.textContent = 'Thinking...';
+
+  try {
+    const result = await chrome.runtime.sendMessage({ type: 'confirm:regenerate', id });
+    if (result?.error) throw new Error(result.error);
+
+    // Keep the previous suggestion around as an alternative
+    const previous = elements.basename.value.trim();
+    const chips = [...elements.alternatives.querySelectorAll('.alt')].map((el) => el.textContent);
+    renderAlternatives([...new Set([previous, ...chips])].filter((n) => n && n !== result.suggestion).slice(0, 4));
+
+    elements.basename.value = result.suggestion;
+    elements.folder.value = result.folder;
+    showError('');
+  } catch (error) {
+    showError(error.message);
+  } finally {
+    setButtonsDisabled(false);
+    elements.regenerateBtn.textContent = '↻ Regenerate';
+  }
+}
+
+// Helpers
+function setButtonsDisabled(disabled) {
+  elements.acceptBtn.disabled = disabled;
+  elements.originalBtn.disabled = disabled;
+  elements.regenerateBtn.disabled = disabled;
+}
+
+function showError(message) {
+  elements.error.textContent = message;
+  elements.error.style.display = message ? 'block' : 'none';
+}
+
+// Event listeners
+elements.acceptBtn.addEventListener('click', accept);
+elements.originalBtn.addEventListener('click', keepOriginal);
+elements.regenerateBtn.addEventListener('click', regenerate);
+elements.basename.addEventListener('keydown', (e) => {
+  if (e.key === 'Enter') accept();
+});
+
+// Initialize
+load();
@@ -0,0 +1,67 @@
+/**
+ * Context Menus
+ * Right-click entries on images, links and PDFs: "Save with smart name", "Save with smart
+ * name into…" (one of the configured folders) and "Just suggest a name". The menus are
+ * rebuilt when the settings change; clicks are handled in background.js.
+ */
+
+export const MENU_ACTIONS = {
+  SAVE: 'save',
+  SAVE_INTO: 'save-into',
+  SUGGEST: 'suggest'
+};
+
+// Images and links on any page; the page itself only when it is a PDF
+const SCOPES = [
+  { key: 'item', contexts: ['image', 'link'] },
+  { key: 'pdf', contexts: ['page', 'frame'], documentUrlPatterns: ['*://*/*.pdf', '*://*/*.pdf?*', 'file:///*.pdf'] }
+];
+
+const MAX_FOLDERS = 12;
+
+// Serializes rebuilds (settings can change twice in a row)
+let building = Promise.resolve();
+
+// Recreate every entry; folders come from the given settings
+export function buildContextMenus(settings) {
+  building = building.then(async () => {
+    await chrome.contextMenus.removeAll();
+
+    for (const { key, ...where } of SCOPES) {
+      const into = `${key}:${MENU_ACTIONS.SAVE_INTO}`;
+
+      createItem({ ...where, id: `${key}:${MENU_ACTIONS.SAVE}`, title: 'Save with smart name' });
+      createItem({ ...where, id: into, title: 'Save with smart name into…' });
+      for (const folder of menuFolders(settings)) {
+        createItem({ ...where, parentId: into, id: `${into}:${folder}`, title: folder ? folder.replace(/&/g, '&&') : 'Downloads folder' });
+      }
+      createItem({ ...where, id: `${key}:${MENU_ACTIONS.SUGGEST}`, title: 'Just suggest a name' });
+    }
+  }).catch((error) => console.warn('[Smart Rename] Could not build the context menu:', error));
+
+  return building;
+}
+
+// Folders offered by "Save with smart name into…": the Downloads folder itself and
+// every folder template in use (image, PDF, enabled rules)
+export function menuFolders(settings) {
+  const templates = [
+    settings.imageFolderTemplate,
+    settings.pdfFolderTemplate,
+    ...(settings.rules || []).filter((rule) => rule.enabled !== false).map((rule) => rule.folder)
+  ].map((template) => (template || '').trim()).filter(Boolean);
+
+  return ['', ...new Set(templates)].slice(0, MAX_FOLDERS);
+}
+
+// "item:save-into:Invoices/{year}" -> { action: 'save-into', folder: 'Invoices/{year}' } (null if not ours)
+export function parseMenuItem(menuItemId) {
+  const match = /^(?:item|pdf):([\w-]+)(?::([\s\S]*))?$/.exec(String(menuItemId));
+  if (!match || !Object.values(MENU_ACTIONS).includes(match[1])) return null;
+
+  return { action: match[1], folder: match[2] ?? null };
+}
+
+function createItem(properties) {
+  chrome.contextMenus.create(properties, () => void chrome.runtime.lastError);
+}
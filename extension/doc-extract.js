@@ -0,0 +1,484 @@
+/**
+ * Document text extraction (no external libraries).
+ *
+ * Reads just enough from the beginning of Office / OpenDocument / EPUB / plain-text files
+ * to name them, the same way pdf-extract.js does for PDFs. Nothing is uploaded.
+ *
+ * Notes:
+ * - OOXML (docx/xlsx/pptx), ODF (odt/ods/odp) and EPUB are ZIP archives; entries are
+ *   inflated with the built-in DecompressionStream('deflate-raw').
+ * - Only the first megabytes of each XML part are read; regex extraction copes with the cut.
+ */
+
+const utf8Decoder = new TextDecoder('utf-8');
+
+// Per-extension document kind (used for prompts + history)
+export const DOCUMENT_KINDS = {
+  docx: 'word',
+  odt: 'word',
+  xlsx: 'spreadsheet',
+  ods: 'spreadsheet',
+  pptx: 'presentation',
+  odp: 'presentation',
+  epub: 'ebook',
+  txt: 'text',
+  md: 'markdown',
+  markdown: 'markdown',
+  csv: 'csv'
+};
+
+const MAX_ENTRY_BYTES = 2 * 1024 * 1024;
+const MAX_LINES = 40;
+
+/**
+ * Returns { kind, title, excerpt, lines } like extractPdfPreviewText.
+ * ext: lower-case file extension (a key of DOCUMENT_KINDS)
+ */
+export async function extractDocumentText(buffer, ext, opts = {}) {
+  const maxChars = clampInt(opts.maxChars ?? 2500, 200, 12000);
+  const kind = DOCUMENT_KINDS[ext];
+  if (!kind) throw new Error(`Unsupported document type: .${ext}`);
+
+  const bytes = new Uint8Array(buffer);
+  let result;
+
+  switch (ext) {
+    case 'docx': result = await extractDocx(bytes); break;
+    case 'xlsx': result = await extractXlsx(bytes); break;
+    case 'pptx': result = await extractPptx(bytes); break;
+    case 'odt':
+    case 'ods':
+    case 'odp': result = await extractOdf(bytes); break;
+    case 'epub': result = await extractEpub(bytes, maxChars); break;
+    case 'csv': result = extractCsv(decodeText(bytes)); break;
+    case 'md':
+    case 'markdown': result = extractMarkdown(decodeText(bytes)); break;
+    default: result = extractPlainText(decodeText(bytes));
+  }
+
+  const lines = result.lines.map(cleanupText).filter(Boolean).slice(0, MAX_LINES);
+
+  return {
+    kind,
+    title: cleanupText(result.title || '').slice(0, 200),
+    excerpt: cleanupText(result.excerpt ?? lines.join(' ')).slice(0, maxChars),
+    lines
+  };
+}
+
+/* ------------------------------ OOXML ------------------------------ */
+
+async function extractDocx(bytes) {
+  const zip = readZip(bytes);
+  const title = await coreTitle(zip);
+  const xml = await zip.text('word/document.xml');
+
+  // Paragraphs in document order; runs (<w:t>) joined, tabs as spaces
+  const lines = matchAll(xml, /<w:p[ >][\s\S]*?<\/w:p>/g)
+    .map((p) => p.replace(/<w:tab\/>/g, '<w:t> </w:t>'))
+    .map((p) => decodeXmlEntities(matchAll(p, /<w:t(?:\s[^>]*)?>([^<]*)<\/w:t>/g, 1).join('')));
+
+  return { title, lines };
+}
+
+async function extractXlsx(bytes) {
+  const zip = readZip(bytes);
+  const title = await coreTitle(zip);
+
+  const workbook = await zip.text('xl/workbook.xml');
+  const sheetNames = matchAll(workbook, /<sheet\b[^>]*\bname="([^"]*)"/g, 1).map(decodeXmlEntities);
+
+  const shared = matchAll(await zip.text('xl/sharedStrings.xml'), /<si>([\s\S]*?)<\/si>/g, 1)
+    .map((si) => decodeXmlEntities(matchAll(si, /<t(?:\s[^>]*)?>([^<]*)<\/t>/g, 1).join('')));
+
+  // First worksheet: the lowest sheetN.xml
+  const firstSheet = zip.names
+    .filter((name) => /^xl\/worksheets\/sheet\d+\.xml$/.test(name))
+    .sort((a, b) => sheetNumber(a) - sheetNumber(b))[0];
+
+  const rows = firstSheet ? readSheetRows(await zip.text(firstSheet), shared) : [];
+  const lines = rows.map((cells) => cells.join(' | '));
+
+  const excerpt = [
+    sheetNames.length ? `Sheets: ${sheetNames.join(', ')}` : '',
+    ...lines
+  ].filter(Boolean).join('\n');
+
+  return { title, lines, excerpt };
+}
+
+// Rows of cell texts (shared strings resolved, numbers kept)
+function readSheetRows(xml, shared) {
+  return matchAll(xml, /<row\b[^>]*>([\s\S]*?)<\/row>/g, 1)
+    .slice(0, 20)
+    .map((row) => matchAll(row, /<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g, 0)
+      .map((cell) => {
+        const type = (cell.match(/\bt="([^"]+)"/) || [])[1];
+        const value = (cell.match(/<v>([^<]*)<\/v>/) || [])[1];
+        if (type === 's') return shared[Number(value)] || '';
+        if (type === 'inlineStr') return decodeXmlEntities(matchAll(cell, /<t(?:\s[^>]*)?>([^<]*)<\/t>/g, 1).join(''));
+        return value ? decodeXmlEntities(value) : '';
+      })
+      .map(cleanupText)
+      .filter(Boolean))
+    .filter((cells) => cells.length);
+}
+
+async function extractPptx(bytes) {
+  const zip = readZip(bytes);
+  const title = await coreTitle(zip);
+
+  const slides = zip.names
+    .filter((name) => /^ppt\/slides\/slide\d+\.xml$/.test(name))
+    .sort((a, b) => sheetNumber(a) - sheetNumber(b))
+    .slice(0, 8);
+
+  // Slide titles first (first paragraph of each slide), then the rest of the text
+  const titles = [];
+  const body = [];
+
+  for (const name of slides) {
+    const paragraphs = matchAll(await zip.text(name), /<a:p>([\s\S]*?)<\/a:p>/g, 1)
+      .map((p) => cleanupText(decodeXmlEntities(matchAll(p, /<a:t>([^<]*)<\/a:t>/g, 1).join(''))))
+      .filter(Boolean);
+
+    if (paragraphs.length) titles.push(paragraphs[0]);
+    body.push(...paragraphs.slice(1));
+  }
+
+  return {
+    title,
+    lines: [...titles, ...body],
+    excerpt: [...titles.map((t, i) => `Slide ${i + 1}: ${t}`), ...body].join('\n')
+  };
+}
+
+// docProps/core.xml <dc:title>
+async function coreTitle(zip) {
+  const core = await zip.text('docProps/core.xml');
+  return xmlElementText(core, 'dc:title');
+}
+
+/* ------------------------------ OpenDocument ------------------------------ */
+
+async function extractOdf(bytes) {
+  const zip = readZip(bytes);
+  const title = xmlElementText(await zip.text('meta.xml'), 'dc:title');
+
+  const content = (await zip.text('content.xml'))
+    .replace(/<text:(?:s|tab|line-break)\b[^>]*\/>/g, ' ');
+
+  // Headings and paragraphs (also holds spreadsheet cells and slide text)
+  const lines = matchAll(content, /<text:(h|p)\b[^>]*>([\s\S]*?)<\/text:\1>/g, 2)
+    .map((inner) => decodeXmlEntities(inner.replace(/<[^>]*>/g, '')));
+
+  return { title, lines };
+}
+
+/* ------------------------------ EPUB ------------------------------ */
+
+async function extractEpub(bytes, maxChars) {
+  const zip = readZip(bytes);
+
+  const container = await zip.text('META-INF/container.xml');
+  const opfPath = decodeXmlEntities((container.match(/full-path="([^"]+)"/) || [])[1] || '');
+  const opf = opfPath ? await zip.text(opfPath) : '';
+  const baseDir = opfPath.includes('/') ? opfPath.slice(0, opfPath.lastIndexOf('/') + 1) : '';
+
+  const title = xmlElementText(opf, 'dc:title');
+  const author = xmlElementText(opf, 'dc:creator');
+
+  // Manifest id -> href, then walk the spine in reading order
+  const manifest = new Map();
+  for (const item of matchAll(opf, /<item\b[^>]*>/g)) {
+    const id = attr(item, 'id');
+    const href = attr(item, 'href');
+    if (id && href) manifest.set(id, href);
+  }
+  const spine = matchAll(opf, /<itemref\b[^>]*>/g).map((ref) => manifest.get(attr(ref, 'idref'))).filter(Boolean);
+
+  const lines = [];
+  let text = '';
+
+  for (const href of spine.slice(0, 12)) {
+    if (text.length >= maxChars) break;
+
+    const html = await zip.text(resolvePath(baseDir, href));
+    const chapter = htmlText(html);
+    if (chapter.text.length < 40) continue; // cover pages, blank separators
+
+    lines.push(...chapter.headings);
+    text += `${chapter.text} `;
+  }
+
+  return {
+    title,
+    lines,
+    excerpt: [author ? `Author: ${author}` : '', text].filter(Boolean).join('\n')
+  };
+}
+
+function htmlText(html) {
+  const body = html
+    .replace(/<head[\s\S]*?<\/head>/i, ' ')
+    .replace(/<(script|style)\b[\s\S]*?<\/\1>/gi, ' ');
+
+  const headings = matchAll(body, /<h[1-3]\b[^>]*>([\s\S]*?)<\/h[1-3]>/gi, 1)
+    .map((h) => cleanupText(decodeXmlEntities(h.replace(/<[^>]*>/g, ' '))));
+
+  return {
+    headings,
+    text: cleanupText(decodeXmlEntities(body.replace(/<[^>]*>/g, ' ')))
+  };
+}
+
+function resolvePath(baseDir, href) {
+  const parts = `${baseDir}${safeDecodeUri(href.split('#')[0])}`.split('/');
+  const out = [];
+  for (const part of parts) {
+    if (part === '..') out.pop();
+    else if (part && part !== '.') out.push(part);
+  }
+  return out.join('/');
+}
+
+/* ------------------------------ plain text ------------------------------ */
+
+function extractPlainText(text) {
+  const lines = text.split(/\r?\n/).map((l) => l.trim()).filter(Boolean).slice(0, MAX_LINES);
+  // A short first line usually is a title
+  const title = lines[0] && lines[0].length <= 100 ? lines[0] : '';
+  return { title, lines, excerpt: text.slice(0, 20000) };
+}
+
+function extractMarkdown(text) {
+  // Front matter "title:" wins over the first "# " heading
+  const frontMatter = text.match(/^---\r?\n([\s\S]*?)\r?\n---/);
+  const fmTitle = frontMatter && (frontMatter[1].match(/^title:\s*["']?(.+?)["']?\s*$/m) || [])[1];
+  const body = frontMatter ? text.slice(frontMatter[0].length) : text;
+
+  const heading = (body.match(/^#{1,2}\s+(.+)$/m) || [])[1];
+  const plain = stripMarkdown(body);
+
+  return {
+    title: fmTitle || heading || '',
+    lines: plain.split(/\r?\n/).map((l) => l.trim()).filter(Boolean).slice(0, MAX_LINES),
+    excerpt: plain.slice(0, 20000)
+  };
+}
+
+function stripMarkdown(text) {
+  return text
+    .replace(/```[\s\S]*?```/g, ' ')
+    .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/^\s{0,3}(#{1,6}|>|[-*+]|\d+\.)\s+/gm, '')
+    .replace(/[*_`~]+/g, '');
+}
+
+function extractCsv(text) {
+  const rows = text.split(/\r?\n/).filter((l) => l.trim()).slice(0, 20);
+  const delimiter = detectDelimiter(rows[0] || '');
+  const cells = rows.map((row) => splitCsvRow(row, delimiter).map(cleanupText).filter(Boolean));
+
+  const [header = [], ...data] = cells;
+  const rowLines = data.map((row) => row.join(' | '));
+
+  return {
+    title: '',
+    lines: [header.join(' '), ...rowLines], // Column names describe the file best offline
+    excerpt: [`Columns: ${header.join(', ')}`, ...rowLines].join('\n')
+  };
+}
+
+function detectDelimiter(line) {
+  const counts = [',', ';', '\t', '|'].map((d) => [d, line.split(d).length]);
+  return counts.sort((a, b) => b[1] - a[1])[0][0];
+}
+
+// Handles quoted fields ("a, b" and "" escapes) within a single line
+function splitCsvRow(row, delimiter) {
+  const out = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < row.length; i++) {
+    const ch = row[i];
+    if (quoted) {
+      if (ch === '"' && row[i + 1] === '"') { field += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else field += ch;
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === delimiter) {
+      out.push(field);
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+
+  out.push(field);
+  return out;
+}
+
+/* ------------------------------ ZIP reader ------------------------------ */
+
+// Minimal ZIP reader: central directory + stored/deflated entries (no ZIP64, no encryption)
+function readZip(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const eocd = findEndOfCentralDirectory(view);
+  if (eocd < 0) throw new Error('Not a valid ZIP-based document');
+
+  const count = view.getUint16(eocd + 10, true);
+  let offset = view.getUint32(eocd + 16, true);
+  const entries = new Map();
+
+  for (let i = 0; i < count && offset + 46 <= bytes.length; i++) {
+    if (view.getUint32(offset, true) !== 0x02014b50) break;
+
+    const flags = view.getUint16(offset + 8, true);
+    const method = view.getUint16(offset + 10, true);
+    const compressedSize = view.getUint32(offset + 20, true);
+    const nameLength = view.getUint16(offset + 28, true);
+    const extraLength = view.getUint16(offset + 30, true);
+    const commentLength = view.getUint16(offset + 32, true);
+    const localOffset = view.getUint32(offset + 42, true);
+    const name = utf8Decoder.decode(bytes.subarray(offset + 46, offset + 46 + nameLength));
+
+    if (!(flags & 1)) entries.set(name, { method, compressedSize, localOffset });
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+
+  return {
+    names: [...entries.keys()],
+    // Entry as text ('' when missing or unreadable)
+    async text(name) {
+      const entry = entries.get(name);
+      if (!entry) return '';
+      const data = await readEntry(bytes, view, entry).catch(() => null);
+      return data ? utf8Decoder.decode(data) : '';
+    }
+  };
+}
+
+function findEndOfCentralDirectory(view) {
+  const min = Math.max(0, view.byteLength - 65557);
+  for (let i = view.byteLength - 22; i >= min; i--) {
+    if (view.getUint32(i, true) === 0x06054b50) return i;
+  }
+  return -1;
+}
+
+async function readEntry(bytes, view, { method, compressedSize, localOffset }) {
+  if (view.getUint32(localOffset, true) !== 0x04034b50) return null;
+
+  const nameLength = view.getUint16(localOffset + 26, true);
+  const extraLength = view.getUint16(localOffset + 28, true);
+  const start = localOffset + 30 + nameLength + extraLength;
+  const data = bytes.subarray(start, start + compressedSize);
+
+  if (method === 0) return data.subarray(0, MAX_ENTRY_BYTES);
+  if (method === 8) return inflateRaw(data, MAX_ENTRY_BYTES);
+  return null;
+}
+
+// Inflate at most maxBytes (the beginning is all we need)
+async function inflateRaw(data, maxBytes) {
+  if (typeof DecompressionStream === 'undefined') return null;
+
+  const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+  const reader = stream.getReader();
+  const chunks = [];
+  let total = 0;
+
+  try {
+    while (total < maxBytes) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      chunks.push(value);
+      total += value.length;
+    }
+  } catch {
+    // Truncated/corrupt data: keep what was inflated so far
+  } finally {
+    reader.cancel().catch(() => {});
+  }
+
+  const out = new Uint8Array(Math.min(total, maxBytes));
+  let pos = 0;
+  for (const chunk of chunks) {
+    const part = chunk.subarray(0, out.length - pos);
+    out.set(part, pos);
+    pos += part.length;
+    if (pos >= out.length) break;
+  }
+  return out;
+}
+
+/* ------------------------------ utilities ------------------------------ */
+
+function decodeText(bytes) {
+  // UTF-16 with BOM (Windows Notepad exports), else UTF-8 (BOM stripped by TextDecoder)
+  if (bytes[0] === 0xFF && bytes[1] === 0xFE) return new TextDecoder('utf-16le').decode(bytes.subarray(0, 200000));
+  if (bytes[0] === 0xFE && bytes[1] === 0xFF) return new TextDecoder('utf-16be').decode(bytes.subarray(0, 200000));
+  return utf8Decoder.decode(bytes.subarray(0, 100000));
+}
+
+function matchAll(text, re, group = 0) {
+  return [...(text || '').matchAll(re)].map((m) => m[group] ?? '');
+}
+
+function xmlElementText(xml, tag) {
+  const m = (xml || '').match(new RegExp(`<${tag}\\b[^>]*>([\\s\\S]*?)</${tag}>`));
+  return m ? cleanupText(decodeXmlEntities(m[1].replace(/<[^>]*>/g, ' '))) : '';
+}
+
+function attr(tag, name) {
+  const m = tag.match(new RegExp(`\\b${name}="([^"]*)"`));
+  return m ? decodeXmlEntities(m[1]) : '';
+}
+
+function sheetNumber(name) {
+  return Number((name.match(/(\d+)\.xml$/) || [])[1] || 0);
+}
+
+function decodeXmlEntities(s) {
+  return (s || '')
+    .replace(/&#x([0-9a-f]+);/gi, (_, hex) => safeFromCodePoint(parseInt(hex, 16)))
+    .replace(/&#(\d+);/g, (_, dec) => safeFromCodePoint(parseInt(dec, 10)))
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&amp;/g, '&');
+}
+
+function safeFromCodePoint(code) {
+  try {
+    return String.fromCodePoint(code);
+  } catch {
+    return ' ';
+  }
+}
+
+function safeDecodeUri(s) {
+  try {
+    return decodeURIComponent(s);
+  } catch {
+    return s;
+  }
+}
+
+function cleanupText(s) {
+  return (s || '')
+    .replace(/[\u0000-\u001F]+/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function clampInt(n, min, max) {
+  const x = Number.isFinite(n) ? Math.floor(n) : min;
+  return Math.max(min, Math.min(max, x));
+}
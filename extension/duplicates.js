@@ -0,0 +1,124 @@
+/**
+ * Duplicate Detection
+ * Fingerprints every analyzed file (SHA-256 of its bytes, plus a 64-bit difference hash for
+ * images) and keeps an index of recent names in chrome.storage.local. A file seen before (same
+ * bytes) can reuse its earlier name instead of an AI call. A close difference hash only marks a
+ * similar picture (resized, re-encoded, but also crops and colour variants): it is never
+ * treated as the same file.
+ */
+
+import { CONFIG } from './config.js';
+import { sniffImageType, decodeTiff } from './image-formats.js';
+
+export const DUPLICATE_ACTIONS = {
+  off: 'Off (name every file)',
+  reuse: 'Reuse the earlier name',
+  warn: 'Reuse the earlier name and warn me',
+  cancel: 'Cancel the download'
+};
+
+const MAX_ENTRIES = 2000;
+const MAX_PHASH_DISTANCE = 5; // Differing bits (of 64) that still count as a similar picture
+
+// Serializes index writes (renames run in parallel)
+let writing = Promise.resolve();
+
+/**
+ * Fingerprint of a file's bytes. parts: ArrayBuffers hashed together (head + tail of a
+ * large PDF); images also get a perceptual hash when the browser can decode them.
+ * Returns { sha256, phash } (phash '' when there is none).
+ */
+export async function fingerprint(parts, { image = false } = {}) {
+  const list = (Array.isArray(parts) ? parts : [parts]).filter(Boolean);
+  const bytes = list.length === 1 ? list[0] : await new Blob(list).arrayBuffer();
+  const digest = await crypto.subtle.digest('SHA-256', bytes);
+
+  return {
+    sha256: toHex(new Uint8Array(digest)),
+    phash: image ? await perceptualHash(list[0]).catch(() => '') : ''
+  };
+}
+
+/**
+ * Most recent file with this fingerprint and type: { entry, exact: true } for the same bytes,
+ * { entry, exact: false } for (images) a close picture only, null if none.
+ */
+export async function findDuplicate({ sha256, phash }, fileType) {
+  const index = (await loadIndex()).filter((entry) => entry.fileType === fileType);
+
+  const same = index.find((entry) => entry.sha256 === sha256);
+  if (same) return { entry: same, exact: true };
+
+  const similar = phash && index.find((entry) => entry.phash && hammingDistance(entry.phash, phash) <= MAX_PHASH_DISTANCE);
+  return similar ? { entry: similar, exact: false } : null;
+}
+
+/**
+ * Record a renamed file (replaces an older entry with the same bytes).
+ * entry: { sha256, phash, fileType, basename, renamed, folder, caption, category, title, historyId }
+ */
+export function rememberFile(entry) {
+  writing = writing.then(async () => {
+    const index = (await loadIndex()).filter((old) => old.sha256 !== entry.sha256);
+    index.unshift({ ...entry, timestamp: Date.now() });
+    await chrome.storage.local.set({ [CONFIG.STORAGE.DUPLICATES]: index.slice(0, MAX_ENTRIES) });
+  }).catch((error) => console.warn('[Smart Rename] Could not update the duplicate index:', error));
+  return writing;
+}
+
+export async function clearDuplicateIndex() {
+  await chrome.storage.local.remove(CONFIG.STORAGE.DUPLICATES);
+}
+
+/* ------------------------------ internals ------------------------------ */
+
+async function loadIndex() {
+  const data = await chrome.storage.local.get(CONFIG.STORAGE.DUPLICATES);
+  return data[CONFIG.STORAGE.DUPLICATES] || [];
+}
+
+// dHash: shrink to 9x8 grayscale, one bit per pixel (brighter than its right neighbour?)
+async function perceptualHash(buffer) {
+  const source = sniffImageType(buffer) === 'tiff' ? await decodeTiff(buffer) : new Blob([buffer]);
+  if (!source) return '';
+
+  const bitmap = await createImageBitmap(source, { resizeWidth: 9, resizeHeight: 8, resizeQuality: 'medium' });
+  const canvas = new OffscreenCanvas(9, 8);
+  const ctx = canvas.getContext('2d');
+  ctx.drawImage(bitmap, 0, 0);
+  const { data } = ctx.getImageData(0, 0, 9, 8);
+
+  const gray = (x, y) => {
+    const i = (y * 9 + x) * 4;
+    return data[i] * 0.299 + data[i + 1] * 0.587 + data[i + 2] * 0.114;
+  };
+
+  const bytes = new Uint8Array(8);
+  for (let y = 0; y < 8; y++) {
+    for (let x = 0; x < 8; x++) {
+      if (gray(x, y) > gray(x + 1, y)) bytes[y] |= 1 << x;
+    }
+  }
+
+  // Flat images (blank, single colour) all hash to zero: too weak to call them the same
+  return bytes.some(Boolean) ? toHex(bytes) : '';
+}
+
+// Differing bits of two hex hashes (Infinity if their lengths differ)
+export function hammingDistance(a, b) {
+  if (a.length !== b.length) return Infinity;
+
+  let distance = 0;
+  for (let i = 0; i < a.length; i += 2) {
+    let bits = parseInt(a.slice(i, i + 2), 16) ^ parseInt(b.slice(i, i + 2), 16);
+    while (bits) {
+      distance += bits & 1;
+      bits >>= 1;
+    }
+  }
+  return distance;
+}
+
+function toHex(bytes) {
+  return Array.from(bytes, (byte) => byte.toString(16).padStart(2, '0')).join('');
+}
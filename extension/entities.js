@@ -0,0 +1,194 @@
+/**
+ * Structured document fields
+ * Invoices, receipts and statements are named from fields instead of free-form words, so the
+ * same kind of document always gets the same shape of name: 2026-03-14_Acme_Invoice_INV-4471.
+ * Fields come from a JSON reply of the model (validated here) and from local regexes.
+ */
+
+import { detectDate, detectReference } from './heuristics.js';
+
+// Field -> what the model is told about it
+export const ENTITY_FIELDS = {
+  doc_type: 'kind of document in 1-2 words, e.g. Invoice, Receipt, Bank Statement, Contract, Payslip',
+  organization: 'company or institution that issued it (short name, no legal suffix)',
+  date: 'document date as YYYY-MM-DD',
+  reference: 'invoice / order / account / policy number exactly as printed',
+  amount: 'total amount with currency code, e.g. 129.99 EUR',
+  person: 'name of the person it is addressed to'
+};
+
+// Keywords near the top of the text -> document type
+const DOC_TYPE_WORDS = {
+  Invoice: /\b(invoice|rechnung|facture|factura|fattura)\b/i,
+  Receipt: /\b(receipt|quittung|kassenbon|reçu|recibo)\b/i,
+  Statement: /\b(statement|kontoauszug|relevé)\b/i,
+  Quote: /\b(quote|quotation|angebot|devis)\b/i,
+  Order: /\b(order confirmation|bestellbestätigung|purchase order)\b/i,
+  Contract: /\b(contract|agreement|vertrag)\b/i,
+  Payslip: /\b(payslip|pay slip|gehaltsabrechnung|lohnabrechnung)\b/i,
+  Reminder: /\b(payment reminder|mahnung)\b/i
+};
+
+/**
+ * Parse and validate a model reply against ENTITY_FIELDS.
+ * Returns { ok: true, fields } or { ok: false, error } (error is fed back to the model on retry).
+ */
+export function parseEntityReply(reply) {
+  const json = (reply || '').replace(/```(?:json)?/gi, '').match(/\{[\s\S]*\}/);
+  if (!json) return { ok: false, error: 'The reply was not a JSON object.' };
+
+  let data;
+  try {
+    data = JSON.parse(json[0]);
+  } catch {
+    return { ok: false, error: 'The reply was not valid JSON.' };
+  }
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return { ok: false, error: 'The reply must be a single JSON object.' };
+  }
+
+  const fields = {};
+  for (const key of Object.keys(ENTITY_FIELDS)) {
+    const value = data[key];
+    if (value == null || value === '') {
+      fields[key] = '';
+    } else if (typeof value === 'string' || typeof value === 'number') {
+      fields[key] = String(value).replace(/\s+/g, ' ').trim().slice(0, 80);
+    } else {
+      return { ok: false, error: `"${key}" must be a string or null.` };
+    }
+  }
+
+  if (fields.date && !/^\d{4}-\d{2}-\d{2}$/.test(fields.date)) {
+    const date = detectDate(fields.date);
+    if (!date) return { ok: false, error: '"date" must be YYYY-MM-DD or null.' };
+    fields.date = date;
+  }
+
+  if (!Object.values(fields).some(Boolean)) {
+    return { ok: false, error: 'All fields were empty; fill in the ones you can read.' };
+  }
+
+  return { ok: true, fields };
+}
+
+// Fields found by regex in the extracted text (no AI)
+export function localEntities(text) {
+  const s = text || '';
+
+  const docType = detectDocType(s);
+
+  return {
+    doc_type: docType,
+    organization: '',
+    date: detectDate(s),
+    // An account number is only a useful reference for statements, and never in full
+    reference: detectReference(s) || (docType === 'Statement' ? maskIban(detectIban(s)) : ''),
+    amount: detectAmount(s),
+    person: ''
+  };
+}
+
+/**
+ * Combine model and local fields. The model's values win, except a reference that doesn't
+ * appear in the text (made up) when a local match exists. IBANs are masked.
+ */
+export function mergeEntities(ai, local, text = '') {
+  const merged = { ...local };
+  const haystack = compact(text);
+
+  for (const [key, value] of Object.entries(ai || {})) {
+    if (!value) continue;
+    if (key === 'reference' && local.reference && !haystack.includes(compact(value))) continue;
+    merged[key] = value;
+  }
+  if (!merged.date && local.date) merged.date = local.date;
+  // Full account numbers don't belong in file names
+  if (isIban(merged.reference)) merged.reference = maskIban(merged.reference.replace(/ /g, '').toUpperCase());
+
+  return merged;
+}
+
+// Template context for the entity tokens (see template.js)
+export function entityContext(fields) {
+  return {
+    docType: fields.doc_type || '',
+    org: fields.organization || '',
+    docDate: fields.date || '',
+    ref: fields.reference || '',
+    amount: fields.amount || '',
+    person: fields.person || ''
+  };
+}
+
+// Enough to build a structured name? (otherwise the normal template is used)
+export function hasEnoughEntities(fields) {
+  const signals = [fields.doc_type, fields.organization, fields.date, fields.reference].filter(Boolean);
+  return signals.length >= 2;
+}
+
+/* ------------------------------ detectors ------------------------------ */
+
+function detectDocType(text) {
+  const head = text.slice(0, 600);
+  for (const [type, re] of Object.entries(DOC_TYPE_WORDS)) {
+    if (re.test(head)) return type;
+  }
+  return '';
+}
+
+// "Total: 1.234,56 €" / "Amount due $99.00" / "Total EUR 1,234.50" -> "1234.56 EUR" / "99.00 USD" / "1234.50 EUR"
+function detectAmount(text) {
+  const m = text.match(
+    /\b(?:total|amount due|amount|balance due|grand total|summe|gesamtbetrag|betrag|montant|importe)\b[^\d€$£]{0,20}?(?:([€$£])|\b(EUR|USD|GBP|CHF)(?![A-Z]))?\s?(\d{1,3}(?:[.,' ]\d{3})*(?:[.,]\d{2})|\d+(?:[.,]\d{2})?)\s?(EUR|USD|GBP|CHF|€|\$|£)?/i
+  );
+  if (!m) return '';
+
+  const symbol = m[1] || m[2] || m[4] || '';
+  const currency = { '€': 'EUR', '$': 'USD', '£': 'GBP' }[symbol] || symbol.toUpperCase();
+
+  return [normalizeNumber(m[3]), currency].filter(Boolean).join(' ');
+}
+
+// IBAN-like account IDs, validated with the mod-97 check
+function detectIban(text) {
+  const re = /\b([A-Z]{2}\d{2}(?: ?[A-Z0-9]{4}){2,7}(?: ?[A-Z0-9]{1,3})?)\b/g;
+  let m;
+  while ((m = re.exec(text))) {
+    const iban = m[1].replace(/ /g, '');
+    if (isIban(iban)) return iban;
+  }
+  return '';
+}
+
+function isIban(value) {
+  const iban = (value || '').replace(/ /g, '').toUpperCase();
+  return /^[A-Z]{2}\d{2}[A-Z0-9]{11,30}$/.test(iban) && ibanChecksumOk(iban);
+}
+
+// "DE89370400440532013000" -> "DExx3000" (country and last four digits, like bank apps show it)
+function maskIban(iban) {
+  return iban ? `${iban.slice(0, 2)}xx${iban.slice(-4)}` : '';
+}
+
+function ibanChecksumOk(iban) {
+  const rearranged = iban.slice(4) + iban.slice(0, 4);
+  let remainder = 0;
+  for (const ch of rearranged) {
+    const digits = /\d/.test(ch) ? ch : String(ch.charCodeAt(0) - 55);
+    for (const d of digits) remainder = (remainder * 10 + Number(d)) % 97;
+  }
+  return remainder === 1;
+}
+
+// "1.234,56" / "1,234.56" / "1 234,56" -> "1234.56"
+function normalizeNumber(value) {
+  const clean = value.replace(/[' ]/g, '');
+  const decimal = clean.match(/[.,](\d{2})$/);
+  const whole = (decimal ? clean.slice(0, -3) : clean).replace(/[.,]/g, '');
+  return decimal ? `${whole}.${decimal[1]}` : whole;
+}
+
+function compact(s) {
+  return (s || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
@@ -0,0 +1,107 @@
+/**
+ * Minimal EXIF reader (JPEG APP1 only, no external libraries).
+ * Reads just what offline naming needs: camera make/model and capture date, plus the
+ * orientation (for decoding photos straight to a smaller size).
+ */
+
+const TAGS = {
+  MAKE: 0x010F,
+  MODEL: 0x0110,
+  ORIENTATION: 0x0112,
+  DATE_TIME: 0x0132,
+  EXIF_IFD: 0x8769,
+  DATE_TIME_ORIGINAL: 0x9003
+};
+
+// Returns { make, model, dateTaken, orientation } (empty values / 1 when not present)
+export function readExif(arrayBuffer) {
+  const empty = { make: '', model: '', dateTaken: null, orientation: 1 };
+
+  try {
+    const view = new DataView(arrayBuffer);
+    const tiffStart = findExifSegment(view);
+    if (tiffStart === -1) return empty;
+
+    const little = view.getUint16(tiffStart) === 0x4949; // "II" = Intel byte order
+    if (view.getUint16(tiffStart + 2, little) !== 42) return empty;
+
+    const ifd0 = readIfd(view, tiffStart, tiffStart + view.getUint32(tiffStart + 4, little), little);
+    const exifIfd = ifd0[TAGS.EXIF_IFD]
+      ? readIfd(view, tiffStart, tiffStart + ifd0[TAGS.EXIF_IFD], little)
+      : {};
+
+    return {
+      make: cleanString(ifd0[TAGS.MAKE]),
+      model: cleanString(ifd0[TAGS.MODEL]),
+      dateTaken: parseExifDate(exifIfd[TAGS.DATE_TIME_ORIGINAL] || ifd0[TAGS.DATE_TIME]),
+      orientation: ifd0[TAGS.ORIENTATION] || 1
+    };
+  } catch {
+    return empty;
+  }
+}
+
+/* ------------------------------ parsing ------------------------------ */
+
+// Find the TIFF header inside the "Exif\0\0" APP1 segment; -1 when missing
+function findExifSegment(view) {
+  if (view.byteLength < 4 || view.getUint16(0) !== 0xFFD8) return -1; // Not a JPEG
+
+  let offset = 2;
+  while (offset + 4 <= view.byteLength) {
+    const marker = view.getUint16(offset);
+    if ((marker & 0xFF00) !== 0xFF00 || marker === 0xFFDA) break; // Start of scan: no more metadata
+
+    const length = view.getUint16(offset + 2);
+    if (marker === 0xFFE1 && view.getUint32(offset + 4) === 0x45786966) { // "Exif"
+      return offset + 10;
+    }
+    offset += 2 + length;
+  }
+
+  return -1;
+}
+
+// Read the ASCII, SHORT and LONG entries we care about from one IFD
+function readIfd(view, tiffStart, ifdOffset, little) {
+  const out = {};
+  const count = view.getUint16(ifdOffset, little);
+
+  for (let i = 0; i < count; i++) {
+    const entry = ifdOffset + 2 + i * 12;
+    const tag = view.getUint16(entry, little);
+    const type = view.getUint16(entry + 2, little);
+    const n = view.getUint32(entry + 4, little);
+
+    if (type === 2) {
+      // ASCII: inline when <= 4 bytes, else at offset
+      const start = n <= 4 ? entry + 8 : tiffStart + view.getUint32(entry + 8, little);
+      let s = '';
+      for (let j = 0; j < n && start + j < view.byteLength; j++) {
+        const code = view.getUint8(start + j);
+        if (code === 0) break;
+        s += String.fromCharCode(code);
+      }
+      out[tag] = s;
+    } else if (type === 3) {
+      out[tag] = view.getUint16(entry + 8, little);
+    } else if (type === 4) {
+      out[tag] = view.getUint32(entry + 8, little);
+    }
+  }
+
+  return out;
+}
+
+// EXIF dates look like "2024:03:14 17:05:33"
+function parseExifDate(value) {
+  const m = (value || '').match(/^(\d{4}):(\d{2}):(\d{2})(?: (\d{2}):(\d{2}):(\d{2}))?/);
+  if (!m || m[1] === '0000') return null;
+
+  const date = new Date(+m[1], +m[2] - 1, +m[3], +(m[4] || 0), +(m[5] || 0), +(m[6] || 0));
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+function cleanString(value) {
+  return (value || '').replace(/\s+/g, ' ').trim();
+}
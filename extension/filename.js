@@ -0,0 +1,105 @@
+/**
+ * Filename safety
+ * Last checks before a name is handed to Chrome: optional transliteration to ASCII,
+ * Windows reserved device names (CON, NUL, COM1, ...) and length limits for the
+ * filename and the whole relative path.
+ */
+
+// ext4/NTFS allow 255; leaves room for Chrome's " (1)" uniquifier and ".crdownload"
+const MAX_FILENAME_BYTES = 200;
+// Windows MAX_PATH is 260 including the Downloads folder itself
+const MAX_PATH_CHARS = 200;
+const MIN_BASENAME_CHARS = 16;
+
+// Windows device names are reserved with any extension ("con.txt", "COM1.report.pdf") and
+// with trailing spaces, which Windows drops ("nul ", "CON .txt")
+const RESERVED_RE = /^(con|prn|aux|nul|com[0-9¹²³]|lpt[0-9¹²³]|conin\$|conout\$)(?= *(?:\.|$))/i;
+
+// Letters that don't decompose into base letter + accent
+const LATIN_EXTRA = {
+  'ß': 'ss', 'ẞ': 'SS', 'æ': 'ae', 'Æ': 'AE', 'œ': 'oe', 'Œ': 'OE', 'ø': 'o', 'Ø': 'O',
+  'đ': 'd', 'Đ': 'D', 'ð': 'd', 'Ð': 'D', 'þ': 'th', 'Þ': 'TH', 'ł': 'l', 'Ł': 'L',
+  'ı': 'i', 'ħ': 'h', 'Ħ': 'H', 'ŋ': 'ng', 'Ŋ': 'NG'
+};
+
+const CYRILLIC = {
+  'а': 'a', 'б': 'b', 'в': 'v', 'г': 'g', 'д': 'd', 'е': 'e', 'ё': 'yo', 'ж': 'zh', 'з': 'z',
+  'и': 'i', 'й': 'y', 'к': 'k', 'л': 'l', 'м': 'm', 'н': 'n', 'о': 'o', 'п': 'p', 'р': 'r',
+  'с': 's', 'т': 't', 'у': 'u', 'ф': 'f', 'х': 'kh', 'ц': 'ts', 'ч': 'ch', 'ш': 'sh', 'щ': 'shch',
+  'ъ': '', 'ы': 'y', 'ь': '', 'э': 'e', 'ю': 'yu', 'я': 'ya',
+  'є': 'ye', 'і': 'i', 'ї': 'yi', 'ґ': 'g', 'ў': 'u', 'ј': 'j', 'љ': 'lj', 'њ': 'nj', 'џ': 'dz', 'ђ': 'dj', 'ћ': 'c'
+};
+
+const GREEK = {
+  'α': 'a', 'β': 'v', 'γ': 'g', 'δ': 'd', 'ε': 'e', 'ζ': 'z', 'η': 'i', 'θ': 'th', 'ι': 'i',
+  'κ': 'k', 'λ': 'l', 'μ': 'm', 'ν': 'n', 'ξ': 'x', 'ο': 'o', 'π': 'p', 'ρ': 'r', 'σ': 's',
+  'ς': 's', 'τ': 't', 'υ': 'y', 'φ': 'f', 'χ': 'ch', 'ψ': 'ps', 'ω': 'o'
+};
+
+/**
+ * Latin, Cyrillic and Greek text to plain ASCII ("Café Müller" -> "Cafe Muller",
+ * "Москва" -> "Moskva"). Scripts without a simple mapping (CJK, Arabic, ...) are kept.
+ */
+export function transliterate(text) {
+  return Array.from((text || '').normalize('NFD'))
+    .filter((ch) => !/\p{M}/u.test(ch))
+    .map((ch) => {
+      if (LATIN_EXTRA[ch] != null) return LATIN_EXTRA[ch];
+
+      const lower = ch.toLowerCase();
+      const mapped = CYRILLIC[lower] ?? GREEK[lower];
+      if (mapped == null) return ch;
+      return ch !== lower && mapped ? mapped[0].toUpperCase() + mapped.slice(1) : mapped;
+    })
+    .join('')
+    .normalize('NFC');
+}
+
+// "CON" -> "CON_", "nul.backup" -> "nul_.backup"; other names unchanged
+export function avoidReservedName(name) {
+  return (name || '').replace(RESERVED_RE, '$1_');
+}
+
+/**
+ * Final file name for a folder: basename shortened (at a word boundary when possible)
+ * so the name stays under MAX_FILENAME_BYTES and folder/name under MAX_PATH_CHARS.
+ * tail (e.g. a batch number "-03") is kept after shortening.
+ */
+export function fitFilename(basename, ext, folder = '', tail = '') {
+  const suffix = `${tail}${ext ? `.${ext}` : ''}`;
+  const room = MAX_PATH_CHARS - (folder ? folder.length + 1 : 0) - suffix.length;
+
+  let base = truncateGraphemes(basename || '', Math.max(room, MIN_BASENAME_CHARS));
+  while (base && utf8Length(base + suffix) > MAX_FILENAME_BYTES) {
+    base = truncateGraphemes(base, graphemes(base).length - 1);
+  }
+
+  base = avoidReservedName(base.replace(/[-_. ]+$/, '')) || 'download';
+  return base + suffix;
+}
+
+/* ------------------------------ helpers ------------------------------ */
+
+// Cut to maxChars user-visible characters, preferring the last separator near the end
+function truncateGraphemes(text, maxChars) {
+  const parts = graphemes(text);
+  if (parts.length <= maxChars) return text;
+
+  const cut = parts.slice(0, maxChars);
+  const lastSeparator = Math.max(cut.lastIndexOf('-'), cut.lastIndexOf('_'), cut.lastIndexOf(' '));
+  const end = lastSeparator >= maxChars * 0.7 ? lastSeparator : maxChars;
+
+  return cut.slice(0, end).join('');
+}
+
+// Grapheme clusters, so accents and emoji sequences are never split
+function graphemes(text) {
+  if (typeof Intl !== 'undefined' && Intl.Segmenter) {
+    return Array.from(new Intl.Segmenter(undefined, { granularity: 'grapheme' }).segment(text), (s) => s.segment);
+  }
+  return Array.from(text);
+}
+
+function utf8Length(text) {
+  return new TextEncoder().encode(text).length;
+}
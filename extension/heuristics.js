@@ -0,0 +1,206 @@
+/**
+ * Offline naming heuristics (no AI call).
+ * Builds a filename phrase from local signals only: PDF metadata/first heading,
+ * dates and invoice numbers, EXIF data, alt text passed in the URL and the hostname.
+ * The phrase then goes through the normal filename template as {caption}.
+ */
+
+// URL query parameters that pages commonly use to carry alt text / titles
+const TEXT_PARAMS = ['alt', 'title', 'caption', 'text', 'name', 'description', 'filename'];
+
+const GENERIC_TITLES = /^(untitled|document|doc|file|scan|image|pdf|print|microsoft word|title)\d*$/i;
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+/* ------------------------------ PDF ------------------------------ */
+
+export function pdfNameFromSignals({ title, lines = [], excerpt = '', originalFilename = '', maxWords = 5 }) {
+  const text = [title, lines.join(' '), excerpt].join(' ');
+  const reference = detectReference(text);
+  const date = detectDate(text);
+
+  const heading = usefulTitle(title) || firstHeading(lines) || meaningfulSlug(originalFilename) || firstWords(excerpt, 6) || 'document';
+
+  // Keep room for the reference/date so they survive the word limit
+  const words = heading.split(/\s+/);
+  let extras = [reference, date ? date.replace(/-/g, '') : ''].filter(Boolean);
+  let headingWords = words.slice(0, Math.max(2, maxWords - extras.length * 2));
+
+  // "Invoice INV-4471": the heading already names the reference
+  if (reference && headingWords.some((word) => sameToken(word, reference))) {
+    extras = extras.filter((extra) => extra !== reference);
+    headingWords = words.slice(0, Math.max(2, maxWords - extras.length * 2));
+  }
+
+  return [...headingWords, ...extras].join(' ');
+}
+
+/* ------------------------------ images ------------------------------ */
+
+export function imageNameFromSignals({ exif = {}, url = '', originalFilename = '', altText = '' }) {
+  const taken = exif.dateTaken ? toIsoDate(exif.dateTaken).replace(/-/g, '') : '';
+  const described = altText.split(/\s+/).slice(0, 8).join(' ') || altTextFromUrl(url) || meaningfulSlug(lastPathSegment(url)) || meaningfulSlug(originalFilename);
+
+  if (described) return [described, taken].filter(Boolean).join(' ');
+
+  const camera = cameraName(exif);
+  const site = siteName(url);
+
+  if (camera || taken) return [camera || 'photo', taken, site].filter(Boolean).join(' ');
+  return ['image', site].filter(Boolean).join(' ');
+}
+
+/* ------------------------------ detectors ------------------------------ */
+
+// First recognizable date in the text as YYYY-MM-DD ('' if none)
+export function detectDate(text) {
+  const s = text || '';
+
+  // 2024-03-14 / 2024.03.14 / 2024/03/14
+  let m = s.match(/\b(20\d{2}|19\d{2})[-./](\d{1,2})[-./](\d{1,2})\b/);
+  if (m) return validDate(+m[1], +m[2], +m[3]);
+
+  // 14.03.2024 / 14/03/2024 / 03/14/2024 (day-first unless impossible)
+  m = s.match(/\b(\d{1,2})[./-](\d{1,2})[./-](20\d{2}|19\d{2})\b/);
+  if (m) {
+    const a = +m[1];
+    const b = +m[2];
+    return a > 12 || b <= 12 ? validDate(+m[3], b, a) : validDate(+m[3], a, b);
+  }
+
+  // March 14, 2024 / 14 March 2024
+  m = s.match(/\b([A-Za-z]{3,9})\.? (\d{1,2}),? (\d{4})\b/);
+  if (m && monthIndex(m[1]) !== -1) return validDate(+m[3], monthIndex(m[1]) + 1, +m[2]);
+
+  m = s.match(/\b(\d{1,2}) ([A-Za-z]{3,9})\.? (\d{4})\b/);
+  if (m && monthIndex(m[2]) !== -1) return validDate(+m[3], monthIndex(m[2]) + 1, +m[1]);
+
+  return '';
+}
+
+// Invoice / order / receipt number, e.g. "Invoice No: INV-4471" -> "INV-4471"
+// Every keyword is tried: "INVOICE\nInvoice No: INV-4471", "Your order has shipped. Order number: 112-4471"
+export function detectReference(text) {
+  const re = /\b(?:invoice|inv|rechnung|facture|bill|order|receipt|quote|ref(?:erence)?)\.?\s*(?:no|nr|number|num|#)?\.?\s*[:#]?\s*([A-Z0-9][A-Z0-9\-/]{2,24})/gi;
+  const s = text || '';
+  let m;
+  while ((m = re.exec(s))) {
+    const ref = m[1].replace(/[-/]+$/, '');
+    if (/\d/.test(ref)) return ref; // Must contain a digit to be a reference
+
+    re.lastIndex = m.index + 1; // The next keyword may sit inside this match ("INVOICE\nInvoice")
+  }
+  return '';
+}
+
+/* ------------------------------ helpers ------------------------------ */
+
+// "INV-4471," vs "inv-4471"
+function sameToken(word, token) {
+  return word.replace(/^[^\p{L}\p{N}]+|[^\p{L}\p{N}]+$/gu, '').toLowerCase() === token.toLowerCase();
+}
+
+function usefulTitle(title) {
+  const clean = (title || '')
+    .replace(/^microsoft (word|excel|powerpoint) - /i, '')
+    .replace(/\.(docx?|xlsx?|pptx?|pdf|odt|rtf|txt)$/i, '')
+    .trim();
+
+  if (clean.length < 3 || GENERIC_TITLES.test(clean.replace(/\s+/g, ' '))) return '';
+  if (!/[\p{L}]{2}/u.test(clean)) return '';
+  return clean;
+}
+
+// First line that looks like a heading: a few words, mostly letters
+function firstHeading(lines) {
+  for (const raw of lines.slice(0, 25)) {
+    const line = (raw || '').replace(/\s+/g, ' ').trim();
+    const words = line.split(' ');
+    if (words.length < 2 || words.length > 12) continue;
+    if (/^page \d+/i.test(line)) continue;
+
+    const letters = (line.match(/\p{L}/gu) || []).length;
+    if (letters / line.length < 0.6) continue;
+
+    return line;
+  }
+  return '';
+}
+
+function firstWords(text, n) {
+  return (text || '').split(/\s+/).filter((w) => /\p{L}{2}/u.test(w)).slice(0, n).join(' ');
+}
+
+function altTextFromUrl(url) {
+  try {
+    const params = new URL(url).searchParams;
+    for (const key of TEXT_PARAMS) {
+      const value = (params.get(key) || '').trim();
+      if (value && /\p{L}{2}/u.test(value)) return meaningfulSlug(value) || value;
+    }
+  } catch {}
+  return '';
+}
+
+// Turn "white-cat_on-sofa.jpg" into "white cat on sofa"; '' for IDs/hashes like "IMG_5482"
+function meaningfulSlug(name) {
+  const base = decodeSafe((name || '').split(/[\\/]/).pop()).replace(/\.[a-z0-9]{2,5}$/i, '');
+  const words = base.split(/[\s\-_+.,()]+/).filter(Boolean);
+
+  const real = words.filter((w) => /^\p{L}{2,}$/u.test(w) && !/^(img|dsc|image|photo|download|file|scan|screenshot|untitled)$/i.test(w));
+  if (real.length < 2) return '';
+
+  return words.filter((w) => !isIdLike(w)).join(' ');
+}
+
+function isIdLike(word) {
+  return /^[0-9a-f]{8,}$/i.test(word) || (/\d/.test(word) && word.length >= 8);
+}
+
+function cameraName({ make = '', model = '' }) {
+  if (!model) return make;
+  // Model usually repeats the make ("Canon EOS R6", make "Canon")
+  const firstMakeWord = make.split(' ')[0];
+  return firstMakeWord && !model.toLowerCase().startsWith(firstMakeWord.toLowerCase())
+    ? `${firstMakeWord} ${model}`
+    : model;
+}
+
+function siteName(url) {
+  try {
+    const parts = new URL(url.replace(/^blob:/, '')).hostname.replace(/^www\./, '').split('.');
+    return parts.length > 1 ? parts[parts.length - 2] : parts[0];
+  } catch {
+    return '';
+  }
+}
+
+function lastPathSegment(url) {
+  if (/^(data|blob):/i.test(url)) return ''; // MIME type and payload / a random id, not a name
+  try {
+    return new URL(url).pathname.split('/').pop() || '';
+  } catch {
+    return '';
+  }
+}
+
+function decodeSafe(s) {
+  try {
+    return decodeURIComponent(s);
+  } catch {
+    return s;
+  }
+}
+
+function monthIndex(name) {
+  return MONTHS.indexOf(name.slice(0, 3).toLowerCase());
+}
+
+function validDate(y, m, d) {
+  if (m < 1 || m > 12 || d < 1 || d > 31) return '';
+  return `${y}-${String(m).padStart(2, '0')}-${String(d).padStart(2, '0')}`;
+}
+
+function toIsoDate(date) {
+  return validDate(date.getFullYear(), date.getMonth() + 1, date.getDate());
+}
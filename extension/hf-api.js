@@ -1,43 +1,75 @@
 /**
- * Hugging Face API Integration
- * Uses Inference Providers (OpenAI-compatible Chat Completions)
+ * AI API Integration
+ * Hugging Face Inference Providers by default; other backends via providers.js
  */
 
 import { CONFIG } from './config.js';
+import { categoryInstruction } from './routing.js';
+import {
+  resolveProvider,
+  buildChatRequest,
+  parseChatResponse,
+  parseErrorMessage
+} from './providers.js';
+import { enqueue, httpError } from './queue.js';
+import { ENTITY_FIELDS, parseEntityReply } from './entities.js';
+import { sniffImageType, decodeTiff, imageSize } from './image-formats.js';
+import { cacheKey, cachedReply, storeReply } from './caption-cache.js';
+import { renderPrompt, usesVariable } from './prompts.js';
 
-// Helpers: sanitize / parse
-function extractTextContent(data) {
-  return data?.choices?.[0]?.message?.content || '';
-}
+// Bump when the built-in prompts or reply handling change: cached replies then no longer match
+const PROMPT_VERSION = 1;
 
-async function callChatCompletions({ token, model, messages, temperature = 0.2, maxTokens = 60 }) {
-  const response = await fetch(CONFIG.HF_CHAT_COMPLETIONS_URL, {
-    method: 'POST',
-    headers: {
-      'Authorization': `Bearer ${token}`,
-      'Content-Type': 'application/json'
-    },
-    body: JSON.stringify({
-      model,
-      messages,
-      max_tokens: maxTokens,
-      temperature
-    })
-  });
-
-  const data = await response.json().catch(() => ({}));
+// Every AI call goes through the request queue (concurrency, rate limit, retries).
+// cache: reuse an earlier reply to the same request (caption-cache.js); regenerations
+// (higher temperature) always ask again.
+async function callChatCompletions({ settings, messages, temperature = 0.2, maxTokens = 60, signal, cache = false }) {
+  const provider = resolveProvider(settings);
+  const { url, init } = buildChatRequest(provider, { messages, temperature, maxTokens });
 
-  if (!response.ok) {
-    const msg = data?.error?.message || data?.message || `HTTP ${response.status}`;
-    throw new Error(msg);
+  const key = cache && settings.cacheReplies && temperature <= 0.5
+    ? await cacheKey([PROMPT_VERSION, provider.baseUrl, provider.model, maxTokens, messages])
+    : null;
+  if (key) {
+    const cached = await cachedReply(key, settings);
+    if (cached != null) {
+      console.log('[Smart Rename] Using cached reply');
+      return cached;
+    }
   }
 
-  return extractTextContent(data).trim();
+  const reply = await enqueue(async (abortSignal) => {
+    const response = await fetch(url, { ...init, signal: abortSignal });
+    const data = await response.json().catch(() => ({}));
+
+    if (!response.ok) {
+      throw httpError(parseErrorMessage(data, response.status), response, data);
+    }
+
+    return parseChatResponse(provider, data).trim();
+  }, {
+    concurrency: settings.maxConcurrentRequests,
+    perMinute: settings.maxRequestsPerMinute,
+    signal
+  });
+
+  if (key && reply) await storeReply(key, reply, settings);
+  return reply;
 }
 
-// Caption an image using vision-language model
-export async function captionImage(imageBase64, settings) {
-  const { hfToken, model } = settings;
+// Caption an image using vision-language model.
+// hints: what the page says about the image (see page-context.js), '' for none
+export async function captionImage(imageBase64, settings, { temperature = 0.2, hints = '', signal } = {}) {
+  const provider = resolveProvider(settings);
+  if (!provider.vision) {
+    throw new Error(`${provider.model} can't read images. Pick a vision model in Settings.`);
+  }
+
+  const prompt = withPromptExtras(
+    'Describe this image in 5-10 words. Focus on main subject, colors, action, setting. No punctuation.' +
+      (hints ? `\n${pageHintsInstruction(hints)}` : ''),
+    settings
+  );
 
   // VLM prompt
   const messages = [
@@ -46,7 +78,7 @@ export async function captionImage(imageBase64, settings) {
       content: [
         {
           type: 'text',
-          text: `Describe this image in 5-10 words. Focus on main subject, colors, action, setting. No punctuation.`
+          text: prompt
         },
         {
           type: 'image_url',
@@ -59,75 +91,262 @@ export async function captionImage(imageBase64, settings) {
   ];
 
   return await callChatCompletions({
-    token: hfToken,
-    model,
+    settings,
+    messages,
+    temperature,
+    maxTokens: 40,
+    signal,
+    cache: true
+  });
+}
+
+// Caption a batch of images (same page, same burst) with one call: what do they have in common?
+export async function captionImageSet(imagesBase64, settings, { temperature = 0.2, signal } = {}) {
+  const provider = resolveProvider(settings);
+  if (!provider.vision) {
+    throw new Error(`${provider.model} can't read images. Pick a vision model in Settings.`);
+  }
+
+  const prompt = withPromptExtras(
+    `These ${imagesBase64.length} images were saved together from one page. Describe what they have in common in 3-6 words, as a name for the whole set. No punctuation.`,
+    settings
+  );
+
+  const messages = [
+    {
+      role: 'user',
+      content: [
+        { type: 'text', text: prompt },
+        ...imagesBase64.map((base64) => ({
+          type: 'image_url',
+          image_url: { url: `data:image/jpeg;base64,${base64}` }
+        }))
+      ]
+    }
+  ];
+
+  return await callChatCompletions({
+    settings,
     messages,
-    temperature: 0.2,
-    maxTokens: 40
+    temperature,
+    maxTokens: 40,
+    signal,
+    cache: true
   });
 }
 
+// Prompts for images that are really documents: read the text, don't describe the scene
+const DOCUMENT_IMAGE_PROMPTS = {
+  scan: (count) =>
+    `${count > 1 ? `These ${count} images are the first pages` : 'This image is the first page'} of a scanned PDF. Read the visible text and give a filename for the document in 3-8 words: document type, issuer or topic, reference number and date if present. Not a description of the image. No punctuation.`,
+  screenshot: () =>
+    'This is a screenshot. Read the visible text and give a filename in 3-8 words: the app or website, and what is shown (page title, conversation, error message, chart). Not a description of colors or layout. No punctuation.'
+};
+
 /**
- * Generate a filename candidate from TEXT only (no file upload).
- * Used for PDFs: we extract title + an excerpt locally, then ask the model for a short filename phrase.
+ * Name a document from images of it (scanned PDF pages, screenshots) with the vision model.
+ * variant: 'scan' | 'screenshot'
  */
-export async function nameFromText(textPrompt, settings) {
-  const { hfToken, model } = settings;
+export async function nameFromDocumentImage(imagesBase64, settings, { variant = 'scan', temperature = 0.2, signal } = {}) {
+  const provider = resolveProvider(settings);
+  if (!provider.vision) {
+    throw new Error(`${provider.model} can't read images. Pick a vision model in Settings.`);
+  }
+
+  const images = Array.isArray(imagesBase64) ? imagesBase64 : [imagesBase64];
+  const prompt = withPromptExtras(DOCUMENT_IMAGE_PROMPTS[variant](images.length), settings);
 
   const messages = [
     {
-      role: 'system',
-      content:
-        'You are a smart filename generator. Return a short, clear filename that is easy for humans to understand as if a smart human named the file. Output ONLY the words for the filename (no extension, no quotes, no extra text).'
-    },
+      role: 'user',
+      content: [
+        { type: 'text', text: prompt },
+        ...images.map((base64) => ({
+          type: 'image_url',
+          image_url: { url: `data:image/jpeg;base64,${base64}` }
+        }))
+      ]
+    }
+  ];
+
+  return await callChatCompletions({
+    settings,
+    messages,
+    temperature,
+    maxTokens: 60,
+    signal,
+    cache: true
+  });
+}
+
+// Prompt line for the nameLanguage setting ('' = English, the prompts' default)
+export function languageInstruction(settings, what = 'the filename') {
+  let code = settings.nameLanguage || '';
+  if (code === 'browser') code = (globalThis.chrome?.i18n?.getUILanguage?.() || 'en').split('-')[0];
+  if (code === 'match') return `Write ${what} in the same language as the text in the file (English if there is none).`;
+
+  const language = CONFIG.LANGUAGES[code];
+  return language && code !== 'en' ? `Write ${what} in ${language}.` : '';
+}
+
+// Page context for the prompt: names from it are welcome, but the picture decides
+function pageHintsInstruction(hints) {
+  return `The web page it was saved from says the following. Use product names, people or places from it when they match what you see; ignore it otherwise.\n${hints}`;
+}
+
+// Helper: rule prompt + language + category instruction
+function withPromptExtras(prompt, settings) {
+  const language = languageInstruction(settings);
+  if (language) {
+    prompt += `\n${language}`;
+  }
+  if (settings.extraPrompt) {
+    prompt += `\nAdditional instructions: ${settings.extraPrompt}`;
+  }
+  if (settings.enableCategories && settings.categories?.length) {
+    prompt += `\n${categoryInstruction(settings.categories)}`;
+  }
+  return prompt;
+}
+
+const TEXT_SYSTEM_PROMPT =
+  'You are a smart filename generator. Return a short, clear filename that is easy for humans to understand as if a smart human named the file. Output ONLY the words for the filename (no extension, no quotes, no extra text).';
+
+/**
+ * Generate a filename candidate from TEXT only (no file upload).
+ * Used for PDFs: we extract title + an excerpt locally, then ask the model for a short filename phrase.
+ */
+export async function nameFromText(textPrompt, settings, { temperature = 0.2, signal } = {}) {
+  const messages = [
+    { role: 'system', content: TEXT_SYSTEM_PROMPT },
     { role: 'user', content: textPrompt }
   ];
 
   return await callChatCompletions({
-    token: hfToken,
-    model,
+    settings,
     messages,
-    temperature: 0.2,
-    maxTokens: 60
+    temperature,
+    maxTokens: 60,
+    signal,
+    cache: true
   });
 }
 
-// Convert caption/text to clean filename
-export function captionToFilename(caption, settings) {
-  let text = (caption || '')
-    .toLowerCase()
-    .replace(/[^\w\s-]/g, '') // Remove punctuation
-    .replace(/\s+/g, ' ') // Normalize spaces
-    .trim();
-
-  // Remove articles if enabled
-  if (settings.cleanCaptions) {
-    text = text.replace(/\b(a|an|the)\b/g, '').replace(/\s+/g, ' ').trim();
+/**
+ * Name a file with a prompt profile (prompts.js) instead of the built-in prompts.
+ * vars: values for the profile's {variables}. Image profiles go with images; a text profile
+ * that doesn't place {excerpt} itself gets the title and excerpt appended (image profiles:
+ * the page context, likewise).
+ * regenerate: ask for a different answer (higher temperature, no cache).
+ */
+export async function nameWithProfile(profile, vars, settings, { images = [], regenerate = false, signal } = {}) {
+  const provider = resolveProvider(settings);
+  if (images.length && !provider.vision) {
+    throw new Error(`${provider.model} can't read images. Pick a vision model in Settings.`);
+  }
+
+  let prompt = renderPrompt(profile.prompt, vars);
+  if (profile.kind === 'text' && !usesVariable(profile, 'excerpt')) {
+    prompt += `\n\nTitle (if available): ${vars.title || ''}\n\nExtracted text excerpt (from the beginning): ${vars.excerpt || ''}`;
+  }
+  if (profile.kind === 'image' && vars.pageContext && !usesVariable(profile, 'pageContext')) {
+    prompt += `\n${pageHintsInstruction(vars.pageContext)}`;
   }
+  prompt = withPromptExtras(prompt, settings);
+
+  const system = renderPrompt(profile.system, vars).trim() || (profile.kind === 'text' ? TEXT_SYSTEM_PROMPT : '');
+  const messages = [
+    ...(system ? [{ role: 'system', content: system }] : []),
+    {
+      role: 'user',
+      content: images.length
+        ? [
+          { type: 'text', text: prompt },
+          ...images.map((base64) => ({
+            type: 'image_url',
+            image_url: { url: `data:image/jpeg;base64,${base64}` }
+          }))
+        ]
+        : prompt
+    }
+  ];
+
+  return await callChatCompletions({
+    settings,
+    messages,
+    temperature: regenerate ? Math.max(0.9, profile.temperature) : profile.temperature,
+    maxTokens: profile.maxTokens,
+    signal,
+    cache: true
+  });
+}
+
+/**
+ * Structured mode: ask for the document's fields as JSON (see entities.js). Invalid replies
+ * are retried with the validation error appended, so the model can correct itself.
+ */
+export async function entitiesFromText(textPrompt, settings, { maxAttempts = 3, signal } = {}) {
+  const schema = Object.entries(ENTITY_FIELDS)
+    .map(([key, description]) => `  "${key}": string or null (${description})`)
+    .join(',\n');
+
+  const language = languageInstruction(settings, 'doc_type');
+
+  const messages = [
+    {
+      role: 'system',
+      content:
+        `You extract fields from documents. Reply with ONLY a JSON object with exactly these keys:\n{\n${schema}\n}\nUse null for anything that is not in the text. Do not guess.${language ? `\n${language}` : ''}`
+    },
+    { role: 'user', content: textPrompt }
+  ];
+
+  let lastError = '';
+  for (let attempt = 0; attempt < maxAttempts; attempt++) {
+    const reply = await callChatCompletions({
+      settings,
+      messages,
+      temperature: 0,
+      maxTokens: 200,
+      signal
+    });
 
-  // Limit words
-  const words = text.split(' ').filter((w) => w.length > 0);
-  const limited = words.slice(0, settings.maxWords || 5).join('-');
+    const result = parseEntityReply(reply);
+    if (result.ok) return result.fields;
 
-  // Add date if enabled
-  if (settings.addDateSuffix) {
-    const date = new Date().toISOString().split('T')[0];
-    return `${limited}-${date}`;
+    lastError = result.error;
+    console.warn(`[Smart Rename] Invalid structured reply (${lastError}), retrying...`);
+    messages.push(
+      { role: 'assistant', content: reply },
+      { role: 'user', content: `${lastError} Reply again with only the JSON object.` }
+    );
   }
 
-  return limited || 'download';
+  throw new Error(`Model did not return valid fields: ${lastError}`);
 }
 
 // Prepare image for API (resize if needed)
 export async function prepareImageForAPI(imageBuffer) {
-  // Convert to blob
-  const blob = new Blob([imageBuffer]);
+  // TIFF isn't decoded by the browser: decode it here, everything else goes in as a blob
+  const source = sniffImageType(imageBuffer) === 'tiff'
+    ? await decodeTiff(imageBuffer)
+    : new Blob([imageBuffer]);
+  if (!source) throw new Error('Unsupported TIFF variant (tiled, JPEG-compressed or 16-bit)');
 
-  // Create image bitmap
-  const bitmap = await createImageBitmap(blob);
+  // Create image bitmap; when the header gives the size, decode straight to the target size
+  // so a 50-megapixel photo is never held as a full-size bitmap
+  const maxDim = 1024;
+  const size = imageSize(imageBuffer);
+  const scale = size ? maxDim / Math.max(size.width, size.height) : 1;
+  const bitmap = scale < 1
+    ? await createImageBitmap(source, {
+      resizeWidth: Math.max(1, Math.round(size.width * scale)),
+      resizeHeight: Math.max(1, Math.round(size.height * scale)),
+      resizeQuality: 'medium'
+    })
+    : await createImageBitmap(source);
 
   // Resize if too large
-  const maxDim = 1024;
   let { width, height } = bitmap;
 
   if (width > maxDim || height > maxDim) {
@@ -154,12 +373,11 @@ export async function prepareImageForAPI(imageBuffer) {
   return base64;
 }
 
-// Test connection
-export async function testConnection(token, model) {
+// Test connection (uses the provider/model in the given settings)
+export async function testConnection(settings) {
   try {
     const text = await callChatCompletions({
-      token,
-      model,
+      settings,
       messages: [{ role: 'user', content: 'Say OK if you can read this.' }],
       temperature: 0,
       maxTokens: 5
@@ -181,6 +399,22 @@ export async function testConnection(token, model) {
   }
 }
 
+// List models offered by an OpenAI-compatible server (GET /models)
+export async function listModels(settings) {
+  const provider = resolveProvider(settings);
+  if (provider.kind !== 'openai') return [];
+
+  const headers = provider.apiKey ? { 'Authorization': `Bearer ${provider.apiKey}` } : {};
+  const response = await fetch(`${provider.baseUrl}/models`, { headers });
+  const data = await response.json().catch(() => ({}));
+
+  if (!response.ok) {
+    throw new Error(parseErrorMessage(data, response.status));
+  }
+
+  return (data.data || data.models || []).map((m) => m.id || m.name).filter(Boolean);
+}
+
 // Helper: ArrayBuffer to Base64
 function arrayBufferToBase64(buffer) {
   const bytes = new Uint8Array(buffer);
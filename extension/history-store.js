@@ -0,0 +1,221 @@
+/**
+ * History storage (IndexedDB)
+ * Shared by the background worker, popup and history page (same extension origin).
+ * Replaces the old 100-entry array in chrome.storage.local, which is migrated on first open.
+ */
+
+import { CONFIG } from './config.js';
+
+const DB_NAME = 'smart-download-renamer';
+const DB_VERSION = 1;
+const STORE = 'history';
+
+// Lets open pages refresh when the worker records something
+const channel = typeof BroadcastChannel !== 'undefined' ? new BroadcastChannel('history-changed') : null;
+
+let dbPromise = null;
+
+// Add an entry; trims the oldest entries beyond the retention limit (0 = keep all)
+export async function addEntry(entry, retention = 0) {
+  const db = await openDb();
+  const id = await request(db.transaction(STORE, 'readwrite').objectStore(STORE).add(entry));
+
+  if (retention > 0) await trimTo(db, retention);
+  notifyChanged();
+  return id;
+}
+
+export async function getEntry(id) {
+  const db = await openDb();
+  return (await request(db.transaction(STORE).objectStore(STORE).get(id))) || null;
+}
+
+// Merge changes into an entry by id
+export async function updateEntry(id, changes) {
+  const db = await openDb();
+  const store = db.transaction(STORE, 'readwrite').objectStore(STORE);
+  const entry = await request(store.get(id));
+  if (!entry) return;
+
+  await request(store.put({ ...entry, ...changes }));
+  notifyChanged();
+}
+
+// Merge changes into the most recent entry for a chrome.downloads id
+export async function updateByDownloadId(downloadId, changes) {
+  const db = await openDb();
+  const index = db.transaction(STORE).objectStore(STORE).index('downloadId');
+  const entries = await request(index.getAll(downloadId));
+  if (!entries.length) return;
+
+  const latest = entries.reduce((a, b) => (b.timestamp > a.timestamp ? b : a));
+  await updateEntry(latest.id, changes);
+}
+
+// Newest first
+export async function recentEntries(limit) {
+  const db = await openDb();
+  const out = [];
+
+  await iterate(db.transaction(STORE).objectStore(STORE).index('timestamp'), 'prev', (entry) => {
+    out.push(entry);
+    return out.length < limit;
+  });
+
+  return out;
+}
+
+/**
+ * Filter + paginate (newest first).
+ * query: { search, fileType, host, status: 'success'|'failed', from, to (timestamps), offset, limit }
+ * Returns { items, total } where total counts all matches.
+ */
+export async function queryHistory(query = {}) {
+  const db = await openDb();
+  const { offset = 0, limit = Infinity } = query;
+  const search = (query.search || '').trim().toLowerCase();
+
+  const items = [];
+  let total = 0;
+
+  const range = timeRange(query.from, query.to);
+
+  await iterate(db.transaction(STORE).objectStore(STORE).index('timestamp'), 'prev', (entry) => {
+    if (!matches(entry, query, search)) return true;
+    if (total >= offset && items.length < limit) items.push(entry);
+    total++;
+    return true;
+  }, range);
+
+  return { items, total };
+}
+
+// Distinct source hostnames (for the filter dropdown)
+export async function historyHosts() {
+  const db = await openDb();
+  const hosts = new Set();
+
+  await iterate(db.transaction(STORE).objectStore(STORE), 'next', (entry) => {
+    if (entry.source) hosts.add(entry.source);
+    return true;
+  });
+
+  return [...hosts].sort();
+}
+
+export async function clearHistory() {
+  const db = await openDb();
+  await request(db.transaction(STORE, 'readwrite').objectStore(STORE).clear());
+  notifyChanged();
+}
+
+// Subscribe to changes made in any extension context
+export function onHistoryChanged(callback) {
+  if (!channel) return;
+  channel.addEventListener('message', () => callback());
+}
+
+/* ------------------------------ internals ------------------------------ */
+
+function openDb() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const req = indexedDB.open(DB_NAME, DB_VERSION);
+
+      req.onupgradeneeded = () => {
+        const store = req.result.createObjectStore(STORE, { keyPath: 'id', autoIncrement: true });
+        store.createIndex('timestamp', 'timestamp');
+        store.createIndex('downloadId', 'downloadId');
+      };
+
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    }).then(async (db) => {
+      await migrateFromStorage(db);
+      return db;
+    });
+  }
+
+  return dbPromise;
+}
+
+// Move entries from the old chrome.storage.local array (kept ids, so re-running is harmless)
+async function migrateFromStorage(db) {
+  const data = await chrome.storage.local.get(CONFIG.STORAGE.HISTORY);
+  const old = data[CONFIG.STORAGE.HISTORY];
+  if (!Array.isArray(old)) return;
+
+  const store = db.transaction(STORE, 'readwrite').objectStore(STORE);
+  for (const entry of old) store.put(entry);
+  await request(store.transaction);
+
+  await chrome.storage.local.remove(CONFIG.STORAGE.HISTORY);
+}
+
+async function trimTo(db, retention) {
+  const store = db.transaction(STORE, 'readwrite').objectStore(STORE);
+  const count = await request(store.count());
+  let excess = count - retention;
+  if (excess <= 0) return;
+
+  await iterate(store.index('timestamp'), 'next', (entry, cursor) => {
+    cursor.delete();
+    return --excess > 0;
+  });
+}
+
+function matches(entry, query, search) {
+  if (query.fileType && entry.fileType !== query.fileType) return false;
+  if (query.host && entry.source !== query.host) return false;
+  if (query.status === 'success' && !entry.success) return false;
+  if (query.status === 'failed' && entry.success) return false;
+
+  if (search) {
+    const haystack = [entry.original, entry.renamed, entry.filename, entry.caption, entry.folder]
+      .filter(Boolean)
+      .join(' ')
+      .toLowerCase();
+    if (!haystack.includes(search)) return false;
+  }
+
+  return true;
+}
+
+function timeRange(from, to) {
+  if (from && to) return IDBKeyRange.bound(from, to);
+  if (from) return IDBKeyRange.lowerBound(from);
+  if (to) return IDBKeyRange.upperBound(to);
+  return null;
+}
+
+// Walk a store/index with a cursor; the callback returns false to stop
+function iterate(source, direction, callback, range = null) {
+  return new Promise((resolve, reject) => {
+    const req = source.openCursor(range, direction);
+    req.onsuccess = () => {
+      const cursor = req.result;
+      if (!cursor) return resolve();
+      if (callback(cursor.value, cursor) === false) return resolve();
+      cursor.continue();
+    };
+    req.onerror = () => reject(req.error);
+  });
+}
+
+// Promise wrapper for IDBRequest / IDBTransaction
+function request(req) {
+  return new Promise((resolve, reject) => {
+    if (req instanceof IDBTransaction) {
+      req.oncomplete = () => resolve();
+      req.onerror = () => reject(req.error);
+      req.onabort = () => reject(req.error);
+      return;
+    }
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+function notifyChanged() {
+  channel?.postMessage('changed');
+}
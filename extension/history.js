@@ -0,0 +1,372 @@
+/**
+ * History Page Logic
+ * Search, filter, page through and export the rename history (history-store.js).
+ * history.html?edit=<id> opens the name editor of that entry (keyboard shortcut).
+ */
+
+import {
+  queryHistory,
+  historyHosts,
+  clearHistory,
+  onHistoryChanged
+} from './history-store.js';
+import { clearDuplicateIndex } from './duplicates.js';
+
+const PAGE_SIZE = 50;
+
+// Columns for CSV export (JSON export keeps whole entries)
+const EXPORT_FIELDS = [
+  'timestamp', 'success', 'fileType', 'original', 'renamed', 'folder',
+  'caption', 'category', 'method', 'rule', 'source', 'url', 'error', 'duplicateName', 'similarName'
+];
+
+const elements = {
+  status: document.getElementById('status'),
+  historyList: document.getElementById('historyList'),
+  search: document.getElementById('search'),
+  fileType: document.getElementById('fileType'),
+  host: document.getElementById('host'),
+  outcome: document.getElementById('outcome'),
+  dateFrom: document.getElementById('dateFrom'),
+  dateTo: document.getElementById('dateTo'),
+  summary: document.getElementById('summary'),
+  exportCsv: document.getElementById('exportCsv'),
+  exportJson: document.getElementById('exportJson'),
+  clearHistory: document.getElementById('clearHistory'),
+  prevPage: document.getElementById('prevPage'),
+  nextPage: document.getElementById('nextPage'),
+  pageInfo: document.getElementById('pageInfo')
+};
+
+let page = 0;
+
+// Entries on the current page (by id) and the one whose name is being edited
+const shownItems = new Map();
+let editingId = null;
+
+// Build the store query from the filter controls
+function currentQuery() {
+  return {
+    search: elements.search.value,
+    fileType: elements.fileType.value,
+    host: elements.host.value,
+    status: elements.outcome.value,
+    from: elements.dateFrom.value ? new Date(`${elements.dateFrom.value}T00:00:00`).getTime() : null,
+    to: elements.dateTo.value ? new Date(`${elements.dateTo.value}T23:59:59.999`).getTime() : null
+  };
+}
+
+// Display history
+async function displayHistory() {
+  const { items, total } = await queryHistory({
+    ...currentQuery(),
+    offset: page * PAGE_SIZE,
+    limit: PAGE_SIZE
+  });
+
+  const pages = Math.max(1, Math.ceil(total / PAGE_SIZE));
+  if (page >= pages) {
+    page = pages - 1;
+    return displayHistory();
+  }
+
+  elements.summary.textContent = `${total} ${total === 1 ? 'entry' : 'entries'}`;
+  elements.pageInfo.textContent = `Page ${page + 1} of ${pages}`;
+  elements.prevPage.disabled = page === 0;
+  elements.nextPage.disabled = page >= pages - 1;
+
+  if (items.length === 0) {
+    elements.historyList.innerHTML = hasFilters()
+      ? '<div class="empty">Nothing matches these filters.</div>'
+      : '<div class="empty">No renames yet. Download an image or PDF to get started!</div>';
+    return;
+  }
+
+  shownItems.clear();
+  for (const item of items) shownItems.set(item.id, item);
+  editingId = null;
+  elements.historyList.innerHTML = items.map(renderItem).join('');
+}
+
+// Fill the site filter from stored entries (keeps the current choice)
+async function loadHosts() {
+  const hosts = await historyHosts();
+  const selected = elements.host.value;
+
+  elements.host.innerHTML = '<option value="">All sites</option>';
+  for (const host of hosts) {
+    const option = document.createElement('option');
+    option.value = host;
+    option.textContent = host;
+    elements.host.appendChild(option);
+  }
+
+  elements.host.value = hosts.includes(selected) ? selected : '';
+}
+
+function hasFilters() {
+  const query = currentQuery();
+  return Boolean(query.search.trim() || query.fileType || query.host || query.status || query.from || query.to);
+}
+
+function renderItem(item) {
+  const time = new Date(item.timestamp).toLocaleString();
+  const source = escapeHtml(item.source || 'unknown');
+
+  if (!item.success) {
+    return `
+      <div class="history-item error">
+        <div class="item-main">
+          <div class="error-text">✗ ${escapeHtml(item.filename || 'Unknown')}</div>
+          <div class="meta">${time} · ${source} · ${escapeHtml(item.error || 'Error')}</div>
+          ${duplicateLink(item)}
+        </div>
+        <div class="item-actions">
+          ${actionButton('rename-again', item, 'Try again', !item.url)}
+        </div>
+      </div>
+    `;
+  }
+
+  const renamed = item.folder ? `${item.folder}/${item.renamed}` : item.renamed;
+  const flags = [
+    item.undone && 'undone',
+    item.renamedAgain && 'renamed again',
+    item.edited && 'edited',
+    item.method && item.method !== 'ai' && item.method
+  ].filter(Boolean).join(' · ');
+
+  return `
+    <div class="history-item success${item.undone ? ' undone' : ''}" data-entry="${item.id}">
+      <div class="item-main">
+        <div class="original">${escapeHtml(item.original || '')}</div>
+        <div class="renamed">→ ${escapeHtml(renamed || '')}</div>
+        ${item.caption ? `<div class="caption">"${escapeHtml(item.caption)}"</div>` : ''}
+        <div class="meta">${time} · ${escapeHtml(item.fileType || '')} · ${source}${flags ? ` · ${escapeHtml(flags)}` : ''}</div>
+        ${duplicateLink(item)}
+      </div>
+      <div class="item-actions">
+        ${actionButton('edit', item, 'Edit name', !item.url)}
+        ${actionButton('undo', item, 'Undo', !item.url || item.undone)}
+        ${actionButton('rename-again', item, 'Rename again', !item.url)}
+      </div>
+    </div>
+  `;
+}
+
+// "duplicate of …" / "similar to …": shows the earlier rename of the same file or a close
+// picture (see duplicates.js)
+function duplicateLink(item) {
+  const earlier = item.duplicateName || item.similarName;
+  if (!earlier) return '';
+  const name = earlier.split('/').pop();
+  const label = item.duplicateName ? 'duplicate of' : 'similar to';
+  return `<div class="duplicate">${label} <a href="#" data-duplicate-of="${escapeHtml(name)}">${escapeHtml(earlier)}</a></div>`;
+}
+
+// Show the earlier entry: search for its name with no other filters
+function showDuplicateOf(name) {
+  for (const el of [elements.fileType, elements.host, elements.outcome, elements.dateFrom, elements.dateTo]) el.value = '';
+  elements.search.value = name;
+  page = 0;
+  displayHistory();
+}
+
+function actionButton(action, item, label, disabled) {
+  return `<button class="action" data-action="${action}" data-id="${item.id}"${disabled ? ' disabled' : ''}>${label}</button>`;
+}
+
+// Undo / rename again (handled by the background worker)
+async function runAction(action, id) {
+  const response = await chrome.runtime.sendMessage({ type: `history:${action}`, id });
+
+  if (response?.error) {
+    showStatus(response.error, false);
+  } else {
+    showStatus(action === 'undo'
+      ? 'Saving the file again under its original name…'
+      : 'Downloading the file again to rename it…', true);
+  }
+
+  await displayHistory();
+}
+
+/* ------------------------------ edit name ------------------------------ */
+
+// Swap the new name for a text field; saving downloads the file again under the typed name
+// (extension and folder stay) and removes the old copy, like undo does
+function openEditor(id) {
+  const item = shownItems.get(id);
+  const row = elements.historyList.querySelector(`[data-entry="${id}"]`);
+  if (!item || !row) return;
+
+  const dot = item.renamed.lastIndexOf('.');
+  const form = document.createElement('form');
+  form.className = 'edit-form';
+  form.innerHTML = `
+    <input type="text" class="edit-name" spellcheck="false">
+    <span class="edit-ext"></span>
+    <button class="action" type="submit">Save</button>
+    <button class="action" type="button" data-cancel>Cancel</button>
+  `;
+
+  const input = form.querySelector('.edit-name');
+  input.value = dot > 0 ? item.renamed.slice(0, dot) : item.renamed;
+  form.querySelector('.edit-ext').textContent = dot > 0 ? item.renamed.slice(dot) : '';
+
+  form.addEventListener('submit', (e) => {
+    e.preventDefault();
+    saveEdit(id, input.value);
+  });
+  form.querySelector('[data-cancel]').addEventListener('click', () => displayHistory());
+  input.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape') displayHistory();
+  });
+
+  row.querySelector('.renamed').replaceWith(form);
+  editingId = id;
+  input.focus();
+  input.select();
+}
+
+async function saveEdit(id, basename) {
+  const response = await chrome.runtime.sendMessage({ type: 'history:rename-to', id, basename });
+
+  if (response?.error) {
+    showStatus(response.error, false);
+    return;
+  }
+  showStatus(`Saving the file again as ${response.renamed}…`, true);
+  await displayHistory();
+}
+
+/* ------------------------------ export ------------------------------ */
+
+// Export everything matching the current filters (not just this page)
+async function exportHistory(format) {
+  const { items } = await queryHistory(currentQuery());
+
+  if (items.length === 0) {
+    showStatus('Nothing to export.', false);
+    return;
+  }
+
+  const stamp = new Date().toISOString().slice(0, 10);
+  if (format === 'csv') {
+    downloadText(toCsv(items), `rename-history-${stamp}.csv`, 'text/csv');
+  } else {
+    downloadText(JSON.stringify(items, null, 2), `rename-history-${stamp}.json`, 'application/json');
+  }
+
+  showStatus(`Exported ${items.length} ${items.length === 1 ? 'entry' : 'entries'}.`, true);
+}
+
+function toCsv(items) {
+  const rows = items.map((item) => EXPORT_FIELDS.map((field) => {
+    const value = field === 'timestamp' ? new Date(item.timestamp).toISOString() : item[field];
+    return csvCell(value);
+  }).join(','));
+
+  return [EXPORT_FIELDS.join(','), ...rows].join('\r\n');
+}
+
+function csvCell(value) {
+  if (value == null) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Helper: save text through an <a download> link
+function downloadText(text, filename, type) {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+async function confirmClear() {
+  if (!confirm('Delete the whole rename history? Files on disk are not touched.')) return;
+
+  await clearHistory();
+  await clearDuplicateIndex();
+  showStatus('History cleared.', true);
+  await refresh();
+}
+
+/* ------------------------------ helpers ------------------------------ */
+
+function showStatus(message, success) {
+  elements.status.className = `status ${success ? 'success' : 'error'}`;
+  elements.status.textContent = message;
+}
+
+function escapeHtml(text) {
+  const div = document.createElement('div');
+  div.textContent = text;
+  return div.innerHTML;
+}
+
+async function refresh() {
+  await loadHosts();
+  await displayHistory();
+}
+
+// Helper: debounce
+function debounce(fn, ms) {
+  let timer;
+  return (...args) => {
+    clearTimeout(timer);
+    timer = setTimeout(() => fn(...args), ms);
+  };
+}
+
+// Event listeners
+elements.historyList.addEventListener('click', (e) => {
+  const link = e.target.closest('[data-duplicate-of]');
+  if (link) {
+    e.preventDefault();
+    showDuplicateOf(link.dataset.duplicateOf);
+    return;
+  }
+
+  const button = e.target.closest('[data-action]');
+  if (!button || button.disabled) return;
+  if (button.dataset.action === 'edit') {
+    openEditor(Number(button.dataset.id));
+    return;
+  }
+  button.disabled = true;
+  runAction(button.dataset.action, Number(button.dataset.id));
+});
+
+const applyFilters = () => {
+  page = 0;
+  displayHistory();
+};
+
+elements.search.addEventListener('input', debounce(applyFilters, 200));
+for (const el of [elements.fileType, elements.host, elements.outcome, elements.dateFrom, elements.dateTo]) {
+  el.addEventListener('change', applyFilters);
+}
+
+elements.prevPage.addEventListener('click', () => {
+  page = Math.max(0, page - 1);
+  displayHistory();
+});
+elements.nextPage.addEventListener('click', () => {
+  page++;
+  displayHistory();
+});
+
+elements.exportCsv.addEventListener('click', () => exportHistory('csv'));
+elements.exportJson.addEventListener('click', () => exportHistory('json'));
+elements.clearHistory.addEventListener('click', confirmClear);
+
+// Background updates don't redraw the list while a name is being edited
+onHistoryChanged(debounce(() => editingId == null && refresh(), 300));
+
+// Initialize
+const editId = Number(new URLSearchParams(location.search).get('edit'));
+refresh().then(() => editId && openEditor(editId));
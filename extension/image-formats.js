@@ -0,0 +1,397 @@
+/**
+ * Image formats
+ * Magic-byte sniffing (the saved extension follows the content, not the URL), text from
+ * SVG files and a baseline TIFF decoder for formats a service worker can't turn into a bitmap.
+ */
+
+import { CONFIG } from './config.js';
+import { readExif } from './exif.js';
+
+// Formats createImageBitmap can't decode in the service worker
+export const UNDECODABLE_TYPES = ['svg', 'heic'];
+
+// MIME types seen in the wild that aren't the canonical ones in CONFIG.IMAGE_TYPES
+const MIME_ALIASES = {
+  'image/jpg': 'jpg',
+  'image/pjpeg': 'jpg',
+  'image/x-png': 'png',
+  'image/x-ms-bmp': 'bmp',
+  'image/vnd.microsoft.icon': 'ico',
+  'image/heic-sequence': 'heic',
+  'image/heif-sequence': 'heif'
+};
+
+// ISO-BMFF brands ("ftyp" box) of AVIF and HEIF/HEIC files
+const AVIF_BRANDS = ['avif', 'avis'];
+const HEIC_BRANDS = ['heic', 'heix', 'hevc', 'hevx', 'heim', 'heis', 'mif1', 'msf1'];
+
+// TIFF tags used by the decoder
+const TIFF = {
+  WIDTH: 256,
+  HEIGHT: 257,
+  BITS_PER_SAMPLE: 258,
+  COMPRESSION: 259,
+  PHOTOMETRIC: 262,
+  STRIP_OFFSETS: 273,
+  SAMPLES_PER_PIXEL: 277,
+  ROWS_PER_STRIP: 278,
+  STRIP_BYTE_COUNTS: 279,
+  PLANAR_CONFIG: 284,
+  PREDICTOR: 317,
+  COLOR_MAP: 320
+};
+
+// Decoded pixels above this are refused (a 8000x5000 RGBA bitmap is already 160MB)
+const MAX_TIFF_PIXELS = 40_000_000;
+
+/**
+ * Image type from the first bytes: 'jpg', 'png', 'gif', 'webp', 'avif', 'heic', 'bmp',
+ * 'tiff', 'ico', 'svg', or '' when the content isn't a known image.
+ */
+export function sniffImageType(buffer) {
+  const bytes = new Uint8Array(buffer, 0, Math.min(buffer.byteLength, 1024));
+  const ascii = (start, length) => String.fromCharCode(...bytes.subarray(start, start + length));
+
+  if (bytes[0] === 0xFF && bytes[1] === 0xD8 && bytes[2] === 0xFF) return 'jpg';
+  if (ascii(0, 8) === '\x89PNG\r\n\x1A\n') return 'png';
+  if (ascii(0, 4) === 'GIF8') return 'gif';
+  if (ascii(0, 4) === 'RIFF' && ascii(8, 4) === 'WEBP') return 'webp';
+  if (ascii(0, 2) === 'BM' && bytes.length > 14) return 'bmp';
+  if (ascii(0, 4) === 'II*\0' || ascii(0, 4) === 'MM\0*') return 'tiff';
+  if (bytes[0] === 0 && bytes[1] === 0 && bytes[2] === 1 && bytes[3] === 0 && bytes[4] > 0) return 'ico';
+
+  if (ascii(4, 4) === 'ftyp') {
+    const boxSize = Math.min(new DataView(bytes.buffer, bytes.byteOffset).getUint32(0), bytes.length);
+    const brands = [ascii(8, 4)];
+    for (let offset = 16; offset + 4 <= boxSize; offset += 4) brands.push(ascii(offset, 4));
+
+    if (brands.some((brand) => AVIF_BRANDS.includes(brand))) return 'avif';
+    if (brands.some((brand) => HEIC_BRANDS.includes(brand))) return 'heic';
+  }
+
+  if (/^\uFEFF?\s*(?:<\?xml[^>]*>\s*)?(?:<!--[\s\S]*?-->\s*|<!DOCTYPE[^>]*>\s*)*<svg[\s>]/i.test(new TextDecoder().decode(bytes))) {
+    return 'svg';
+  }
+
+  return '';
+}
+
+/**
+ * Pixel size from the file header, as displayed (EXIF rotation applied), without decoding.
+ * Returns { width, height } or null for formats / files it can't tell.
+ */
+export function imageSize(buffer) {
+  try {
+    const view = new DataView(buffer);
+    let size = null;
+
+    switch (sniffImageType(buffer)) {
+      case 'png':
+        size = { width: view.getUint32(16), height: view.getUint32(20) };
+        break;
+      case 'gif':
+        size = { width: view.getUint16(6, true), height: view.getUint16(8, true) };
+        break;
+      case 'bmp':
+        size = { width: view.getInt32(18, true), height: Math.abs(view.getInt32(22, true)) };
+        break;
+      case 'webp':
+        size = webpSize(view);
+        break;
+      case 'jpg': {
+        size = jpegSize(view);
+        // Orientations 5-8 are rotated by 90°: the decoded bitmap is height x width
+        if (size && readExif(buffer).orientation >= 5) size = { width: size.height, height: size.width };
+        break;
+      }
+    }
+
+    return size?.width > 0 && size?.height > 0 ? size : null;
+  } catch {
+    return null;
+  }
+}
+
+// Servers often answer image URLs with a login or error page
+export function looksLikeHtml(buffer) {
+  const head = new TextDecoder().decode(new Uint8Array(buffer, 0, Math.min(buffer.byteLength, 512)));
+  return /^\uFEFF?\s*(?:<!--[\s\S]*?-->\s*)*<(?:!doctype html|html|head|body)[\s>]/i.test(head);
+}
+
+// Image extension for a MIME type ('' when it isn't an image type we handle)
+export function extensionForMime(mime) {
+  const type = (mime || '').toLowerCase().split(';')[0].trim();
+  if (MIME_ALIASES[type]) return MIME_ALIASES[type];
+
+  const match = Object.entries(CONFIG.IMAGE_TYPES).find(([, value]) => value === type);
+  return match ? match[0] : '';
+}
+
+// Extensions of the same format ("jpeg" and "jpg", "tif" and "tiff", "heif" and "heic")
+export function sameImageType(a, b) {
+  const family = (ext) => ({ jpeg: 'jpg', tif: 'tiff', heif: 'heic' })[ext] || ext;
+  return family(a) === family(b);
+}
+
+// MIME type of a data: URL ("data:image/png;base64,..." -> "image/png")
+export function dataUrlMime(url) {
+  const m = (url || '').match(/^data:([^;,]*)/i);
+  return m ? m[1].toLowerCase() : '';
+}
+
+/**
+ * Text of an SVG file for naming: <title>, <desc>, aria-label and <text> content.
+ * Returns { title, text } (empty strings when the graphic has no text).
+ */
+export function extractSvgText(buffer) {
+  const svg = new TextDecoder().decode(buffer).slice(0, 500_000);
+  const clean = (s) => decodeEntities(s.replace(/<[^>]+>/g, ' ')).replace(/\s+/g, ' ').trim();
+
+  const title = clean(svg.match(/<title[^>]*>([\s\S]*?)<\/title>/i)?.[1] || '') ||
+    clean(svg.match(/<svg[^>]*\baria-label\s*=\s*"([^"]*)"/i)?.[1] || '');
+
+  const parts = [];
+  for (const m of svg.matchAll(/<desc[^>]*>([\s\S]*?)<\/desc>|<text[^>]*>([\s\S]*?)<\/text>/gi)) {
+    const part = clean(m[1] ?? m[2]);
+    if (part && !parts.includes(part)) parts.push(part);
+  }
+
+  return { title: title.slice(0, 200), text: parts.join('\n').slice(0, 2000) };
+}
+
+/**
+ * Decode the first image of a baseline TIFF (strips; uncompressed, PackBits, LZW or Deflate;
+ * 8-bit gray, RGB, RGBA or palette, 1-bit bilevel). Returns ImageData, or null when the
+ * file uses something else (tiles, JPEG compression, 16-bit samples, ...).
+ */
+export async function decodeTiff(buffer) {
+  try {
+    const view = new DataView(buffer);
+    const little = view.getUint16(0) === 0x4949;
+    const tags = readTiffIfd(view, view.getUint32(4, little), little);
+    const tag = (id, fallback) => tags[id]?.[0] ?? fallback;
+
+    const width = tag(TIFF.WIDTH, 0);
+    const height = tag(TIFF.HEIGHT, 0);
+    const bits = tag(TIFF.BITS_PER_SAMPLE, 1);
+    const samples = tag(TIFF.SAMPLES_PER_PIXEL, 1);
+    const compression = tag(TIFF.COMPRESSION, 1);
+    const photometric = tag(TIFF.PHOTOMETRIC, 1);
+    const predictor = tag(TIFF.PREDICTOR, 1);
+    const offsets = tags[TIFF.STRIP_OFFSETS];
+    const counts = tags[TIFF.STRIP_BYTE_COUNTS];
+
+    if (!width || !height || width * height > MAX_TIFF_PIXELS || !offsets || !counts) return null;
+    if (tag(TIFF.PLANAR_CONFIG, 1) !== 1 || ![1, 8].includes(bits) || (bits === 1 && samples !== 1)) return null;
+    if (![0, 1, 2, 3].includes(photometric)) return null;
+
+    const rowBytes = Math.ceil((width * samples * bits) / 8);
+    const rowsPerStrip = tag(TIFF.ROWS_PER_STRIP, height);
+    const pixels = new Uint8Array(rowBytes * height);
+
+    for (let i = 0; i < offsets.length; i++) {
+      const raw = new Uint8Array(buffer, offsets[i], Math.min(counts[i], buffer.byteLength - offsets[i]));
+      const rows = Math.min(rowsPerStrip, height - i * rowsPerStrip);
+      if (rows <= 0) break;
+
+      let strip;
+      if (compression === 1) strip = predictor === 2 ? raw.slice() : raw;
+      else if (compression === 32773) strip = packBitsDecode(raw, rowBytes * rows);
+      else if (compression === 5) strip = tiffLzwDecode(raw, rowBytes * rows);
+      else if (compression === 8 || compression === 32946) strip = await inflate(raw);
+      else return null;
+
+      if (predictor === 2 && bits === 8) undoHorizontalPredictor(strip, rowBytes, samples);
+      pixels.set(strip.subarray(0, Math.min(strip.length, rowBytes * rows)), i * rowsPerStrip * rowBytes);
+    }
+
+    return toImageData(pixels, { width, height, bits, samples, photometric, rowBytes, colorMap: tags[TIFF.COLOR_MAP] });
+  } catch {
+    return null;
+  }
+}
+
+/* ------------------------------ headers ------------------------------ */
+
+// Size from the first SOFn marker
+function jpegSize(view) {
+  let offset = 2;
+  while (offset + 9 < view.byteLength) {
+    const marker = view.getUint16(offset);
+    if ((marker & 0xFF00) !== 0xFF00) return null;
+
+    const isFrame = marker >= 0xFFC0 && marker <= 0xFFCF && ![0xFFC4, 0xFFC8, 0xFFCC].includes(marker);
+    if (isFrame) return { width: view.getUint16(offset + 7), height: view.getUint16(offset + 5) };
+    offset += 2 + view.getUint16(offset + 2);
+  }
+  return null;
+}
+
+// VP8 (lossy), VP8L (lossless) and VP8X (extended) chunks
+function webpSize(view) {
+  const chunk = String.fromCharCode(view.getUint8(12), view.getUint8(13), view.getUint8(14), view.getUint8(15));
+
+  if (chunk === 'VP8 ') {
+    return { width: view.getUint16(26, true) & 0x3FFF, height: view.getUint16(28, true) & 0x3FFF };
+  }
+  if (chunk === 'VP8L') {
+    const bits = view.getUint32(21, true);
+    return { width: (bits & 0x3FFF) + 1, height: ((bits >> 14) & 0x3FFF) + 1 };
+  }
+  if (chunk === 'VP8X') {
+    const width = 1 + (view.getUint8(24) | (view.getUint8(25) << 8) | (view.getUint8(26) << 16));
+    const height = 1 + (view.getUint8(27) | (view.getUint8(28) << 8) | (view.getUint8(29) << 16));
+    return { width, height };
+  }
+  return null;
+}
+
+/* ------------------------------ TIFF parsing ------------------------------ */
+
+// IFD entries as arrays of numbers (SHORT, LONG; other types are skipped)
+function readTiffIfd(view, offset, little) {
+  const out = {};
+  const count = view.getUint16(offset, little);
+
+  for (let i = 0; i < count; i++) {
+    const entry = offset + 2 + i * 12;
+    const type = view.getUint16(entry + 2, little);
+    const n = view.getUint32(entry + 4, little);
+    const size = type === 3 ? 2 : type === 4 ? 4 : 0;
+    if (!size) continue;
+
+    const start = n * size <= 4 ? entry + 8 : view.getUint32(entry + 8, little);
+    const values = [];
+    for (let j = 0; j < n && start + (j + 1) * size <= view.byteLength; j++) {
+      values.push(size === 2 ? view.getUint16(start + j * 2, little) : view.getUint32(start + j * 4, little));
+    }
+    out[view.getUint16(entry, little)] = values;
+  }
+
+  return out;
+}
+
+function toImageData(pixels, { width, height, bits, samples, photometric, rowBytes, colorMap }) {
+  const rgba = new Uint8ClampedArray(width * height * 4);
+  const colors = colorMap ? colorMap.length / 3 : 0;
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const o = (y * width + x) * 4;
+      rgba[o + 3] = 255;
+
+      if (bits === 1) {
+        const bit = (pixels[y * rowBytes + (x >> 3)] >> (7 - (x & 7))) & 1;
+        rgba[o] = rgba[o + 1] = rgba[o + 2] = (bit ^ (photometric === 0 ? 1 : 0)) * 255;
+        continue;
+      }
+
+      const p = y * rowBytes + x * samples;
+      if (photometric === 2) {
+        rgba[o] = pixels[p];
+        rgba[o + 1] = pixels[p + 1];
+        rgba[o + 2] = pixels[p + 2];
+        if (samples > 3) rgba[o + 3] = pixels[p + 3];
+      } else if (photometric === 3 && colors) {
+        // Palette entries are 16-bit: all reds, then all greens, then all blues
+        const index = pixels[p];
+        rgba[o] = colorMap[index] >> 8;
+        rgba[o + 1] = colorMap[colors + index] >> 8;
+        rgba[o + 2] = colorMap[2 * colors + index] >> 8;
+      } else {
+        const gray = photometric === 0 ? 255 - pixels[p] : pixels[p];
+        rgba[o] = rgba[o + 1] = rgba[o + 2] = gray;
+        if (samples > 1) rgba[o + 3] = pixels[p + 1];
+      }
+    }
+  }
+
+  return new ImageData(rgba, width, height);
+}
+
+function undoHorizontalPredictor(data, rowBytes, samples) {
+  for (let row = 0; row + rowBytes <= data.length; row += rowBytes) {
+    for (let i = samples; i < rowBytes; i++) {
+      data[row + i] = (data[row + i] + data[row + i - samples]) & 0xFF;
+    }
+  }
+}
+
+function packBitsDecode(data, expected) {
+  const out = new Uint8Array(expected);
+  let length = 0;
+
+  for (let i = 0; i < data.length && length < expected;) {
+    const n = (data[i++] << 24) >> 24; // Signed byte
+    if (n >= 0) {
+      out.set(data.subarray(i, i + n + 1).subarray(0, expected - length), length);
+      length += n + 1;
+      i += n + 1;
+    } else if (n !== -128) {
+      out.fill(data[i++], length, Math.min(length + 1 - n, expected));
+      length += 1 - n;
+    }
+  }
+
+  return out;
+}
+
+// TIFF LZW: MSB-first codes, 256 = clear, 257 = end, code width grows one code early
+function tiffLzwDecode(data, expected) {
+  const out = new Uint8Array(expected);
+  let length = 0;
+  let dict = [];
+  let codeLength = 9;
+  let prev = null;
+  let bitBuffer = 0;
+  let bitCount = 0;
+
+  const reset = () => {
+    dict = Array.from({ length: 258 }, (_, i) => (i < 256 ? [i] : null));
+    codeLength = 9;
+    prev = null;
+  };
+  reset();
+
+  for (let i = 0; i < data.length && length < expected; i++) {
+    bitBuffer = ((bitBuffer << 8) | data[i]) >>> 0;
+    bitCount += 8;
+
+    while (bitCount >= codeLength) {
+      const code = (bitBuffer >>> (bitCount - codeLength)) & ((1 << codeLength) - 1);
+      bitCount -= codeLength;
+
+      if (code === 256) {
+        reset();
+        continue;
+      }
+      if (code === 257) return out;
+
+      let entry = dict[code];
+      if (!entry && prev) entry = [...prev, prev[0]];
+      if (!entry) return out;
+
+      out.set(entry.slice(0, expected - length), length);
+      length += entry.length;
+      if (prev) dict.push([...prev, entry[0]]);
+      prev = entry;
+
+      if (dict.length + 1 >= 1 << codeLength && codeLength < 12) codeLength++;
+    }
+    bitBuffer &= (1 << bitCount) - 1;
+  }
+
+  return out;
+}
+
+async function inflate(data) {
+  const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+function decodeEntities(text) {
+  return text
+    .replace(/&#x([0-9a-f]+);/gi, (_, hex) => String.fromCodePoint(parseInt(hex, 16)))
+    .replace(/&#(\d+);/g, (_, dec) => String.fromCodePoint(Number(dec)))
+    .replace(/&(amp|lt|gt|quot|apos);/g, (_, name) => ({ amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" })[name]);
+}
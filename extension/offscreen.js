@@ -0,0 +1,112 @@
+/**
+ * Offscreen Document
+ * Page-only work for the background worker: reads finished downloads from disk (file://
+ * needs XMLHttpRequest, which service workers don't have) and keeps them as blob: URLs
+ * so the worker can save them again under the new name. Also copies suggested names.
+ */
+
+// Key (download id) -> blob: URL of a file read from disk, until the worker releases it
+const heldFiles = new Map();
+
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  if (message?.target !== 'offscreen') return false;
+
+  handleMessage(message)
+    .then(sendResponse)
+    .catch((error) => sendResponse({ error: error.message }));
+  return true; // Async response
+});
+
+async function handleMessage(message) {
+  switch (message.type) {
+    case 'file:read':
+      return await readFile(message);
+
+    case 'file:release':
+      releaseFile(message.key);
+      return { ok: true };
+
+    case 'clipboard:write':
+      writeClipboard(message.text);
+      return { ok: true };
+
+    default:
+      return { error: `Unknown message: ${message.type}` };
+  }
+}
+
+// Read a saved file; returns a blob: URL to save it again and its bytes (base64): up to
+// maxSize, or with tailSize the first maxSize and the last tailSize bytes (large PDFs).
+// Files over maxSize without tailSize come back as tooLarge, without bytes.
+async function readFile({ key, path, maxSize, tailSize = 0 }) {
+  const blob = await loadFileUrl(toFileUrl(path));
+
+  releaseFile(key);
+  const blobUrl = URL.createObjectURL(blob);
+  heldFiles.set(key, blobUrl);
+
+  if (blob.size <= maxSize) {
+    return { base64: arrayBufferToBase64(await blob.arrayBuffer()), blobUrl, size: blob.size };
+  }
+  if (!tailSize) return { tooLarge: true, blobUrl, size: blob.size };
+
+  return {
+    base64: arrayBufferToBase64(await blob.slice(0, maxSize).arrayBuffer()),
+    tailBase64: arrayBufferToBase64(await blob.slice(-tailSize).arrayBuffer()),
+    blobUrl,
+    size: blob.size
+  };
+}
+
+function releaseFile(key) {
+  const blobUrl = heldFiles.get(key);
+  if (!blobUrl) return;
+
+  URL.revokeObjectURL(blobUrl);
+  heldFiles.delete(key);
+}
+
+// Offscreen documents never have focus, so navigator.clipboard is out; execCommand still works
+function writeClipboard(text) {
+  const field = document.createElement('textarea');
+  field.value = text;
+  document.body.append(field);
+  field.select();
+
+  const copied = document.execCommand('copy');
+  field.remove();
+  if (!copied) throw new Error('Could not copy to the clipboard');
+}
+
+/* ------------------------------ helpers ------------------------------ */
+
+// Helper: XMLHttpRequest can read file:// when "Allow access to file URLs" is on
+function loadFileUrl(url) {
+  return new Promise((resolve, reject) => {
+    const xhr = new XMLHttpRequest();
+    xhr.open('GET', url);
+    xhr.responseType = 'blob';
+    xhr.onload = () => (xhr.response ? resolve(xhr.response) : reject(new Error('The saved file is empty')));
+    xhr.onerror = () => reject(new Error('Could not read the saved file (moved, deleted, or no file access)'));
+    xhr.send();
+  });
+}
+
+// Helper: "/home/me/Downloads/a b.jpg" / "C:\Users\me\a#1.pdf" -> file:// URL
+function toFileUrl(path) {
+  const slashed = path.replace(/\\/g, '/');
+  const absolute = slashed.startsWith('/') ? slashed : `/${slashed}`;
+  return `file://${encodeURI(absolute).replace(/#/g, '%23').replace(/\?/g, '%3F')}`;
+}
+
+function arrayBufferToBase64(buffer) {
+  const bytes = new Uint8Array(buffer);
+  let binary = '';
+  const chunkSize = 0x8000;
+
+  for (let i = 0; i < bytes.length; i += chunkSize) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + chunkSize));
+  }
+
+  return btoa(binary);
+}
@@ -3,25 +3,131 @@
  */
 
 import { CONFIG } from './config.js';
-import { testConnection } from './hf-api.js';
+import { testConnection, listModels, nameWithProfile, prepareImageForAPI } from './hf-api.js';
+import { providerReady, providerModels, strongerModel } from './providers.js';
+import { renderTemplate, TEMPLATE_TOKENS, SAMPLE_CONTEXT } from './template.js';
+import { createRule, matchRule, downloadFacts, validateRule, RULE_ACTIONS, RULE_READ_MODES } from './rules.js';
+import { BATCH_MODES } from './batch.js';
+import { DUPLICATE_ACTIONS } from './duplicates.js';
+import { cacheStats, clearCaptionCache } from './caption-cache.js';
+import {
+  createProfile,
+  validateProfile,
+  renderPrompt,
+  PROMPT_VARIABLES,
+  PROMPT_PRESETS,
+  PROFILE_KINDS
+} from './prompts.js';
+import { extractPdfPreviewText } from './pdf-extract.js';
+import { extractDocumentText, DOCUMENT_KINDS } from './doc-extract.js';
+import { sniffImageType, extractSvgText } from './image-formats.js';
+import { readSettings, readStoredSettings, writeSettings } from './settings-store.js';
 
 // Elements
 const elements = {
+  provider: document.getElementById('provider'),
+  hfSettings: document.getElementById('hfSettings'),
   hfToken: document.getElementById('hfToken'),
   model: document.getElementById('model'),
 
+  // Other providers
+  customProviderSettings: document.getElementById('customProviderSettings'),
+  providerBaseUrl: document.getElementById('providerBaseUrl'),
+  providerApiKey: document.getElementById('providerApiKey'),
+  providerModel: document.getElementById('providerModel'),
+  providerModelList: document.getElementById('providerModelList'),
+  providerVision: document.getElementById('providerVision'),
+  loadModelsBtn: document.getElementById('loadModelsBtn'),
+
+  // Naming mode
+  renameMode: document.getElementById('renameMode'),
+  offlineFallback: document.getElementById('offlineFallback'),
+  readFrom: document.getElementById('readFrom'),
+  readFromHint: document.getElementById('readFromHint'),
+
   // Image options
   cleanCaptions: document.getElementById('cleanCaptions'),
   addDateSuffix: document.getElementById('addDateSuffix'),
   skipSmallImages: document.getElementById('skipSmallImages'),
+  minImageSize: document.getElementById('minImageSize'),
+  maxImageSize: document.getElementById('maxImageSize'),
+  readScreenshots: document.getElementById('readScreenshots'),
+  usePageContext: document.getElementById('usePageContext'),
+  pageContextExcludedSites: document.getElementById('pageContextExcludedSites'),
+  nameLanguage: document.getElementById('nameLanguage'),
+  transliterate: document.getElementById('transliterate'),
   maxWords: document.getElementById('maxWords'),
+  maxConcurrentRequests: document.getElementById('maxConcurrentRequests'),
+  maxRequestsPerMinute: document.getElementById('maxRequestsPerMinute'),
+  cacheReplies: document.getElementById('cacheReplies'),
+  cacheTtlDays: document.getElementById('cacheTtlDays'),
+  cacheMaxEntries: document.getElementById('cacheMaxEntries'),
+  clearCacheBtn: document.getElementById('clearCacheBtn'),
+  cacheInfo: document.getElementById('cacheInfo'),
+  filenameTemplate: document.getElementById('filenameTemplate'),
+  templateTokens: document.getElementById('templateTokens'),
+  templatePreview: document.getElementById('templatePreview'),
+
+  // Folders
+  imageFolderTemplate: document.getElementById('imageFolderTemplate'),
+  pdfFolderTemplate: document.getElementById('pdfFolderTemplate'),
+  enableCategories: document.getElementById('enableCategories'),
+  categories: document.getElementById('categories'),
+
+  // Prompt profiles
+  profilesList: document.getElementById('profilesList'),
+  addProfileBtn: document.getElementById('addProfileBtn'),
+  profilePreset: document.getElementById('profilePreset'),
+  promptVariables: document.getElementById('promptVariables'),
+  imagePromptProfile: document.getElementById('imagePromptProfile'),
+  textPromptProfile: document.getElementById('textPromptProfile'),
+  profileTestProfile: document.getElementById('profileTestProfile'),
+  profileTestFile: document.getElementById('profileTestFile'),
+  profileTestBtn: document.getElementById('profileTestBtn'),
+  profileTestResult: document.getElementById('profileTestResult'),
+
+  // Rules
+  rulesList: document.getElementById('rulesList'),
+  ruleModelList: document.getElementById('ruleModelList'),
+  addRuleBtn: document.getElementById('addRuleBtn'),
+  ruleTestUrl: document.getElementById('ruleTestUrl'),
+  ruleTestMime: document.getElementById('ruleTestMime'),
+  ruleTestSize: document.getElementById('ruleTestSize'),
+  ruleTestBtn: document.getElementById('ruleTestBtn'),
+  ruleTestResult: document.getElementById('ruleTestResult'),
 
   // PDF options
   enablePdfRenaming: document.getElementById('enablePdfRenaming'),
+  enableDocumentRenaming: document.getElementById('enableDocumentRenaming'),
+  enablePdfOcr: document.getElementById('enablePdfOcr'),
+  structuredNaming: document.getElementById('structuredNaming'),
+  structuredTemplate: document.getElementById('structuredTemplate'),
+  structuredPreview: document.getElementById('structuredPreview'),
   pdfMaxChars: document.getElementById('pdfMaxChars'),
-  pdfMaxStreams: document.getElementById('pdfMaxStreams'),
+  pdfMaxPages: document.getElementById('pdfMaxPages'),
+  pdfMaxBytes: document.getElementById('pdfMaxBytes'),
+  maxDocumentSize: document.getElementById('maxDocumentSize'),
+
+  // Automatic renaming
+  autoRename: document.getElementById('autoRename'),
+  disabledSites: document.getElementById('disabledSites'),
+  allowedSites: document.getElementById('allowedSites'),
+
+  // Keyboard shortcuts
+  shortcutList: document.getElementById('shortcutList'),
+  shortcutsBtn: document.getElementById('shortcutsBtn'),
+  strongerModel: document.getElementById('strongerModel'),
+
+  // Confirm
+  confirmRenames: document.getElementById('confirmRenames'),
+  confirmTimeoutSec: document.getElementById('confirmTimeoutSec'),
+  confirmTimeoutAction: document.getElementById('confirmTimeoutAction'),
 
   // UX
+  batchMode: document.getElementById('batchMode'),
+  batchWindowSec: document.getElementById('batchWindowSec'),
+  duplicateAction: document.getElementById('duplicateAction'),
+  historyRetention: document.getElementById('historyRetention'),
   enableNotifications: document.getElementById('enableNotifications'),
 
   // Actions
@@ -42,65 +148,784 @@ function populateModelDropdown() {
   }
 }
 
+/* ------------------------------ providers ------------------------------ */
+
+// Per-provider values (base URL, key, model) kept while switching the dropdown
+let providerSettings = {};
+let activeProvider = 'huggingface';
+
+function populateProviderDropdown() {
+  elements.provider.innerHTML = '';
+  for (const [id, provider] of Object.entries(CONFIG.PROVIDERS)) {
+    const option = document.createElement('option');
+    option.value = id;
+    option.textContent = provider.label;
+    elements.provider.appendChild(option);
+  }
+
+  // Rules can override the model of any provider
+  const allModels = new Set(Object.keys(CONFIG.PROVIDERS).flatMap((id) => Object.values(providerModels(id))));
+  fillDatalist(elements.ruleModelList, [...allModels]);
+}
+
+// Show the fields for the selected provider
+function showProvider(id) {
+  stashProviderFields();
+  activeProvider = id;
+
+  const isHf = id === 'huggingface';
+  elements.hfSettings.style.display = isHf ? 'block' : 'none';
+  elements.customProviderSettings.style.display = isHf ? 'none' : 'block';
+  if (isHf) return;
+
+  const defaults = CONFIG.PROVIDERS[id];
+  const saved = providerSettings[id] || {};
+  const models = Object.values(providerModels(id));
+
+  elements.providerBaseUrl.value = saved.baseUrl || defaults.baseUrl;
+  elements.providerApiKey.value = saved.apiKey || '';
+  elements.providerModel.value = saved.model || models[0] || '';
+  elements.providerVision.checked = saved.vision ?? defaults.vision;
+  elements.loadModelsBtn.style.display = defaults.kind === 'openai' ? '' : 'none';
+  fillDatalist(elements.providerModelList, models);
+}
+
+// Remember what was typed for the currently shown provider
+function stashProviderFields() {
+  if (activeProvider === 'huggingface') return;
+
+  providerSettings[activeProvider] = {
+    baseUrl: elements.providerBaseUrl.value.trim(),
+    apiKey: elements.providerApiKey.value.trim(),
+    model: elements.providerModel.value.trim(),
+    vision: elements.providerVision.checked
+  };
+}
+
+// Provider-related settings as currently entered in the form
+function currentApiSettings() {
+  stashProviderFields();
+
+  return {
+    provider: activeProvider,
+    hfToken: elements.hfToken.value.trim(),
+    model: elements.model.value,
+    providers: { ...providerSettings }
+  };
+}
+
+// Fill the model suggestions from the server's /models endpoint
+async function loadProviderModels() {
+  elements.loadModelsBtn.disabled = true;
+
+  try {
+    const models = await listModels(currentApiSettings());
+    fillDatalist(elements.providerModelList, models);
+    showTestResult(true, models.length ? `Found ${models.length} models` : 'Server returned no models');
+  } catch (error) {
+    showTestResult(false, `Could not load models: ${error.message}`);
+  } finally {
+    elements.loadModelsBtn.disabled = false;
+  }
+}
+
+function fillDatalist(datalist, values) {
+  datalist.innerHTML = '';
+  for (const value of values) {
+    const option = document.createElement('option');
+    option.value = value;
+    datalist.appendChild(option);
+  }
+}
+
+// Size limits saved before they were in the form may not be one of the choices: add them
+function selectSize(select, bytes) {
+  const value = String(bytes);
+  if (![...select.options].some((option) => option.value === value)) {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = bytes >= 1024 * 1024 ? `${+(bytes / 1024 / 1024).toFixed(1)} MB` : `${Math.round(bytes / 1024)} KB`;
+    select.appendChild(option);
+  }
+  select.value = value;
+}
+
+// "a.com, *.b.org" -> ['a.com', '*.b.org'] (hostname globs, see rules.js hostMatches)
+function siteList(text) {
+  return text.split(',').map((site) => site.trim().toLowerCase()).filter(Boolean);
+}
+
+function populateLanguages() {
+  const choices = {
+    '': 'English (default)',
+    browser: 'Browser language',
+    match: 'Same as the file',
+    ...Object.fromEntries(Object.entries(CONFIG.LANGUAGES).filter(([code]) => code !== 'en'))
+  };
+
+  elements.nameLanguage.innerHTML = '';
+  for (const [code, label] of Object.entries(choices)) {
+    const option = document.createElement('option');
+    option.value = code;
+    option.textContent = label;
+    elements.nameLanguage.appendChild(option);
+  }
+}
+
+function populateDuplicateActions() {
+  elements.duplicateAction.innerHTML = '';
+  for (const [action, label] of Object.entries(DUPLICATE_ACTIONS)) {
+    const option = document.createElement('option');
+    option.value = action;
+    option.textContent = label;
+    elements.duplicateAction.appendChild(option);
+  }
+}
+
+function populateBatchModes() {
+  elements.batchMode.innerHTML = '';
+  for (const [mode, label] of Object.entries(BATCH_MODES)) {
+    const option = document.createElement('option');
+    option.value = mode;
+    option.textContent = label;
+    elements.batchMode.appendChild(option);
+  }
+}
+
+// List available template tokens
+function populateTemplateTokens() {
+  elements.templateTokens.innerHTML = '';
+  for (const [token, description] of Object.entries(TEMPLATE_TOKENS)) {
+    const item = document.createElement('li');
+    const code = document.createElement('code');
+    code.textContent = token;
+    item.append(code, ` — ${description}`);
+    elements.templateTokens.appendChild(item);
+  }
+}
+
+// Live preview of the filename template using sample values
+function updateTemplatePreview() {
+  const previewSettings = {
+    cleanCaptions: elements.cleanCaptions.checked,
+    addDateSuffix: elements.addDateSuffix.checked,
+    maxWords: parseInt(elements.maxWords.value, 10),
+    transliterate: elements.transliterate.checked
+  };
+
+  const basename = renderTemplate(elements.filenameTemplate.value, SAMPLE_CONTEXT, previewSettings);
+  elements.templatePreview.textContent = `Preview: ${basename}.jpg`;
+
+  const structured = renderTemplate(elements.structuredTemplate.value, SAMPLE_CONTEXT, previewSettings);
+  elements.structuredPreview.textContent = `Preview: ${structured}.pdf`;
+}
+
+// Reading saved files needs "Allow access to file URLs"; say so when it's off
+async function updateReadFromHint() {
+  const used = elements.readFrom.value === 'saved' || readRules().some((rule) => rule.readFrom === 'saved');
+  const allowed = await chrome.extension.isAllowedFileSchemeAccess();
+
+  elements.readFromHint.classList.toggle('warning', used && !allowed);
+  elements.readFromHint.textContent = used && !allowed
+    ? '⚠ Turn on "Allow access to file URLs" for this extension in chrome://extensions, or saved files can\'t be read.'
+    : 'Reading the saved file never requests the URL twice; the file is saved again under its new name ' +
+      'and the first copy is removed. Choose per site with a rule.';
+}
+
+/* ------------------------------ rules editor ------------------------------ */
+
+// Rule fields edited in the options page (data-field path -> input spec)
+const RULE_FIELDS = {
+  'match.host': { label: 'Hostname glob', placeholder: '*.example.com, cdn.*' },
+  'match.urlRegex': { label: 'URL regex', placeholder: '/invoices?/' },
+  'match.mime': { label: 'MIME type', placeholder: 'image/*, application/pdf' },
+  'match.ext': { label: 'Extension', placeholder: 'jpg, png' },
+  'match.minSizeKB': { label: 'Min size (KB)', type: 'number' },
+  'match.maxSizeKB': { label: 'Max size (KB)', type: 'number' },
+  action: { label: 'Action', select: RULE_ACTIONS },
+  readFrom: { label: 'Read file', select: RULE_READ_MODES },
+  profile: { label: 'Prompt profile', select: () => profileChoices('Default') },
+  model: { label: 'Model override', placeholder: '(default model)', list: 'ruleModelList' },
+  template: { label: 'Filename template override', placeholder: '{date:YYYYMMDD}_{caption:snake}', wide: true },
+  folder: { label: 'Folder override', placeholder: 'Invoices/{host}/{year}', wide: true },
+  prompt: { label: 'Extra prompt instructions', placeholder: 'Include the product name if visible', wide: true }
+};
+
+function renderRules(rules) {
+  elements.rulesList.innerHTML = '';
+
+  rules.forEach((rule, index) => {
+    const el = document.createElement('div');
+    el.className = `rule${rule.enabled === false ? ' disabled' : ''}`;
+    el.dataset.id = rule.id;
+
+    const header = document.createElement('div');
+    header.className = 'rule-header';
+    header.append(
+      ruleInput('enabled', { type: 'checkbox' }, rule.enabled !== false),
+      ruleInput('name', {}, rule.name),
+      ruleButton('↑', 'Move up', () => moveRule(index, -1)),
+      ruleButton('↓', 'Move down', () => moveRule(index, 1)),
+      ruleButton('✕', 'Delete rule', () => removeRule(index))
+    );
+
+    const grid = document.createElement('div');
+    grid.className = 'rule-grid';
+    for (const [field, spec] of Object.entries(RULE_FIELDS)) {
+      const label = document.createElement('label');
+      if (spec.wide) label.className = 'wide';
+      label.append(spec.label, ruleInput(field, spec, getPath(rule, field)));
+      grid.appendChild(label);
+    }
+
+    const error = document.createElement('div');
+    error.className = 'rule-error';
+
+    el.append(header, grid, error);
+    elements.rulesList.appendChild(el);
+  });
+}
+
+function ruleInput(field, spec, value) {
+  let input;
+
+  if (spec.select) {
+    input = document.createElement('select');
+    const choices = typeof spec.select === 'function' ? spec.select() : spec.select;
+    for (const [optionValue, optionLabel] of Object.entries(choices)) {
+      const option = document.createElement('option');
+      option.value = optionValue;
+      option.textContent = optionLabel;
+      input.appendChild(option);
+    }
+  } else if (spec.textarea) {
+    input = document.createElement('textarea');
+    if (spec.placeholder) input.placeholder = spec.placeholder;
+  } else {
+    input = document.createElement('input');
+    input.type = spec.type || 'text';
+    if (spec.placeholder) input.placeholder = spec.placeholder;
+    if (spec.list) input.setAttribute('list', spec.list);
+    if (spec.step) input.step = spec.step;
+  }
+
+  input.dataset.field = field;
+  if (input.type === 'checkbox') input.checked = value;
+  else input.value = value ?? '';
+
+  return input;
+}
+
+function ruleButton(text, title, onClick) {
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.textContent = text;
+  button.title = title;
+  button.addEventListener('click', onClick);
+  return button;
+}
+
+// Read the rules back from the editor (DOM is the source of truth while editing)
+function readRules() {
+  return [...elements.rulesList.querySelectorAll('.rule')].map((el) => {
+    const rule = createRule();
+    rule.id = el.dataset.id;
+
+    for (const input of el.querySelectorAll('[data-field]')) {
+      const field = input.dataset.field;
+      let value = input.type === 'checkbox' ? input.checked : input.value.trim();
+      if (input.type === 'number') value = value === '' ? null : Number(value);
+      setPath(rule, field, value);
+    }
+
+    return rule;
+  });
+}
+
+function addRule() {
+  renderRules([...readRules(), createRule()]);
+}
+
+function moveRule(index, delta) {
+  const rules = readRules();
+  const target = index + delta;
+  if (target < 0 || target >= rules.length) return;
+  [rules[index], rules[target]] = [rules[target], rules[index]];
+  renderRules(rules);
+}
+
+function removeRule(index) {
+  const rules = readRules();
+  rules.splice(index, 1);
+  renderRules(rules);
+}
+
+// Show validation errors next to each rule; returns true when all rules are valid
+function validateRules(rules) {
+  let ok = true;
+  const ruleEls = elements.rulesList.querySelectorAll('.rule');
+
+  rules.forEach((rule, i) => {
+    const message = validateRule(rule);
+    ruleEls[i].querySelector('.rule-error').textContent = message;
+    if (message) ok = false;
+  });
+
+  return ok;
+}
+
+// Try the current (unsaved) rules against a sample download
+function testRules() {
+  const url = elements.ruleTestUrl.value.trim();
+  const sizeKB = parseFloat(elements.ruleTestSize.value);
+
+  const facts = downloadFacts({
+    url,
+    filename: '',
+    mime: elements.ruleTestMime.value.trim(),
+    fileSize: Number.isFinite(sizeKB) ? sizeKB * 1024 : -1
+  });
+
+  const rules = readRules();
+  const rule = matchRule(rules, facts);
+
+  elements.ruleTestResult.style.display = 'block';
+  elements.ruleTestResult.textContent = rule
+    ? `Rule #${rules.indexOf(rule) + 1} "${rule.name}" → ${RULE_ACTIONS[rule.action]}`
+    : 'No rule matched → default renaming';
+}
+
+function getPath(obj, path) {
+  return path.split('.').reduce((o, key) => (o == null ? o : o[key]), obj);
+}
+
+function setPath(obj, path, value) {
+  const keys = path.split('.');
+  const last = keys.pop();
+  const target = keys.reduce((o, key) => o[key], obj);
+  target[last] = value;
+}
+
+/* ------------------------------ prompt profiles ------------------------------ */
+
+// Profile fields edited in the options page (same editor widgets as rules)
+const PROFILE_FIELDS = {
+  kind: { label: 'Used for', select: PROFILE_KINDS },
+  temperature: { label: 'Temperature (0-2)', type: 'number', step: '0.1' },
+  maxTokens: { label: 'Max tokens', type: 'number' },
+  system: { label: 'System prompt (optional)', textarea: true, wide: true, placeholder: '(default)' },
+  prompt: { label: 'Prompt', textarea: true, wide: true, placeholder: 'Name this photo from {hostname} in at most {maxWords} words…' }
+};
+
+function renderProfiles(profiles) {
+  elements.profilesList.innerHTML = '';
+
+  profiles.forEach((profile, index) => {
+    const el = document.createElement('div');
+    el.className = 'rule profile';
+    el.dataset.id = profile.id;
+
+    const header = document.createElement('div');
+    header.className = 'rule-header';
+    header.append(
+      ruleInput('name', {}, profile.name),
+      ruleButton('✕', 'Delete profile', () => removeProfile(index))
+    );
+
+    const grid = document.createElement('div');
+    grid.className = 'rule-grid';
+    for (const [field, spec] of Object.entries(PROFILE_FIELDS)) {
+      const label = document.createElement('label');
+      if (spec.wide) label.className = 'wide';
+      label.append(spec.label, ruleInput(field, spec, profile[field]));
+      grid.appendChild(label);
+    }
+
+    const error = document.createElement('div');
+    error.className = 'rule-error';
+
+    el.append(header, grid, error);
+    elements.profilesList.appendChild(el);
+  });
+
+  refreshProfileChoices();
+}
+
+// Read the profiles back from the editor
+function readProfiles() {
+  return [...elements.profilesList.querySelectorAll('.profile')].map((el) => {
+    const profile = createProfile();
+    profile.id = el.dataset.id;
+
+    for (const input of el.querySelectorAll('[data-field]')) {
+      let value = input.value.trim();
+      if (input.type === 'number') value = value === '' ? null : Number(value);
+      profile[input.dataset.field] = value;
+    }
+
+    return profile;
+  });
+}
+
+function addProfile() {
+  const preset = PROMPT_PRESETS[elements.profilePreset.value] || null;
+  renderProfiles([...readProfiles(), createProfile(preset)]);
+  elements.profilePreset.value = '';
+}
+
+function removeProfile(index) {
+  const profiles = readProfiles();
+  profiles.splice(index, 1);
+  renderProfiles(profiles);
+}
+
+function validateProfiles(profiles) {
+  let ok = true;
+  const profileEls = elements.profilesList.querySelectorAll('.profile');
+
+  profiles.forEach((profile, i) => {
+    const message = validateProfile(profile);
+    profileEls[i].querySelector('.rule-error').textContent = message;
+    if (message) ok = false;
+  });
+
+  return ok;
+}
+
+// id -> name of the current (unsaved) profiles, optionally of one kind
+function profileChoices(emptyLabel, kind = '') {
+  const choices = { '': emptyLabel };
+  for (const profile of readProfiles()) {
+    if (!kind || profile.kind === kind) choices[profile.id] = profile.name || '(unnamed)';
+  }
+  return choices;
+}
+
+// Profile names and kinds show up in the default pickers, the test picker and the rules
+function refreshProfileChoices() {
+  fillSelect(elements.imagePromptProfile, profileChoices('Images: built-in prompt', 'image'));
+  fillSelect(elements.textPromptProfile, profileChoices('Documents: built-in prompt', 'text'));
+
+  const testChoices = profileChoices('Pick a profile');
+  fillSelect(elements.profileTestProfile, testChoices);
+
+  if (elements.rulesList.children.length) renderRules(readRules());
+}
+
+// Replace a select's options, keeping the chosen value when it still exists
+function fillSelect(select, choices) {
+  const selected = select.value;
+  select.innerHTML = '';
+  for (const [value, label] of Object.entries(choices)) {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = label;
+    select.appendChild(option);
+  }
+  select.value = selected in choices ? selected : '';
+}
+
+function populatePromptHelpers() {
+  fillSelect(elements.profilePreset, Object.fromEntries([
+    ['', 'Empty profile'],
+    ...Object.entries(PROMPT_PRESETS).map(([id, preset]) => [id, `From preset: ${preset.name}`])
+  ]));
+
+  elements.promptVariables.innerHTML = '';
+  for (const [name, description] of Object.entries(PROMPT_VARIABLES)) {
+    const li = document.createElement('li');
+    li.innerHTML = `<code>{${name}}</code> — ${description}`;
+    elements.promptVariables.appendChild(li);
+  }
+}
+
+// Run an unsaved profile on a file picked here, with the API settings in the form
+async function testProfile() {
+  const profile = readProfiles().find((p) => p.id === elements.profileTestProfile.value);
+  const file = elements.profileTestFile.files[0];
+  const show = (text) => {
+    elements.profileTestResult.style.display = 'block';
+    elements.profileTestResult.textContent = text;
+  };
+
+  if (!profile) return show('Pick a profile to test.');
+  if (!file) return show('Choose a sample file.');
+  const problem = validateProfile(profile);
+  if (problem) return show(problem);
+
+  const settings = { ...(await readSettings()), ...currentApiSettings(), cacheReplies: false };
+  if (!providerReady(settings)) return show('Set up the AI provider above first.');
+
+  elements.profileTestBtn.disabled = true;
+  show('Asking the model…');
+
+  try {
+    const buffer = await file.arrayBuffer();
+    const ext = (file.name.split('.').pop() || '').toLowerCase();
+    const vars = {
+      hostname: 'example.com',
+      pageTitle: 'Example page title',
+      originalName: file.name.replace(/\.[^.]+$/, ''),
+      maxWords: parseInt(elements.maxWords.value, 10) || settings.maxWords,
+      title: '',
+      excerpt: ''
+    };
+
+    let images = [];
+    if (profile.kind === 'image') {
+      images = [await prepareImageForAPI(buffer)];
+    } else {
+      const { title = '', excerpt = '' } = await sampleText(buffer, ext);
+      vars.title = title.slice(0, 200);
+      vars.excerpt = excerpt.slice(0, settings.pdfMaxChars);
+    }
+
+    const reply = await nameWithProfile(profile, vars, settings, { images });
+    show(`Reply: ${reply}\n\nPrompt sent:\n${renderPrompt(profile.prompt, vars)}`);
+  } catch (error) {
+    show(`Test failed: ${error.message}`);
+  } finally {
+    elements.profileTestBtn.disabled = false;
+  }
+}
+
+// Helper: Title + excerpt of a sample file, as the background worker would extract them
+async function sampleText(buffer, ext) {
+  if (ext === 'pdf') return extractPdfPreviewText(buffer, { maxChars: 2500, maxPages: 3 });
+  if (DOCUMENT_KINDS[ext]) return extractDocumentText(buffer, ext, { maxChars: 2500 });
+  if (sniffImageType(buffer) === 'svg') {
+    const { title, text } = extractSvgText(buffer);
+    return { title, excerpt: text };
+  }
+  throw new Error('Text profiles need a PDF, document or SVG sample');
+}
+
 // Load settings
 async function loadSettings() {
-  const data = await chrome.storage.sync.get(CONFIG.STORAGE.SETTINGS);
-  const settings = { ...CONFIG.DEFAULTS, ...(data[CONFIG.STORAGE.SETTINGS] || {}) };
+  const settings = await readSettings();
 
   elements.hfToken.value = settings.hfToken;
   elements.model.value = settings.model;
 
+  providerSettings = { ...(settings.providers || {}) };
+  activeProvider = 'huggingface';
+  elements.provider.value = settings.provider;
+  showProvider(settings.provider);
+
+  elements.renameMode.value = settings.renameMode;
+  elements.offlineFallback.checked = settings.offlineFallback;
+  elements.readFrom.value = settings.readFrom;
+
   elements.cleanCaptions.checked = settings.cleanCaptions;
   elements.addDateSuffix.checked = settings.addDateSuffix;
   elements.skipSmallImages.checked = settings.skipSmallImages;
+  selectSize(elements.minImageSize, settings.minImageSize);
+  selectSize(elements.maxImageSize, settings.maxImageSize);
+  elements.readScreenshots.checked = settings.readScreenshots;
+  elements.usePageContext.checked = settings.usePageContext;
+  elements.pageContextExcludedSites.value = settings.pageContextExcludedSites.join(', ');
+  elements.nameLanguage.value = settings.nameLanguage;
+  elements.transliterate.checked = settings.transliterate;
   elements.maxWords.value = settings.maxWords;
+  elements.maxConcurrentRequests.value = String(settings.maxConcurrentRequests);
+  elements.maxRequestsPerMinute.value = String(settings.maxRequestsPerMinute);
+  elements.cacheReplies.checked = settings.cacheReplies;
+  elements.cacheTtlDays.value = String(settings.cacheTtlDays);
+  elements.cacheMaxEntries.value = String(settings.cacheMaxEntries);
+  elements.filenameTemplate.value = settings.filenameTemplate;
+  elements.structuredTemplate.value = settings.structuredTemplate;
+  updateTemplatePreview();
+
+  elements.imageFolderTemplate.value = settings.imageFolderTemplate;
+  elements.pdfFolderTemplate.value = settings.pdfFolderTemplate;
+  elements.enableCategories.checked = settings.enableCategories;
+  elements.categories.value = settings.categories.join(', ');
+
+  renderProfiles(settings.promptProfiles || []);
+  elements.imagePromptProfile.value = settings.imagePromptProfile;
+  elements.textPromptProfile.value = settings.textPromptProfile;
+  renderRules(settings.rules || []);
+  updateReadFromHint();
 
   elements.enablePdfRenaming.checked = settings.enablePdfRenaming;
+  elements.enableDocumentRenaming.checked = settings.enableDocumentRenaming;
+  elements.enablePdfOcr.checked = settings.enablePdfOcr;
+  elements.structuredNaming.checked = settings.structuredNaming;
   elements.pdfMaxChars.value = String(settings.pdfMaxChars);
-  elements.pdfMaxStreams.value = String(settings.pdfMaxStreams);
+  elements.pdfMaxPages.value = String(settings.pdfMaxPages);
+  selectSize(elements.pdfMaxBytes, settings.pdfMaxBytes);
+  selectSize(elements.maxDocumentSize, settings.maxDocumentSize);
+
+  elements.batchMode.value = settings.batchMode;
+  elements.duplicateAction.value = settings.duplicateAction;
+  elements.batchWindowSec.value = String(settings.batchWindowSec);
+
+  elements.autoRename.checked = settings.autoRename;
+  elements.disabledSites.value = settings.disabledSites.join(', ');
+  elements.allowedSites.value = settings.allowedSites.join(', ');
+
+  elements.strongerModel.value = settings.strongerModel;
+  elements.strongerModel.placeholder = strongerModel({ ...settings, strongerModel: '' }) || 'Model name';
+
+  elements.confirmRenames.checked = settings.confirmRenames;
+  elements.confirmTimeoutSec.value = String(settings.confirmTimeoutSec);
+  elements.confirmTimeoutAction.value = settings.confirmTimeoutAction;
+
+  elements.historyRetention.value = String(settings.historyRetention);
 
   elements.enableNotifications.checked = settings.enableNotifications;
 }
 
 // Save settings
 async function saveSettings() {
+  const rules = readRules();
+  const profiles = readProfiles();
+  if (!validateRules(rules) || !validateProfiles(profiles)) return;
+
+  const stored = await readStoredSettings();
+
   const settings = {
-    hfToken: elements.hfToken.value.trim(),
-    model: elements.model.value,
+    ...currentApiSettings(),
+    maxConcurrentRequests: parseInt(elements.maxConcurrentRequests.value, 10),
+    maxRequestsPerMinute: parseInt(elements.maxRequestsPerMinute.value, 10),
+    cacheReplies: elements.cacheReplies.checked,
+    cacheTtlDays: parseInt(elements.cacheTtlDays.value, 10),
+    cacheMaxEntries: parseInt(elements.cacheMaxEntries.value, 10),
+
+    // Naming mode
+    renameMode: elements.renameMode.value,
+    offlineFallback: elements.offlineFallback.checked,
+    readFrom: elements.readFrom.value,
 
     // Image
     cleanCaptions: elements.cleanCaptions.checked,
     addDateSuffix: elements.addDateSuffix.checked,
     skipSmallImages: elements.skipSmallImages.checked,
+    minImageSize: parseInt(elements.minImageSize.value, 10),
+    maxImageSize: parseInt(elements.maxImageSize.value, 10),
+    readScreenshots: elements.readScreenshots.checked,
+    usePageContext: elements.usePageContext.checked,
+    pageContextExcludedSites: siteList(elements.pageContextExcludedSites.value),
+    nameLanguage: elements.nameLanguage.value,
+    transliterate: elements.transliterate.checked,
     maxWords: parseInt(elements.maxWords.value, 10),
+    filenameTemplate: elements.filenameTemplate.value.trim() || CONFIG.DEFAULTS.filenameTemplate,
+
+    // Folders
+    imageFolderTemplate: elements.imageFolderTemplate.value.trim(),
+    pdfFolderTemplate: elements.pdfFolderTemplate.value.trim(),
+    enableCategories: elements.enableCategories.checked,
+    categories: elements.categories.value.split(',').map((c) => c.trim()).filter(Boolean),
+
+    // Prompt profiles
+    promptProfiles: profiles,
+    imagePromptProfile: elements.imagePromptProfile.value,
+    textPromptProfile: elements.textPromptProfile.value,
+
+    // Rules
+    rules,
 
     // PDF
     enablePdfRenaming: elements.enablePdfRenaming.checked,
+    enableDocumentRenaming: elements.enableDocumentRenaming.checked,
+    enablePdfOcr: elements.enablePdfOcr.checked,
+    structuredNaming: elements.structuredNaming.checked,
+    structuredTemplate: elements.structuredTemplate.value.trim() || CONFIG.DEFAULTS.structuredTemplate,
     pdfMaxChars: parseInt(elements.pdfMaxChars.value, 10),
-    pdfMaxStreams: parseInt(elements.pdfMaxStreams.value, 10),
+    pdfMaxPages: parseInt(elements.pdfMaxPages.value, 10),
+    pdfMaxBytes: parseInt(elements.pdfMaxBytes.value, 10),
+    maxDocumentSize: parseInt(elements.maxDocumentSize.value, 10),
+
+    // Batch
+    batchMode: elements.batchMode.value,
+    batchWindowSec: parseInt(elements.batchWindowSec.value, 10),
+
+    // Duplicates
+    duplicateAction: elements.duplicateAction.value,
+
+    // Automatic renaming
+    autoRename: elements.autoRename.checked,
+    disabledSites: siteList(elements.disabledSites.value),
+    allowedSites: siteList(elements.allowedSites.value),
+
+    // Keyboard shortcuts
+    strongerModel: elements.strongerModel.value.trim(),
+
+    // Confirm
+    confirmRenames: elements.confirmRenames.checked,
+    confirmTimeoutSec: parseInt(elements.confirmTimeoutSec.value, 10),
+    confirmTimeoutAction: elements.confirmTimeoutAction.value,
+
+    // History
+    historyRetention: parseInt(elements.historyRetention.value, 10),
 
     // UX
     enableNotifications: elements.enableNotifications.checked,
 
-    // Fixed limits (keep 5MB)
-    maxImageSize: CONFIG.DEFAULTS.maxImageSize,
-    minImageSize: CONFIG.DEFAULTS.minImageSize,
-    debug: CONFIG.DEFAULTS.debug
+    // Not in the form
+    debug: stored.debug ?? CONFIG.DEFAULTS.debug
   };
 
-  await chrome.storage.sync.set({ [CONFIG.STORAGE.SETTINGS]: settings });
+  try {
+    await writeSettings(settings);
+  } catch (error) {
+    showSaveStatus(`Not saved: ${error.message}`, true);
+    return;
+  }
+  showSaveStatus('✓ Saved!');
+}
+
+let saveStatusTimer = null;
 
+// Helper: Message next to the Save button (errors stay until the next save)
+function showSaveStatus(text, isError = false) {
+  clearTimeout(saveStatusTimer);
+  elements.saveStatus.textContent = text;
+  elements.saveStatus.classList.toggle('error', isError);
   elements.saveStatus.classList.add('show');
-  setTimeout(() => elements.saveStatus.classList.remove('show'), 2000);
+  if (!isError) saveStatusTimer = setTimeout(() => elements.saveStatus.classList.remove('show'), 2000);
+}
+
+/* ---------------------------- shortcuts ---------------------------- */
+
+// Shortcuts as currently bound (manifest.json "commands"; changed on the browser's own page)
+async function showShortcuts() {
+  const commands = await chrome.commands.getAll();
+  elements.shortcutList.innerHTML = '';
+
+  for (const command of commands) {
+    if (!command.description) continue;
+
+    const item = document.createElement('li');
+    const key = document.createElement('kbd');
+    key.textContent = command.shortcut || 'Not set';
+    item.append(key, command.description);
+    elements.shortcutList.appendChild(item);
+  }
+}
+
+/* ------------------------------ cache ------------------------------ */
+
+async function showCacheInfo() {
+  const { entries, hits, misses } = await cacheStats();
+  const rate = hits + misses > 0 ? Math.round((hits / (hits + misses)) * 100) : 0;
+  elements.cacheInfo.textContent =
+    `${entries} cached ${entries === 1 ? 'reply' : 'replies'} · ${hits} hits, ${misses} misses (${rate}% of calls saved)`;
+}
+
+async function clearCache() {
+  await clearCaptionCache();
+  await showCacheInfo();
 }
 
 // Test API connection
 async function testAPI() {
-  const token = elements.hfToken.value.trim();
-  const model = elements.model.value;
+  const apiSettings = currentApiSettings();
 
-  if (!token) {
-    showTestResult(false, 'Please enter your API token first');
+  if (!providerReady(apiSettings)) {
+    showTestResult(false, apiSettings.provider === 'huggingface'
+      ? 'Please enter your API token first'
+      : 'Please fill in the base URL, model and (if required) API key first');
     return;
   }
 
@@ -109,7 +934,7 @@ async function testAPI() {
   elements.testResult.style.display = 'none';
 
   try {
-    const result = await testConnection(token, model);
+    const result = await testConnection(apiSettings);
     showTestResult(result.success, result.message);
   } catch (error) {
     showTestResult(false, error.message);
@@ -129,7 +954,32 @@ function showTestResult(success, message) {
 // Event listeners
 elements.saveBtn.addEventListener('click', saveSettings);
 elements.testBtn.addEventListener('click', testAPI);
+elements.provider.addEventListener('change', () => showProvider(elements.provider.value));
+elements.loadModelsBtn.addEventListener('click', loadProviderModels);
+elements.addRuleBtn.addEventListener('click', addRule);
+elements.ruleTestBtn.addEventListener('click', testRules);
+elements.clearCacheBtn.addEventListener('click', clearCache);
+elements.addProfileBtn.addEventListener('click', addProfile);
+elements.profileTestBtn.addEventListener('click', testProfile);
+elements.shortcutsBtn.addEventListener('click', () => chrome.tabs.create({ url: 'chrome://extensions/shortcuts' }));
+window.addEventListener('focus', showShortcuts); // Back from the shortcuts page
+elements.profilesList.addEventListener('change', refreshProfileChoices);
+elements.readFrom.addEventListener('change', updateReadFromHint);
+elements.rulesList.addEventListener('change', updateReadFromHint);
+
+for (const el of [elements.filenameTemplate, elements.structuredTemplate, elements.cleanCaptions, elements.addDateSuffix, elements.maxWords, elements.transliterate]) {
+  el.addEventListener('input', updateTemplatePreview);
+  el.addEventListener('change', updateTemplatePreview);
+}
 
 // Load on start
 populateModelDropdown();
+populateProviderDropdown();
+populateTemplateTokens();
+populateBatchModes();
+populateDuplicateActions();
+populateLanguages();
+populatePromptHelpers();
 loadSettings();
+showCacheInfo();
+showShortcuts();
@@ -0,0 +1,120 @@
+/**
+ * Page Context
+ * What the page says about a downloaded image: page title, the image's alt/title text,
+ * its figcaption and the nearest heading above it. Read on demand from the tab the
+ * download came from (chrome.scripting), only when turned on and not excluded for the site.
+ */
+
+import { hostMatches } from './rules.js';
+
+/**
+ * Context for a download from its source tab, or null (off, excluded site, tab gone,
+ * page not scriptable). The page's host decides the per-site setting, not the file's.
+ */
+export async function readPageContext(downloadItem, settings) {
+  if (!settings.usePageContext) return null;
+
+  const tab = await sourceTab(downloadItem);
+  if (!tab?.id || !pageContextAllowed(settings, hostOf(tab.url))) return null;
+
+  try {
+    const [injection] = await chrome.scripting.executeScript({
+      target: { tabId: tab.id },
+      func: collectImageContext,
+      args: [[downloadItem.url, downloadItem.finalUrl].filter(Boolean)]
+    });
+    return injection?.result || null;
+  } catch (error) {
+    console.warn('[Smart Rename] Page context unavailable:', error.message);
+    return null;
+  }
+}
+
+// Page context on for this page host? (settings.pageContextExcludedSites: hostname globs)
+export function pageContextAllowed(settings, host) {
+  if (!host) return false;
+  const excluded = settings.pageContextExcludedSites || [];
+  return !excluded.length || !hostMatches(host, excluded.join(','));
+}
+
+// Hint lines for the captioning prompt ('' when there is nothing useful)
+export function contextHints(context) {
+  if (!context) return '';
+
+  return [
+    context.pageTitle && `Page title: ${context.pageTitle}`,
+    context.alt && `Image alt text: ${context.alt}`,
+    context.title && `Image title: ${context.title}`,
+    context.figcaption && `Figure caption: ${context.figcaption}`,
+    context.heading && `Heading above the image: ${context.heading}`,
+    context.linkText && `Link text: ${context.linkText}`
+  ].filter(Boolean).join('\n');
+}
+
+// Tab the download was started from: same URL as the referrer, else the active tab on that site
+export async function sourceTab(downloadItem) {
+  if (!downloadItem.referrer) return null;
+
+  try {
+    const tabs = await chrome.tabs.query({});
+    const host = hostOf(downloadItem.referrer);
+    return tabs.find((tab) => tab.url === downloadItem.referrer) ||
+      tabs.find((tab) => tab.active && hostOf(tab.url) === host) ||
+      null;
+  } catch {
+    return null;
+  }
+}
+
+function hostOf(url) {
+  try {
+    return new URL(url).hostname.toLowerCase();
+  } catch {
+    return '';
+  }
+}
+
+/* ------------------------------ in the page ------------------------------ */
+
+// Injected with executeScript, so it must not use anything from this module
+function collectImageContext(urls) {
+  const clean = (text, max = 200) => (text || '').replace(/\s+/g, ' ').trim().slice(0, max);
+  const absolute = (src) => {
+    try {
+      return new URL(src, document.baseURI).href;
+    } catch {
+      return '';
+    }
+  };
+  const wanted = new Set(urls);
+
+  const sources = (img) => [
+    img.currentSrc,
+    absolute(img.getAttribute('src') || ''),
+    ...(img.srcset || '').split(',').map((part) => absolute(part.trim().split(/\s+/)[0]))
+  ];
+
+  let image = [...document.images].find((img) => sources(img).some((src) => wanted.has(src))) || null;
+  const link = [...document.querySelectorAll('a[href]')].find((a) => wanted.has(a.href)) || null;
+  if (!image && link) image = link.querySelector('img');
+
+  const element = image || link;
+
+  // Last h1-h3 before the element in document order
+  let heading = '';
+  if (element) {
+    for (const h of document.querySelectorAll('h1, h2, h3')) {
+      if (h.compareDocumentPosition(element) & Node.DOCUMENT_POSITION_FOLLOWING) heading = h.textContent;
+      else break;
+    }
+  }
+
+  return {
+    pageTitle: clean(document.title),
+    alt: clean(image?.getAttribute('alt')),
+    title: clean(image?.getAttribute('title') || link?.getAttribute('title')),
+    figcaption: clean(element?.closest('figure')?.querySelector('figcaption')?.textContent, 300),
+    heading: clean(heading),
+    linkText: link && !image ? clean(link.textContent) : ''
+  };
+}
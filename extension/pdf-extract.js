@@ -1,232 +1,1391 @@
 /**
- * PDF text extraction (heuristic, no external libraries).
+ * PDF text extraction (small parser, no external libraries).
  *
  * Goal: extract enough text from the *beginning* of a PDF to generate a smart filename
  * without uploading the full PDF anywhere.
  *
+ * How:
+ * - Reads the cross-reference data (xref tables, xref streams, object streams) and the trailer.
+ * - Walks the Pages tree to the first N pages and follows each page's /Contents.
+ * - Interprets the text operators (Tj, TJ, ', ") in order, mapping glyph codes through the
+ *   font's ToUnicode CMap, or its simple encoding (WinAnsi/MacRoman/Standard + Differences).
+ * - Damaged files whose structure can't be read fall back to scanning raw streams for strings.
+ * - Large files can be passed as their first bytes plus (optionally) their last bytes, where the
+ *   xref and trailer live: opts.tail + opts.totalSize. Offsets in the gap between them read as missing.
+ *
  * Notes:
- * - Works best for text-based PDFs.
- * - Scanned/image-only PDFs may yield little/no text.
- * - Uses built-in DecompressionStream for FlateDecode streams when available.
+ * - Scanned/image-only PDFs have no text to extract; extractPdfPageImages() pulls their JPEG
+ *   page scans out instead, for the vision model.
+ * - Encrypted PDFs are not decrypted; only unencrypted XMP metadata can give a title.
+ * - Uses built-in DecompressionStream for FlateDecode streams.
  */
 
-const latin1Decoder = new TextDecoder('latin1');
+const MAX_STREAM_BYTES = 8 * 1024 * 1024;
+const MAX_FORM_DEPTH = 3;
 
 export async function extractPdfPreviewText(pdfArrayBuffer, opts = {}) {
   const maxChars = clampInt(opts.maxChars ?? 2500, 200, 12000);
-  const maxStreams = clampInt(opts.maxStreams ?? 12, 1, 100);
+  const maxPages = clampInt(opts.maxPages ?? 3, 1, 20);
+
+  const { bytes, gap } = assembleParts(pdfArrayBuffer, opts);
+  const src = bytesToBinary(bytes);
 
-  const bytes = new Uint8Array(pdfArrayBuffer);
-  const latin = latin1Decoder.decode(bytes);
+  let parsed = null;
+  try {
+    parsed = await extractStructured(bytes, src, { maxChars, maxPages, gap });
+  } catch (error) {
+    console.warn('[Smart Rename] PDF structure unreadable, scanning streams:', error.message);
+  }
 
-  const title =
-    cleanupText(extractXmpTitle(latin) || extractInfoTitle(latin) || '').slice(0, 200);
+  // Damaged xref / no pages found (or pages past the part we have): scan raw streams
+  // like a text editor would
+  const missingPages = gap && parsed && !parsed.encrypted && !parsed.text;
+  if (!parsed || (!parsed.pageCount && !parsed.encrypted) || missingPages) {
+    const scanned = await scanStreamsForText(bytes, src, { maxChars, maxStreams: maxPages * 4 });
+    parsed = { title: parsed?.title || '', lines: scanned.lines, text: scanned.text, encrypted: false };
+  }
 
-  const excerpt = (await extractTextFromEarlyStreams(bytes, latin, { maxChars, maxStreams }))
-    .slice(0, maxChars);
+  // Info strings of encrypted files are encrypted too; XMP metadata usually isn't
+  const fallbackTitle = extractXmpTitle(src) || (parsed.encrypted ? '' : extractInfoTitle(src));
+  const title = cleanupText(parsed.title || fallbackTitle).slice(0, 200);
 
   return {
     title,
-    excerpt: cleanupText(excerpt)
+    excerpt: cleanupText(parsed.text).slice(0, maxChars),
+    lines: parsed.lines.slice(0, 40) // First text lines in order, used to find a heading for offline naming
   };
 }
 
-/* ------------------------------ extraction ------------------------------ */
+/**
+ * JPEG images (DCTDecode streams, passed through as-is) drawn on the first pages, largest
+ * first. Scanned PDFs are usually one JPEG per page. Returns [{ data, width, height }].
+ */
+export async function extractPdfPageImages(pdfArrayBuffer, opts = {}) {
+  const maxPages = clampInt(opts.maxPages ?? 2, 1, 20);
+  const maxImages = clampInt(opts.maxImages ?? 2, 1, 10);
+  const minSide = opts.minSide ?? 300; // Skips logos, stamps and signatures
 
-function extractInfoTitle(pdfLatin) {
-  // Very common: /Title (Some Title)
-  const m = pdfLatin.match(/\/Title\s*\(([^)]{1,300})\)/);
-  if (!m) return '';
-  return decodePdfLiteralString(m[1]);
+  const { bytes, gap } = assembleParts(pdfArrayBuffer, opts);
+
+  try {
+    const { doc, root } = await openDocument(bytes, bytesToBinary(bytes), gap);
+    if (doc.trailer.has('Encrypt')) return [];
+
+    const images = [];
+    for (const page of await firstPages(doc, root, maxPages)) {
+      const found = [];
+      await collectPageImages(doc, page.resources, found, new Set(), 0);
+
+      found.sort((a, b) => b.width * b.height - a.width * a.height);
+      const best = found.find((image) => Math.min(image.width, image.height) >= minSide);
+      if (best) images.push(best);
+      if (images.length >= maxImages) break;
+    }
+    return images;
+  } catch (error) {
+    console.warn('[Smart Rename] Could not read PDF images:', error.message);
+    return [];
+  }
 }
 
-function extractXmpTitle(pdfLatin) {
-  // XMP metadata is XML, often in a metadata stream. We search the full file for dc:title.
-  const start = pdfLatin.indexOf('<dc:title');
-  if (start === -1) return '';
-  const end = pdfLatin.indexOf('</dc:title>', start);
-  if (end === -1) return '';
+/* ------------------------------ document ------------------------------ */
 
-  const snippet = pdfLatin.slice(start, end + '</dc:title>'.length);
+// Head (+ tail) of a file -> one byte array; gap = { at, size } marks the bytes that weren't read
+function assembleParts(pdfArrayBuffer, { tail = null, totalSize = 0 } = {}) {
+  const head = new Uint8Array(pdfArrayBuffer);
+  if (!tail || !totalSize || totalSize <= head.length) return { bytes: head, gap: null };
 
-  // Prefer rdf:li content if present
-  const li = snippet.match(/<rdf:li[^>]*>([\s\S]*?)<\/rdf:li>/i);
-  const raw = li ? li[1] : snippet;
+  const tailBytes = new Uint8Array(tail);
+  const tailStart = totalSize - tailBytes.length;
+  const overlap = Math.max(0, head.length - tailStart);
+
+  const bytes = new Uint8Array(head.length + tailBytes.length - overlap);
+  bytes.set(head);
+  bytes.set(tailBytes.subarray(overlap), head.length);
 
-  return decodeHtmlEntities(stripXmlTags(raw)).trim();
+  return { bytes, gap: overlap ? null : { at: head.length, size: tailStart - head.length } };
 }
 
-async function extractTextFromEarlyStreams(bytes, pdfLatin, { maxChars, maxStreams }) {
-  // Find "stream" blocks and extract literal strings from the first N streams.
-  // This approximates "first few pages" because page content streams are generally early/ordered.
-  const out = [];
-  let total = 0;
+async function openDocument(bytes, src, gap = null) {
+  const doc = { bytes, src, gap, xref: new Map(), trailer: new Map(), cache: new Map(), objStms: new Map(), fonts: new Map() };
 
-  const streamRe = /stream\r?\n/g;
-  let match;
-  let streamsSeen = 0;
+  if (!(await loadXref(doc)) || !doc.trailer.get('Root')) rebuildXref(doc);
 
-  while ((match = streamRe.exec(pdfLatin)) && streamsSeen < maxStreams && total < maxChars) {
-    const streamKeywordIdx = match.index;
-    const dataStart = match.index + match[0].length;
-    const endstreamIdx = pdfLatin.indexOf('endstream', dataStart);
-    if (endstreamIdx === -1) break;
+  let root = await resolve(doc, doc.trailer.get('Root'));
+  if (!(root instanceof Map)) {
+    // Offsets don't match the file (edited or truncated): find the objects by scanning
+    rebuildXref(doc);
+    doc.cache.clear();
+    root = await resolve(doc, doc.trailer.get('Root'));
+  }
+  if (!(root instanceof Map)) throw new Error('No document catalog');
 
-    // Determine filter(s) by looking at the nearby dictionary before 'stream'
-    const dictStart = Math.max(0, streamKeywordIdx - 2500);
-    const dictChunk = pdfLatin.slice(dictStart, streamKeywordIdx);
-    const isFlate = dictChunk.includes('/FlateDecode');
+  return { doc, root };
+}
 
-    // Slice bytes (latin1 indices align with bytes 1:1)
-    const rawStreamBytes = bytes.slice(dataStart, endstreamIdx);
+async function extractStructured(bytes, src, { maxChars, maxPages, gap }) {
+  const { doc, root } = await openDocument(bytes, src, gap);
 
-    let decodedBytes = rawStreamBytes;
-    if (isFlate) {
-      const inflated = await inflateFlate(rawStreamBytes);
-      if (inflated && inflated.length) decodedBytes = inflated;
-      else {
-        streamsSeen++;
-        continue;
-      }
+  const encrypted = doc.trailer.has('Encrypt');
+  const title = encrypted ? '' : await documentTitle(doc, root);
+  if (encrypted) return { title, lines: [], text: '', pageCount: 0, encrypted };
+
+  const pages = await firstPages(doc, root, maxPages);
+  const out = { lines: [], current: '', chars: 0, maxChars: maxChars * 2 };
+
+  for (const page of pages) {
+    if (out.chars >= out.maxChars) break;
+    const content = await pageContents(doc, page.dict);
+    await interpretContent(doc, content, page.resources, out, 0);
+    flushLine(out);
+  }
+
+  return { title, lines: out.lines, text: out.lines.join(' '), pageCount: pages.length };
+}
+
+// Info /Title first, then XMP dc:title from the catalog's /Metadata stream
+async function documentTitle(doc, root) {
+  const info = await resolve(doc, doc.trailer.get('Info'));
+  const infoTitle = info instanceof Map ? await resolve(doc, info.get('Title')) : null;
+  if (infoTitle?.str) {
+    const text = cleanupText(decodeTextString(infoTitle.str));
+    if (text) return text;
+  }
+
+  const metadata = await resolve(doc, root.get('Metadata'));
+  if (metadata?.stream) {
+    const data = await decodeStream(doc, metadata);
+    if (data) return extractXmpTitle(new TextDecoder('utf-8').decode(data));
+  }
+
+  return '';
+}
+
+// Depth-first walk of the Pages tree; Resources are inherited from parent nodes
+async function firstPages(doc, root, maxPages) {
+  const pages = [];
+  const seen = new Set();
+
+  async function walk(ref, inheritedResources) {
+    if (pages.length >= maxPages) return;
+    if (ref?.num != null) {
+      if (seen.has(ref.num)) return;
+      seen.add(ref.num);
+    }
+
+    const node = await resolve(doc, ref);
+    if (!(node instanceof Map)) return;
+
+    const resources = (await resolve(doc, node.get('Resources'))) || inheritedResources;
+    const kids = await resolve(doc, node.get('Kids'));
+
+    if (Array.isArray(kids)) {
+      for (const kid of kids) await walk(kid, resources);
+    } else if (node.get('Type') === 'Page' || node.has('Contents')) {
+      pages.push({ dict: node, resources });
     }
+  }
+
+  await walk(root.get('Pages'), null);
+  return pages;
+}
+
+// /Contents is one stream or an array of streams (concatenated)
+async function pageContents(doc, page) {
+  const contents = await resolve(doc, page.get('Contents'));
+  const streams = Array.isArray(contents) ? contents : [contents];
+  const parts = [];
+
+  for (const item of streams) {
+    const stream = await resolve(doc, item);
+    if (!stream?.stream) continue;
+    const data = await decodeStream(doc, stream);
+    if (data) parts.push(bytesToBinary(data));
+  }
+
+  return parts.join('\n');
+}
+
+/* ------------------------------ content streams ------------------------------ */
 
-    const streamText = latin1Decoder.decode(decodedBytes);
+async function interpretContent(doc, content, resources, out, depth) {
+  const lx = createLexer(content, 0, { refs: false });
+  const fonts = resources instanceof Map ? await resolve(doc, resources.get('Font')) : null;
+  const operands = [];
+  let font = null;
+  // Baseline of the current text line; text shown on a different baseline starts a new line
+  let y = 0;
+  let leading = 0;
 
-    // Heuristic: pull literal strings ( ... ) which frequently hold visible text.
-    const strings = extractLiteralStrings(streamText);
+  while (out.chars < out.maxChars) {
+    const token = readObject(lx);
+    if (token === EOF) break;
+
+    if (!token?.op) {
+      operands.push(token);
+      continue;
+    }
 
-    if (strings.length) {
-      const joined = strings.join(' ');
-      if (joined.length > 30) {
-        out.push(joined);
-        total += joined.length + 1;
+    switch (token.op) {
+      case 'Tf': {
+        const name = operands[0];
+        const ref = fonts instanceof Map ? fonts.get(name) : null;
+        font = ref ? await loadFont(doc, ref) : null;
+        break;
       }
+      case 'BT':
+        y = 0;
+        break;
+      case 'TL':
+        leading = Number(operands[0]) || 0;
+        break;
+      case 'Tj':
+        showText(out, font, operands[0], y);
+        break;
+      case 'TJ':
+        for (const item of Array.isArray(operands[0]) ? operands[0] : []) {
+          if (typeof item === 'number') {
+            // Offsets are thousandths of an em; kerning stays small, word gaps are ~-200..-350
+            if (item < -150) addSpace(out);
+          } else {
+            showText(out, font, item, y);
+          }
+        }
+        break;
+      case "'":
+        flushLine(out);
+        y -= leading;
+        showText(out, font, operands[0], y);
+        break;
+      case '"':
+        flushLine(out);
+        y -= leading;
+        showText(out, font, operands[2], y);
+        break;
+      case 'T*':
+        flushLine(out);
+        y -= leading;
+        break;
+      case 'Td':
+      case 'TD':
+        y += Number(operands[1]) || 0;
+        if (token.op === 'TD') leading = -(Number(operands[1]) || 0);
+        if ((Number(operands[0]) || 0) > 0) addSpace(out);
+        break;
+      case 'Tm':
+        y = Number(operands[5]) || 0;
+        addSpace(out);
+        break;
+      case 'Do':
+        if (depth < MAX_FORM_DEPTH) {
+          flushLine(out);
+          await runForm(doc, resources, operands[0], out, depth);
+          flushLine(out);
+        }
+        break;
+      case 'BI':
+        skipInlineImage(lx);
+        break;
+      default:
+        break;
     }
 
-    streamsSeen++;
+    operands.length = 0;
   }
+}
 
-  return out.join(' ');
+// Form XObjects can hold the page text (common in generated / stamped PDFs)
+async function runForm(doc, resources, name, out, depth) {
+  const xobjects = resources instanceof Map ? await resolve(doc, resources.get('XObject')) : null;
+  const form = xobjects instanceof Map ? await resolve(doc, xobjects.get(name)) : null;
+  if (!form?.stream || form.dict.get('Subtype') !== 'Form') return;
+
+  const data = await decodeStream(doc, form);
+  if (!data) return;
+
+  const formResources = (await resolve(doc, form.dict.get('Resources'))) || resources;
+  await interpretContent(doc, bytesToBinary(data), formResources, out, depth + 1);
 }
 
-/* ------------------------------ utilities ------------------------------ */
+// Image XObjects of a page (and of Form XObjects it uses); only JPEGs can be sent on unchanged
+async function collectPageImages(doc, resources, found, seen, depth) {
+  const xobjects = resources instanceof Map ? await resolve(doc, resources.get('XObject')) : null;
+  if (!(xobjects instanceof Map)) return;
 
-async function inflateFlate(u8) {
-  // FlateDecode is (usually) zlib-wrapped DEFLATE. DecompressionStream('deflate') supports it in modern Chrome.
-  try {
-    if (typeof DecompressionStream === 'undefined') return null;
+  for (const ref of xobjects.values()) {
+    if (ref?.num != null) {
+      if (seen.has(ref.num)) continue;
+      seen.add(ref.num);
+    }
 
-    const ds = new DecompressionStream('deflate');
-    const stream = new Blob([u8]).stream().pipeThrough(ds);
-    const ab = await new Response(stream).arrayBuffer();
-    return new Uint8Array(ab);
-  } catch {
-    return null;
+    const xobject = await resolve(doc, ref);
+    if (!xobject?.stream) continue;
+    const subtype = xobject.dict.get('Subtype');
+
+    if (subtype === 'Form' && depth < MAX_FORM_DEPTH) {
+      const formResources = await resolve(doc, xobject.dict.get('Resources'));
+      await collectPageImages(doc, formResources, found, seen, depth + 1);
+    } else if (subtype === 'Image') {
+      const filters = toArray(await resolve(doc, xobject.dict.get('Filter')));
+      if (filters[filters.length - 1] !== 'DCTDecode' && filters[filters.length - 1] !== 'DCT') continue;
+
+      const data = await decodeStream(doc, xobject, { keepImage: true });
+      if (!data?.length) continue;
+
+      found.push({
+        data,
+        width: Number(await resolve(doc, xobject.dict.get('Width'))) || 0,
+        height: Number(await resolve(doc, xobject.dict.get('Height'))) || 0
+      });
+    }
   }
 }
 
-function extractLiteralStrings(streamText) {
-  const results = [];
+// BI <dict> ID <binary> EI
+function skipInlineImage(lx) {
+  const id = lx.src.indexOf('ID', lx.pos);
+  if (id === -1) {
+    lx.pos = lx.src.length;
+    return;
+  }
+
+  const re = /\sEI(?=[\s]|$)/g;
+  re.lastIndex = id + 3;
+  const match = re.exec(lx.src);
+  lx.pos = match ? match.index + match[0].length : lx.src.length;
+}
 
-  // Limit how much we scan per stream (perf)
-  const slice = streamText.slice(0, 400_000);
+function showText(out, font, value, y) {
+  if (!value?.str) return;
+  if (out.y != null && Math.abs(y - out.y) > 1) flushLine(out);
+  out.y = y;
 
-  // ( ... ) strings
-  const re = /\((?:\\.|[^\\()]){3,400}\)/g;
-  let m;
-  while ((m = re.exec(slice))) {
-    const raw = m[0].slice(1, -1);
-    const decoded = cleanupText(decodePdfLiteralString(raw));
-    if (isUsefulText(decoded)) results.push(decoded);
-    if (results.join(' ').length > 3500) break;
+  const text = font ? font.decode(value.str) : value.str;
+  out.current += text;
+  out.chars += text.length;
+}
+
+function addSpace(out) {
+  if (out.current && !out.current.endsWith(' ')) out.current += ' ';
+}
+
+function flushLine(out) {
+  const line = cleanupText(out.current);
+  if (line && /[\p{L}\p{N}]/u.test(line)) out.lines.push(line);
+  out.current = '';
+  out.y = null;
+}
+
+/* ------------------------------ fonts ------------------------------ */
+
+async function loadFont(doc, ref) {
+  const key = ref?.num != null ? `r${ref.num}` : null;
+  if (key && doc.fonts.has(key)) return doc.fonts.get(key);
+
+  const dict = await resolve(doc, ref);
+  const font = dict instanceof Map ? await buildFont(doc, dict) : null;
+
+  if (key) doc.fonts.set(key, font);
+  return font;
+}
+
+async function buildFont(doc, dict) {
+  const subtype = dict.get('Subtype');
+  const encoding = await resolve(doc, dict.get('Encoding'));
+
+  let cmap = null;
+  const toUnicode = await resolve(doc, dict.get('ToUnicode'));
+  if (toUnicode?.stream) {
+    const data = await decodeStream(doc, toUnicode);
+    if (data) cmap = parseCMap(bytesToBinary(data));
   }
 
-  // <...> hex strings (sometimes used for text). Decode small-ish ones.
-  const hexRe = /<([0-9A-Fa-f]{8,800})>/g;
-  while ((m = hexRe.exec(slice))) {
-    const hex = m[1];
-    const decoded = cleanupText(decodePdfHexString(hex));
-    if (isUsefulText(decoded)) results.push(decoded);
-    if (results.join(' ').length > 3500) break;
+  if (subtype === 'Type0') {
+    // Composite font: code lengths come from the CMap's codespace (Identity-H: 2 bytes)
+    let codespace = cmap?.codespace.length ? cmap.codespace : null;
+    if (!codespace && encoding?.stream) {
+      const data = await decodeStream(doc, encoding);
+      if (data) codespace = parseCMap(bytesToBinary(data)).codespace;
+    }
+    const ucs2 = typeof encoding === 'string' && /UCS2|UTF16/.test(encoding);
+
+    return {
+      decode: (str) => decodeCodes(str, codespace, (code) => {
+        if (cmap?.map.has(code.key)) return cmap.map.get(code.key);
+        return ucs2 ? String.fromCharCode(code.value) : '';
+      })
+    };
   }
 
-  return results;
+  // Simple font: one byte per glyph
+  const table = await simpleEncoding(doc, encoding);
+  return {
+    decode: (str) => {
+      let out = '';
+      for (let i = 0; i < str.length; i++) {
+        const code = str.charCodeAt(i);
+        const key = codeKey(code, 1);
+        out += cmap?.map.has(key) ? cmap.map.get(key) : table[code] || '';
+      }
+      return out;
+    }
+  };
 }
 
-function decodePdfLiteralString(s) {
-  // Handles common PDF escape sequences + octal escapes.
+// Split a byte string into codes using codespace ranges (default: 2-byte codes)
+function decodeCodes(str, codespace, lookup) {
   let out = '';
-  for (let i = 0; i < s.length; i++) {
-    const ch = s[i];
-    if (ch !== '\\') {
-      out += ch;
+  let i = 0;
+
+  while (i < str.length) {
+    let length = 2;
+    if (codespace) {
+      length = 0;
+      for (let n = 1; n <= 4 && !length; n++) {
+        const value = codeValue(str, i, n);
+        if (codespace.some((r) => r.bytes === n && value >= r.lo && value <= r.hi)) length = n;
+      }
+      length = length || 1;
+    }
+
+    const value = codeValue(str, i, length);
+    out += lookup({ value, key: codeKey(value, length) });
+    i += length;
+  }
+
+  return out;
+}
+
+function codeValue(str, start, length) {
+  let value = 0;
+  for (let i = 0; i < length; i++) value = value * 256 + (str.charCodeAt(start + i) || 0);
+  return value;
+}
+
+function codeKey(value, length) {
+  return length * 0x1000000 + value;
+}
+
+// /Encoding as a name or a dict with /BaseEncoding + /Differences
+async function simpleEncoding(doc, encoding) {
+  const baseName = encoding instanceof Map ? encoding.get('BaseEncoding') : encoding;
+  const table = [...baseEncodingTable(baseName)];
+
+  if (encoding instanceof Map) {
+    const differences = await resolve(doc, encoding.get('Differences'));
+    let code = 0;
+    for (const item of Array.isArray(differences) ? differences : []) {
+      if (typeof item === 'number') {
+        code = item;
+      } else if (typeof item === 'string') {
+        table[code] = glyphToUnicode(item);
+        code++;
+      }
+    }
+  }
+
+  return table;
+}
+
+const encodingTables = {};
+
+function baseEncodingTable(name) {
+  const key = name === 'MacRomanEncoding' ? 'mac' : name === 'StandardEncoding' ? 'standard' : 'win';
+  if (encodingTables[key]) return encodingTables[key];
+
+  const all = new Uint8Array(256).map((_, i) => i);
+  let table;
+  try {
+    table = [...new TextDecoder(key === 'mac' ? 'macintosh' : 'windows-1252').decode(all)];
+  } catch {
+    table = [...new TextDecoder('windows-1252').decode(all)];
+  }
+  if (key === 'standard') {
+    table[0x27] = '’';
+    table[0x60] = '‘';
+  }
+  for (let i = 0; i < 32; i++) table[i] = i === 9 || i === 10 || i === 13 ? ' ' : '';
+
+  encodingTables[key] = table;
+  return table;
+}
+
+const GLYPH_NAMES = {
+  space: ' ', exclam: '!', quotedbl: '"', numbersign: '#', dollar: '$', percent: '%',
+  ampersand: '&', quotesingle: "'", parenleft: '(', parenright: ')', asterisk: '*', plus: '+',
+  comma: ',', hyphen: '-', period: '.', slash: '/', zero: '0', one: '1', two: '2', three: '3',
+  four: '4', five: '5', six: '6', seven: '7', eight: '8', nine: '9', colon: ':', semicolon: ';',
+  less: '<', equal: '=', greater: '>', question: '?', at: '@', bracketleft: '[', backslash: '\\',
+  bracketright: ']', asciicircum: '^', underscore: '_', grave: '`', braceleft: '{', bar: '|',
+  braceright: '}', asciitilde: '~', quoteleft: '‘', quoteright: '’',
+  quotedblleft: '“', quotedblright: '”', quotesinglbase: '‚', quotedblbase: '„',
+  endash: '–', emdash: '—', bullet: '•', ellipsis: '…', minus: '−',
+  fi: 'fi', fl: 'fl', ff: 'ff', ffi: 'ffi', ffl: 'ffl', germandbls: 'ß', ae: 'æ',
+  AE: 'Æ', oe: 'œ', OE: 'Œ', oslash: 'ø', Oslash: 'Ø', dotlessi: 'ı',
+  trademark: '™', copyright: '©', registered: '®', degree: '°', Euro: '€',
+  sterling: '£', yen: '¥', cent: '¢', section: '§', paragraph: '¶',
+  dagger: '†', daggerdbl: '‡', multiply: '×', divide: '÷', plusminus: '±',
+  periodcentered: '·', guillemotleft: '«', guillemotright: '»', nbspace: '\u00A0'
+};
+
+const ACCENTS = {
+  acute: '\u0301', grave: '\u0300', circumflex: '\u0302', dieresis: '\u0308', tilde: '\u0303',
+  cedilla: '\u0327', ring: '\u030A', caron: '\u030C', macron: '\u0304', breve: '\u0306',
+  ogonek: '\u0328', dotaccent: '\u0307', hungarumlaut: '\u030B'
+};
+
+// Adobe glyph names -> text ("a", "uni00E9", "eacute", "f_i", "one.oldstyle")
+function glyphToUnicode(name) {
+  const base = name.split('.')[0];
+  if (!base) return '';
+  if (GLYPH_NAMES[base]) return GLYPH_NAMES[base];
+  if (/^[A-Za-z]$/.test(base)) return base;
+  if (base.includes('_')) return base.split('_').map(glyphToUnicode).join('');
+
+  const uni = base.match(/^uni([0-9A-Fa-f]{4,})$/) || base.match(/^u([0-9A-Fa-f]{4,6})$/);
+  if (uni) {
+    const hex = uni[1];
+    let out = '';
+    for (let i = 0; i + 4 <= hex.length; i += 4) out += String.fromCharCode(parseInt(hex.slice(i, i + 4), 16));
+    return uni[0].startsWith('uni') ? out : safeFromCodePoint(parseInt(hex, 16));
+  }
+
+  const accented = base.match(/^([A-Za-z])([a-z]+)$/);
+  if (accented && ACCENTS[accented[2]]) return (accented[1] + ACCENTS[accented[2]]).normalize('NFC');
+
+  return '';
+}
+
+/* ------------------------------ CMaps ------------------------------ */
+
+// ToUnicode / encoding CMap: codespace ranges + bfchar/bfrange mappings
+function parseCMap(text) {
+  const lx = createLexer(text, 0, { refs: false });
+  const codespace = [];
+  const map = new Map();
+  const operands = [];
+
+  while (true) {
+    const token = readObject(lx);
+    if (token === EOF) break;
+
+    if (!token?.op) {
+      operands.push(token);
       continue;
     }
 
-    // escape
-    const next = s[i + 1];
-    if (next === undefined) break;
-
-    switch (next) {
-      case 'n': out += '\n'; i++; break;
-      case 'r': out += '\r'; i++; break;
-      case 't': out += '\t'; i++; break;
-      case 'b': out += '\b'; i++; break;
-      case 'f': out += '\f'; i++; break;
-      case '\\': out += '\\'; i++; break;
-      case '(': out += '('; i++; break;
-      case ')': out += ')'; i++; break;
-      case '\n': // line continuation
-      case '\r':
-        i++;
-        // swallow \r\n too
-        if (next === '\r' && s[i + 1] === '\n') i++;
+    switch (token.op) {
+      case 'begincodespacerange':
+      case 'beginbfchar':
+      case 'beginbfrange':
+        operands.length = 0;
+        continue;
+      case 'endcodespacerange':
+        for (let i = 0; i + 1 < operands.length; i += 2) {
+          const lo = operands[i]?.str;
+          const hi = operands[i + 1]?.str;
+          if (lo == null || hi == null) continue;
+          codespace.push({ bytes: lo.length, lo: codeValue(lo, 0, lo.length), hi: codeValue(hi, 0, hi.length) });
+        }
         break;
-      default: {
-        // octal \ddd
-        if (isOctalDigit(next)) {
-          let oct = next;
-          if (isOctalDigit(s[i + 2])) oct += s[i + 2];
-          if (isOctalDigit(s[i + 3])) oct += s[i + 3];
-          out += String.fromCharCode(parseInt(oct, 8));
-          i += oct.length;
-        } else {
-          out += next;
-          i++;
+      case 'endbfchar':
+        for (let i = 0; i + 1 < operands.length; i += 2) {
+          const src = operands[i]?.str;
+          if (src == null) continue;
+          map.set(codeKey(codeValue(src, 0, src.length), src.length), cmapTarget(operands[i + 1]));
         }
-      }
+        break;
+      case 'endbfrange':
+        for (let i = 0; i + 2 < operands.length; i += 3) {
+          addRange(map, operands[i]?.str, operands[i + 1]?.str, operands[i + 2]);
+        }
+        break;
+      default:
+        break;
     }
+
+    operands.length = 0;
   }
+
+  return { codespace, map };
+}
+
+function addRange(map, lo, hi, target) {
+  if (lo == null || hi == null) return;
+
+  const length = lo.length;
+  const start = codeValue(lo, 0, length);
+  const end = Math.min(codeValue(hi, 0, hi.length), start + 0xFFFF);
+
+  for (let code = start, i = 0; code <= end; code++, i++) {
+    let text;
+    if (Array.isArray(target)) {
+      if (i >= target.length) break;
+      text = cmapTarget(target[i]);
+    } else if (target?.str != null) {
+      // Increment the last UTF-16 unit of the destination
+      const base = utf16be(target.str);
+      text = base.slice(0, -1) + String.fromCharCode(base.charCodeAt(base.length - 1) + i);
+    } else {
+      break;
+    }
+    map.set(codeKey(code, length), text);
+  }
+}
+
+function cmapTarget(value) {
+  if (value?.str != null) return utf16be(value.str);
+  if (typeof value === 'string') return glyphToUnicode(value);
+  return '';
+}
+
+function utf16be(str) {
+  let out = '';
+  for (let i = 0; i + 1 < str.length; i += 2) {
+    out += String.fromCharCode((str.charCodeAt(i) << 8) | str.charCodeAt(i + 1));
+  }
+  if (str.length % 2) out += str[str.length - 1];
   return out;
 }
 
-function decodePdfHexString(hex) {
-  // Hex string pairs -> bytes -> try UTF-8 first, else latin1
-  if (hex.length % 2 === 1) hex += '0';
-  const bytes = new Uint8Array(hex.length / 2);
-  for (let i = 0; i < hex.length; i += 2) {
-    bytes[i / 2] = parseInt(hex.slice(i, i + 2), 16);
+/* ------------------------------ cross-reference ------------------------------ */
+
+// Follow startxref and the /Prev chain; newer sections win. Returns false when unreadable.
+async function loadXref(doc) {
+  const { src } = doc;
+  const marker = src.lastIndexOf('startxref');
+  if (marker === -1) return false;
+
+  let pos = readObject(createLexer(src, marker + 9));
+  const seen = new Set();
+
+  try {
+    while (typeof pos === 'number' && !seen.has(pos)) {
+      seen.add(pos);
+      const at = fileToIndex(doc, pos);
+      if (at < 0 || at >= src.length) break;
+      const start = skipWhitespace(src, at);
+
+      let trailer;
+      if (src.startsWith('xref', start)) {
+        trailer = readXrefTable(doc, start + 4);
+        // Hybrid files list compressed objects in an extra xref stream
+        const hybrid = trailer.get('XRefStm');
+        if (typeof hybrid === 'number') await readXrefStream(doc, hybrid);
+      } else {
+        trailer = await readXrefStream(doc, start);
+      }
+      if (!trailer) break;
+
+      for (const [key, value] of trailer) {
+        if (!doc.trailer.has(key)) doc.trailer.set(key, value);
+      }
+      pos = trailer.get('Prev');
+    }
+  } catch {
+    return false;
+  }
+
+  return doc.xref.size > 0;
+}
+
+function readXrefTable(doc, pos) {
+  const lx = createLexer(doc.src, pos, { refs: false });
+
+  while (true) {
+    lx.pos = skipWhitespace(lx.src, lx.pos);
+    if (lx.src.startsWith('trailer', lx.pos)) {
+      lx.pos += 7;
+      lx.refs = true;
+      const trailer = readObject(lx);
+      return trailer instanceof Map ? trailer : new Map();
+    }
+
+    const first = readObject(lx);
+    const count = readObject(lx);
+    if (typeof first !== 'number' || typeof count !== 'number') throw new Error('Bad xref table');
+
+    for (let i = 0; i < count; i++) {
+      const offset = readObject(lx);
+      readObject(lx); // generation
+      const type = readObject(lx);
+      const num = first + i;
+      if (type?.op === 'n' && !doc.xref.has(num)) doc.xref.set(num, { offset });
+    }
+  }
+}
+
+// Cross-reference stream: binary rows of /W field widths over the /Index ranges
+async function readXrefStream(doc, pos) {
+  const stream = parseIndirectAt(doc, pos)?.value;
+  if (!stream?.stream || stream.dict.get('Type') !== 'XRef') return null;
+
+  const data = await decodeStream(doc, stream);
+  if (!data) return stream.dict;
+
+  const widths = stream.dict.get('W') || [1, 2, 1];
+  const index = stream.dict.get('Index') || [0, stream.dict.get('Size') || 0];
+  const rowLength = widths.reduce((a, b) => a + b, 0);
+  let row = 0;
+
+  for (let r = 0; r + 1 < index.length; r += 2) {
+    for (let i = 0; i < index[r + 1]; i++, row++) {
+      let at = row * rowLength;
+      if (at + rowLength > data.length) return stream.dict;
+
+      const fields = widths.map((width) => {
+        let value = 0;
+        for (let b = 0; b < width; b++) value = value * 256 + data[at++];
+        return value;
+      });
+
+      const type = widths[0] === 0 ? 1 : fields[0];
+      const num = index[r] + i;
+      if (doc.xref.has(num)) continue;
+      if (type === 1) doc.xref.set(num, { offset: fields[1] });
+      else if (type === 2) doc.xref.set(num, { stm: fields[1], index: fields[2] });
+    }
+  }
+
+  return stream.dict;
+}
+
+// Damaged files: find "n g obj" headers and trailers by scanning
+function rebuildXref(doc) {
+  const { src } = doc;
+  doc.xref.clear();
+
+  const re = /(\d+)\s+(\d+)\s+obj\b/g;
+  let match;
+  while ((match = re.exec(src))) {
+    doc.xref.set(Number(match[1]), { offset: indexToFile(doc, match.index) });
+  }
+
+  let pos = src.indexOf('trailer');
+  while (pos !== -1) {
+    const trailer = readObject(createLexer(src, pos + 7));
+    if (trailer instanceof Map) {
+      for (const [key, value] of trailer) doc.trailer.set(key, value);
+    }
+    pos = src.indexOf('trailer', pos + 7);
   }
+}
+
+// File offset -> position in doc.src (-1 inside the part that wasn't read)
+function fileToIndex(doc, offset) {
+  if (!doc.gap || offset < doc.gap.at) return offset;
+  return offset < doc.gap.at + doc.gap.size ? -1 : offset - doc.gap.size;
+}
 
-  // UTF-16BE BOM
-  if (bytes.length >= 2 && bytes[0] === 0xFE && bytes[1] === 0xFF) {
-    try {
-      return new TextDecoder('utf-16be').decode(bytes.slice(2));
-    } catch {}
+function indexToFile(doc, index) {
+  return !doc.gap || index < doc.gap.at ? index : index + doc.gap.size;
+}
+
+/* ------------------------------ objects ------------------------------ */
+
+async function resolve(doc, value, depth = 0) {
+  while (value && typeof value === 'object' && value.num != null && value.gen != null && depth++ < 20) {
+    value = await loadObject(doc, value.num);
   }
-  // UTF-8
+  return value;
+}
+
+async function loadObject(doc, num) {
+  if (doc.cache.has(num)) return doc.cache.get(num);
+  doc.cache.set(num, null); // Guards against reference cycles
+
+  const entry = doc.xref.get(num);
+  let value = null;
+
+  if (entry?.offset != null) {
+    const parsed = parseIndirectAt(doc, entry.offset);
+    if (parsed && parsed.num === num) value = parsed.value;
+  } else if (entry?.stm != null) {
+    value = await objectFromStream(doc, entry.stm, entry.index, num);
+  }
+
+  doc.cache.set(num, value);
+  return value;
+}
+
+// Object streams: "num offset" pairs, then the objects starting at /First
+async function objectFromStream(doc, stmNum, index, num) {
+  if (!doc.objStms.has(stmNum)) {
+    const stream = await loadObject(doc, stmNum);
+    let parsed = null;
+
+    if (stream?.stream) {
+      const data = await decodeStream(doc, stream);
+      if (data) {
+        const text = bytesToBinary(data);
+        const count = stream.dict.get('N') || 0;
+        const first = stream.dict.get('First') || 0;
+        const lx = createLexer(text, 0);
+        const offsets = [];
+        for (let i = 0; i < count; i++) {
+          const objNum = readObject(lx);
+          const offset = readObject(lx);
+          offsets.push({ objNum, offset });
+        }
+        parsed = { text, first, offsets };
+      }
+    }
+    doc.objStms.set(stmNum, parsed);
+  }
+
+  const stm = doc.objStms.get(stmNum);
+  if (!stm) return null;
+
+  const slot = stm.offsets[index]?.objNum === num ? stm.offsets[index] : stm.offsets.find((o) => o.objNum === num);
+  if (!slot) return null;
+
+  return readObject(createLexer(stm.text, stm.first + slot.offset));
+}
+
+// "12 0 obj <<...>> stream ... endstream"
+function parseIndirectAt(doc, offset) {
+  const { src } = doc;
+  const at = fileToIndex(doc, offset);
+  if (at < 0 || at >= src.length) return null;
+  const lx = createLexer(src, at, { refs: false });
+
+  const num = readObject(lx);
+  readObject(lx); // generation
+  const keyword = readObject(lx);
+  if (typeof num !== 'number' || keyword?.op !== 'obj') return null;
+
+  lx.refs = true;
+  const value = readObject(lx);
+
+  if (value instanceof Map) {
+    const after = skipWhitespace(src, lx.pos);
+    if (src.startsWith('stream', after)) {
+      let start = after + 6;
+      if (src[start] === '\r') start++;
+      if (src[start] === '\n') start++;
+
+      const length = value.get('Length');
+      let end = typeof length === 'number' ? start + length : -1;
+      if (end < start || end > src.length || src.slice(end, end + 32).indexOf('endstream') === -1) {
+        end = src.indexOf('endstream', start);
+        if (end === -1) end = src.length;
+        while (end > start && (src[end - 1] === '\n' || src[end - 1] === '\r')) end--;
+      }
+
+      return { num, value: { stream: true, dict: value, raw: doc.bytes.subarray(start, end) } };
+    }
+  }
+
+  return { num, value };
+}
+
+/* ------------------------------ filters ------------------------------ */
+
+// keepImage: stop at DCTDecode and return the JPEG bytes
+async function decodeStream(doc, stream, { keepImage = false } = {}) {
+  let data = stream.raw;
+  const filters = toArray(await resolve(doc, stream.dict.get('Filter') ?? stream.dict.get('F')));
+  const params = toArray(await resolve(doc, stream.dict.get('DecodeParms') ?? stream.dict.get('DP')));
+
+  for (let i = 0; i < filters.length && data; i++) {
+    const parms = await resolve(doc, params[i]);
+
+    switch (filters[i]) {
+      case 'FlateDecode':
+      case 'Fl':
+        data = applyPredictor(await inflate(data), parms);
+        break;
+      case 'LZWDecode':
+      case 'LZW':
+        data = applyPredictor(lzwDecode(data, parms?.get?.('EarlyChange') ?? 1), parms);
+        break;
+      case 'ASCIIHexDecode':
+      case 'AHx':
+        data = asciiHexDecode(data);
+        break;
+      case 'ASCII85Decode':
+      case 'A85':
+        data = ascii85Decode(data);
+        break;
+      case 'DCTDecode':
+      case 'DCT':
+        if (keepImage) return data;
+        return null;
+      default:
+        return null; // Image codecs (DCT, JPX, CCITT, JBIG2) never hold text
+    }
+  }
+
+  return data;
+}
+
+// zlib DEFLATE, keeping whatever inflates before a corrupt tail
+async function inflate(data) {
+  if (typeof DecompressionStream === 'undefined') return null;
+
+  const zlib = await readDecompressed(data, 'deflate');
+  if (zlib?.length) return zlib;
+
+  // Some writers omit the zlib header
+  return readDecompressed(data.subarray(2), 'deflate-raw');
+}
+
+async function readDecompressed(data, format) {
+  const reader = new Blob([data]).stream().pipeThrough(new DecompressionStream(format)).getReader();
+  const chunks = [];
+  let total = 0;
+
   try {
-    const txt = new TextDecoder('utf-8', { fatal: false }).decode(bytes);
-    if (txt && /[A-Za-z0-9]/.test(txt)) return txt;
-  } catch {}
+    while (total < MAX_STREAM_BYTES) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      chunks.push(value);
+      total += value.length;
+    }
+  } catch {
+    // Corrupt or truncated: keep the part that inflated
+  } finally {
+    reader.cancel().catch(() => {});
+  }
+
+  const out = new Uint8Array(total);
+  let pos = 0;
+  for (const chunk of chunks) {
+    out.set(chunk, pos);
+    pos += chunk.length;
+  }
+  return out;
+}
+
+// PNG predictors (xref streams almost always use /Predictor 12)
+function applyPredictor(data, parms) {
+  const predictor = parms instanceof Map ? parms.get('Predictor') || 1 : 1;
+  if (!data || predictor < 10) return data;
+
+  const colors = parms.get('Colors') || 1;
+  const bits = parms.get('BitsPerComponent') || 8;
+  const columns = parms.get('Columns') || 1;
+  const bpp = Math.max(1, Math.ceil((colors * bits) / 8));
+  const rowLength = Math.ceil((colors * bits * columns) / 8);
+
+  const rows = Math.floor(data.length / (rowLength + 1));
+  const out = new Uint8Array(rows * rowLength);
+  let prev = new Uint8Array(rowLength);
+
+  for (let r = 0; r < rows; r++) {
+    const type = data[r * (rowLength + 1)];
+    const row = data.subarray(r * (rowLength + 1) + 1, (r + 1) * (rowLength + 1));
+    const cur = out.subarray(r * rowLength, (r + 1) * rowLength);
+
+    for (let i = 0; i < rowLength; i++) {
+      const left = i >= bpp ? cur[i - bpp] : 0;
+      const up = prev[i];
+      const upLeft = i >= bpp ? prev[i - bpp] : 0;
+      let value = row[i];
+
+      if (type === 1) value += left;
+      else if (type === 2) value += up;
+      else if (type === 3) value += (left + up) >> 1;
+      else if (type === 4) value += paeth(left, up, upLeft);
+
+      cur[i] = value & 0xFF;
+    }
+    prev = cur;
+  }
+
+  return out;
+}
+
+function paeth(a, b, c) {
+  const p = a + b - c;
+  const pa = Math.abs(p - a);
+  const pb = Math.abs(p - b);
+  const pc = Math.abs(p - c);
+  if (pa <= pb && pa <= pc) return a;
+  return pb <= pc ? b : c;
+}
+
+function lzwDecode(data, earlyChange) {
+  const out = [];
+  let dict = [];
+  let codeLength = 9;
+  let prev = null;
+  let bitBuffer = 0;
+  let bitCount = 0;
+
+  const reset = () => {
+    dict = Array.from({ length: 258 }, (_, i) => (i < 256 ? [i] : null));
+    codeLength = 9;
+    prev = null;
+  };
+  reset();
+
+  for (let i = 0; i < data.length; i++) {
+    bitBuffer = (bitBuffer << 8) | data[i];
+    bitCount += 8;
+
+    while (bitCount >= codeLength) {
+      const code = (bitBuffer >> (bitCount - codeLength)) & ((1 << codeLength) - 1);
+      bitCount -= codeLength;
+
+      if (code === 256) {
+        reset();
+        continue;
+      }
+      if (code === 257) return Uint8Array.from(out);
+
+      let entry = dict[code];
+      if (!entry && prev) entry = [...prev, prev[0]];
+      if (!entry) return Uint8Array.from(out);
+
+      out.push(...entry);
+      if (prev) dict.push([...prev, entry[0]]);
+      prev = entry;
+
+      if (dict.length + earlyChange >= 1 << codeLength && codeLength < 12) codeLength++;
+    }
+    bitBuffer &= (1 << bitCount) - 1;
+  }
+
+  return Uint8Array.from(out);
+}
+
+function asciiHexDecode(data) {
+  const hex = bytesToBinary(data).replace(/[^0-9A-Fa-f>]/g, '').split('>')[0];
+  const out = new Uint8Array(Math.ceil(hex.length / 2));
+  for (let i = 0; i < out.length; i++) out[i] = parseInt((hex.slice(i * 2, i * 2 + 2) + '0').slice(0, 2), 16);
+  return out;
+}
+
+function ascii85Decode(data) {
+  const text = bytesToBinary(data).replace(/\s/g, '').replace(/^<~/, '').split('~>')[0];
+  const out = [];
+  let group = [];
+
+  for (const ch of text) {
+    if (ch === 'z' && group.length === 0) {
+      out.push(0, 0, 0, 0);
+      continue;
+    }
+    group.push(ch.charCodeAt(0) - 33);
+    if (group.length === 5) {
+      let value = 0;
+      for (const digit of group) value = value * 85 + digit;
+      out.push((value >>> 24) & 0xFF, (value >>> 16) & 0xFF, (value >>> 8) & 0xFF, value & 0xFF);
+      group = [];
+    }
+  }
+
+  if (group.length > 1) {
+    const missing = 5 - group.length;
+    let value = 0;
+    for (const digit of [...group, ...Array(missing).fill(84)]) value = value * 85 + digit;
+    const bytes = [(value >>> 24) & 0xFF, (value >>> 16) & 0xFF, (value >>> 8) & 0xFF, value & 0xFF];
+    out.push(...bytes.slice(0, 4 - missing));
+  }
+
+  return Uint8Array.from(out);
+}
+
+/* ------------------------------ lexer ------------------------------ */
+
+const EOF = Symbol('eof');
+const WHITESPACE = '\0\t\n\f\r ';
+const DELIMITERS = '()<>[]{}/%';
+
+/**
+ * Values: numbers, booleans, null, names as strings ('Page'), strings as { str } (raw bytes
+ * as char codes), refs as { num, gen }, arrays, dicts as Map, keywords/operators as { op }.
+ * refs: false for content streams and xref tables ("0 0 R" isn't a reference there).
+ */
+function createLexer(src, pos, { refs = true } = {}) {
+  return { src, pos, refs };
+}
+
+function readObject(lx) {
+  const { src } = lx;
+  lx.pos = skipWhitespace(src, lx.pos);
+  if (lx.pos >= src.length) return EOF;
+
+  const ch = src[lx.pos];
+
+  if (ch === '/') return readName(lx);
+  if (ch === '(') return { str: readLiteralString(lx) };
+  if (ch === '<') {
+    if (src[lx.pos + 1] === '<') {
+      lx.pos += 2;
+      return readDict(lx);
+    }
+    return { str: readHexString(lx) };
+  }
+  if (ch === '[') {
+    lx.pos++;
+    return readArray(lx);
+  }
+  if (ch === ']' || ch === '>' || ch === ')' || ch === '{' || ch === '}') {
+    lx.pos += ch === '>' && src[lx.pos + 1] === '>' ? 2 : 1;
+    return { op: ch === '>' ? '>>' : ch };
+  }
+
+  const word = readRegular(lx);
+  if (/^[+-]?(\d+\.?\d*|\.\d+)$/.test(word)) {
+    const number = parseFloat(word);
+    return lx.refs && /^\d+$/.test(word) ? maybeRef(lx, number) : number;
+  }
+  if (word === 'true') return true;
+  if (word === 'false') return false;
+  if (word === 'null') return null;
+  return { op: word };
+}
+
+// "12 0 R" -> { num: 12, gen: 0 }
+function maybeRef(lx, num) {
+  const { src } = lx;
+  const match = /^\s+(\d+)\s+R(?=[\s()<>[\]{}/%]|$)/.exec(src.slice(lx.pos, lx.pos + 32));
+  if (!match) return num;
+  lx.pos += match[0].length;
+  return { num, gen: Number(match[1]) };
+}
+
+function readDict(lx) {
+  const dict = new Map();
 
-  return latin1Decoder.decode(bytes);
+  while (true) {
+    const key = readObject(lx);
+    if (key === EOF || key?.op === '>>') break;
+    if (typeof key !== 'string') continue; // Malformed entry: skip it
+
+    const value = readObject(lx);
+    if (value === EOF || value?.op === '>>') break;
+    dict.set(key, value);
+  }
+
+  return dict;
+}
+
+function readArray(lx) {
+  const items = [];
+
+  while (true) {
+    const item = readObject(lx);
+    if (item === EOF || item?.op === ']') break;
+    items.push(item);
+  }
+
+  return items;
+}
+
+function readName(lx) {
+  const { src } = lx;
+  let end = ++lx.pos;
+  while (end < src.length && !WHITESPACE.includes(src[end]) && !DELIMITERS.includes(src[end])) end++;
+
+  const raw = src.slice(lx.pos, end);
+  lx.pos = end;
+  return raw.replace(/#([0-9A-Fa-f]{2})/g, (_, hex) => String.fromCharCode(parseInt(hex, 16)));
+}
+
+function readRegular(lx) {
+  const { src } = lx;
+  const start = lx.pos;
+  while (lx.pos < src.length && !WHITESPACE.includes(src[lx.pos]) && !DELIMITERS.includes(src[lx.pos])) lx.pos++;
+
+  if (lx.pos === start) {
+    lx.pos++; // Stray delimiter
+    return src[start];
+  }
+  return src.slice(start, lx.pos);
+}
+
+function readLiteralString(lx) {
+  const { src } = lx;
+  let depth = 0;
+  let out = '';
+  let i = lx.pos + 1;
+
+  for (; i < src.length; i++) {
+    const ch = src[i];
+
+    if (ch === '\\') {
+      const next = src[++i];
+      if (next === undefined) break;
+      if (next === 'n') out += '\n';
+      else if (next === 'r') out += '\r';
+      else if (next === 't') out += '\t';
+      else if (next === 'b') out += '\b';
+      else if (next === 'f') out += '\f';
+      else if (next === '\r') {
+        if (src[i + 1] === '\n') i++; // Line continuation
+      } else if (next === '\n') {
+        // Line continuation
+      } else if (isOctalDigit(next)) {
+        let oct = next;
+        while (oct.length < 3 && isOctalDigit(src[i + 1])) oct += src[++i];
+        out += String.fromCharCode(parseInt(oct, 8) & 0xFF);
+      } else {
+        out += next;
+      }
+      continue;
+    }
+
+    if (ch === '(') depth++;
+    if (ch === ')') {
+      if (depth === 0) break;
+      depth--;
+    }
+    out += ch;
+  }
+
+  lx.pos = i + 1;
+  return out;
+}
+
+function readHexString(lx) {
+  const { src } = lx;
+  const end = src.indexOf('>', lx.pos);
+  const stop = end === -1 ? src.length : end;
+  let hex = src.slice(lx.pos + 1, stop).replace(/[^0-9A-Fa-f]/g, '');
+  lx.pos = stop + 1;
+
+  if (hex.length % 2) hex += '0';
+  let out = '';
+  for (let i = 0; i < hex.length; i += 2) out += String.fromCharCode(parseInt(hex.slice(i, i + 2), 16));
+  return out;
+}
+
+function skipWhitespace(src, pos) {
+  while (pos < src.length) {
+    const ch = src[pos];
+    if (ch === '%') {
+      while (pos < src.length && src[pos] !== '\n' && src[pos] !== '\r') pos++;
+    } else if (WHITESPACE.includes(ch)) {
+      pos++;
+    } else {
+      break;
+    }
+  }
+  return pos;
+}
+
+/* ------------------------------ fallback scan ------------------------------ */
+
+// Pre-parser behaviour for damaged files: literal strings from the first N streams
+async function scanStreamsForText(bytes, src, { maxChars, maxStreams }) {
+  const out = [];
+  const lines = [];
+  let total = 0;
+
+  const streamRe = /stream\r?\n/g;
+  let match;
+  let streamsSeen = 0;
+
+  while ((match = streamRe.exec(src)) && streamsSeen < maxStreams && total < maxChars) {
+    const dataStart = match.index + match[0].length;
+    const endstreamIdx = src.indexOf('endstream', dataStart);
+    if (endstreamIdx === -1) break;
+
+    const dictChunk = src.slice(Math.max(0, match.index - 2500), match.index);
+    let data = bytes.subarray(dataStart, endstreamIdx);
+
+    // Images and fonts only yield binary noise
+    const dictStart = dictChunk.lastIndexOf('obj');
+    if (/\/Subtype\s*\/Image|\/DCTDecode|\/FontFile|\/Length1/.test(dictChunk.slice(dictStart))) {
+      streamsSeen++;
+      continue;
+    }
+
+    if (dictChunk.includes('/FlateDecode')) {
+      data = await inflate(data);
+      if (!data?.length) {
+        streamsSeen++;
+        continue;
+      }
+    }
+
+    const strings = extractLiteralStrings(bytesToBinary(data));
+    if (lines.length < 40) lines.push(...strings.slice(0, 40 - lines.length));
+
+    const joined = strings.join(' ');
+    if (joined.length > 30) {
+      out.push(joined);
+      total += joined.length + 1;
+    }
+
+    streamsSeen++;
+  }
+
+  return { text: out.join(' '), lines };
+}
+
+function extractLiteralStrings(streamText) {
+  const results = [];
+  const lx = createLexer(streamText.slice(0, 400_000), 0, { refs: false });
+
+  const re = /\((?:\\.|[^\\()]){3,400}\)/g;
+  let m;
+  while ((m = re.exec(lx.src))) {
+    lx.pos = m.index;
+    const decoded = cleanupText(readLiteralString(lx));
+    if (isUsefulText(decoded)) results.push(decoded);
+    if (results.join(' ').length > 3500) break;
+  }
+
+  return results;
+}
+
+/* ------------------------------ metadata ------------------------------ */
+
+function extractInfoTitle(src) {
+  // Very common: /Title (Some Title)
+  const m = src.match(/\/Title\s*\(((?:\\.|[^\\)]){1,300})\)/);
+  if (!m) return '';
+  return decodeTextString(readLiteralString(createLexer(`(${m[1]})`, 0)));
+}
+
+function extractXmpTitle(xmp) {
+  const start = xmp.indexOf('<dc:title');
+  if (start === -1) return '';
+  const end = xmp.indexOf('</dc:title>', start);
+  if (end === -1) return '';
+
+  const snippet = xmp.slice(start, end + '</dc:title>'.length);
+
+  // Prefer rdf:li content if present
+  const li = snippet.match(/<rdf:li[^>]*>([\s\S]*?)<\/rdf:li>/i);
+  const raw = li ? li[1] : snippet;
+
+  return decodeHtmlEntities(raw.replace(/<[^>]*>/g, ' ')).trim();
+}
+
+// PDF text strings: UTF-16BE with BOM, UTF-8 with BOM, else PDFDocEncoding (~latin1)
+function decodeTextString(str) {
+  if (str.startsWith('\xFE\xFF')) return utf16be(str.slice(2));
+  if (str.startsWith('\xEF\xBB\xBF')) {
+    return new TextDecoder('utf-8').decode(Uint8Array.from(str.slice(3), (c) => c.charCodeAt(0)));
+  }
+  return str;
+}
+
+/* ------------------------------ utilities ------------------------------ */
+
+// One char per byte (TextDecoder('latin1') is really windows-1252 and remaps 0x80-0x9F)
+function bytesToBinary(bytes) {
+  let out = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    out += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+  }
+  return out;
+}
+
+function toArray(value) {
+  if (value == null) return [];
+  return Array.isArray(value) ? value : [value];
 }
 
 function cleanupText(s) {
   return (s || '')
-    .replace(/\s+/g, ' ')
     .replace(/[\u0000-\u001F]+/g, ' ')
+    .replace(/\s+/g, ' ')
     .trim();
 }
 
@@ -244,18 +1403,22 @@ function isUsefulText(s) {
   return true;
 }
 
-function stripXmlTags(xml) {
-  return xml.replace(/<[^>]*>/g, ' ');
-}
-
 function decodeHtmlEntities(s) {
   // Minimal decode for common entities used in XMP
   return s
-    .replace(/&amp;/g, '&')
     .replace(/&lt;/g, '<')
     .replace(/&gt;/g, '>')
     .replace(/&quot;/g, '"')
-    .replace(/&#39;/g, "'");
+    .replace(/&#39;/g, "'")
+    .replace(/&amp;/g, '&');
+}
+
+function safeFromCodePoint(code) {
+  try {
+    return String.fromCodePoint(code);
+  } catch {
+    return '';
+  }
 }
 
 function isOctalDigit(ch) {
@@ -3,11 +3,35 @@
  */
 
 import { CONFIG } from './config.js';
+import { providerReady } from './providers.js';
+import { recentEntries, queryHistory } from './history-store.js';
+import { cacheStats } from './caption-cache.js';
+import { pageContextAllowed } from './page-context.js';
+import { PAUSE_DURATIONS, pauseState, pauseRenaming, resumeRenaming, siteAllowed, pauseLabel } from './renaming-state.js';
+import { readSettings, patchSettings } from './settings-store.js';
 
 // Load settings
 async function loadSettings() {
-  const data = await chrome.storage.sync.get(CONFIG.STORAGE.SETTINGS);
-  return { ...CONFIG.DEFAULTS, ...(data[CONFIG.STORAGE.SETTINGS] || {}) };
+  return readSettings();
+}
+
+// Helper: Change a few stored settings from the popup (change: stored -> changed fields).
+// A refused write (e.g. sync quota) is shown in the status line; returns whether it was saved.
+async function changeSettings(change) {
+  try {
+    await patchSettings(change);
+    return true;
+  } catch (error) {
+    showError(`Not saved: ${error.message}`);
+    return false;
+  }
+}
+
+// Helper: Error in the status line
+function showError(message) {
+  const statusEl = document.getElementById('status');
+  statusEl.className = 'status not-configured';
+  statusEl.textContent = message;
 }
 
 // Load stats
@@ -20,22 +44,40 @@ async function loadStats() {
   };
 }
 
-// Load history
-async function loadHistory() {
-  const data = await chrome.storage.local.get(CONFIG.STORAGE.HISTORY);
-  return data[CONFIG.STORAGE.HISTORY] || [];
-}
-
 // Check status
 async function checkStatus() {
   const settings = await loadSettings();
+  const pause = await pauseState();
   const statusEl = document.getElementById('status');
   
-  if (!settings.hfToken) {
-    statusEl.className = 'status not-configured';
+  if (!settings.autoRename) {
+    statusEl.className = 'status configured';
     statusEl.innerHTML = `
+      <strong>Automatic Renaming Off</strong><br>
+      Right-click an image, link or PDF and pick "Save with smart name"
+    `;
+  } else if (pause) {
+    statusEl.className = 'status configured';
+    statusEl.innerHTML = `
+      <strong>⏸ ${pauseLabel(pause)}</strong><br>
+      Downloads keep their names until then
+    `;
+  } else if (settings.renameMode === 'offline') {
+    statusEl.className = 'status configured';
+    statusEl.innerHTML = `
+      <strong>✓ Offline Mode</strong><br>
+      Names come from local signals only — no AI calls
+    `;
+  } else if (!providerReady(settings)) {
+    statusEl.className = 'status not-configured';
+    statusEl.innerHTML = settings.provider === 'huggingface'
+      ? `
       <strong>⚠️ Not Configured</strong><br>
-      Click Settings to add your FREE Hugging Face API token
+      Click Settings to add your FREE Hugging Face API token${settings.offlineFallback ? ' (using offline names for now)' : ''}
+    `
+      : `
+      <strong>⚠️ Not Configured</strong><br>
+      Click Settings to finish setting up your AI provider
     `;
   } else {
     statusEl.className = 'status configured';
@@ -49,14 +91,10 @@ async function checkStatus() {
 // Update stats display
 async function updateStats() {
   const stats = await loadStats();
-  const history = await loadHistory();
   
   // Calculate today's count
-  const today = new Date().toDateString();
-  const todayCount = history.filter(h => {
-    const itemDate = new Date(h.timestamp).toDateString();
-    return itemDate === today && h.success;
-  }).length;
+  const startOfDay = new Date().setHours(0, 0, 0, 0);
+  const { total: todayCount } = await queryHistory({ status: 'success', from: startOfDay, limit: 0 });
   
   // Success rate
   const successRate = stats.totalRenames > 0
@@ -65,11 +103,119 @@ async function updateStats() {
   
   document.getElementById('todayCount').textContent = todayCount;
   document.getElementById('successRate').textContent = `${successRate}%`;
+
+  // Cache hits = AI calls saved (see caption-cache.js)
+  const cache = await cacheStats();
+  document.getElementById('cacheHits').textContent = cache.hits;
+  document.getElementById('cacheLabel').textContent = `AI calls saved · ${cache.misses} ${cache.misses === 1 ? 'miss' : 'misses'}`;
+}
+
+// Master switch, pause and this site's switch (see renaming-state.js)
+async function displayControls() {
+  const settings = await loadSettings();
+  const pause = await pauseState();
+  const host = await activeHost();
+
+  document.getElementById('autoRenameToggle').checked = settings.autoRename;
+
+  const siteRow = document.getElementById('siteRename');
+  siteRow.style.display = host ? 'flex' : 'none';
+  if (host) {
+    document.getElementById('siteRenameText').textContent = `Rename downloads on ${host}`;
+    document.getElementById('siteRenameToggle').checked = siteAllowed(settings, [host]);
+  }
+
+  document.getElementById('pause').style.display = settings.autoRename ? 'flex' : 'none';
+  document.getElementById('pauseText').textContent = pause ? pauseLabel(pause) : 'Pause for';
+  document.getElementById('pauseButtons').style.display = pause ? 'none' : 'contents';
+  document.getElementById('resumeBtn').style.display = pause ? 'inline-block' : 'none';
+}
+
+// Populate the pause buttons from PAUSE_DURATIONS
+function populatePauseButtons() {
+  const container = document.getElementById('pauseButtons');
+  for (const [duration, label] of Object.entries(PAUSE_DURATIONS)) {
+    const button = document.createElement('button');
+    button.className = 'item-action';
+    button.dataset.pause = duration;
+    button.textContent = label;
+    container.appendChild(button);
+  }
+}
+
+// Turning a site back on takes it off the deny list and, when there is an allow list, onto it
+// (false if it couldn't be saved)
+async function setSiteEnabled(host, enabled) {
+  return changeSettings((stored) => {
+    const disabledSites = (stored.disabledSites || []).filter((site) => site !== host);
+    const allowedSites = stored.allowedSites || [];
+
+    if (!enabled) return { disabledSites: [...disabledSites, host] };
+    return {
+      disabledSites,
+      allowedSites: allowedSites.length && !siteAllowed({ allowedSites }, [host]) ? [...allowedSites, host] : allowedSites
+    };
+  });
+}
+
+async function refreshControls() {
+  await checkStatus();
+  await displayControls();
+}
+
+// Per-site page context switch for the active tab (shown when page context is on)
+async function displaySiteContext() {
+  const settings = await loadSettings();
+  const host = await activeHost();
+  if (!settings.usePageContext || !host) return;
+
+  document.getElementById('siteContextText').textContent = `Use page context on ${host}`;
+  document.getElementById('siteContextToggle').checked = pageContextAllowed(settings, host);
+  document.getElementById('siteContext').style.display = 'flex';
+
+  document.getElementById('siteContextToggle').addEventListener('change', async (e) => {
+    let excluded = [];
+    const saved = await changeSettings((stored) => {
+      excluded = (stored.pageContextExcludedSites || []).filter((site) => site !== host);
+      if (!e.target.checked) excluded.push(host);
+      return { pageContextExcludedSites: excluded };
+    });
+    if (!saved) {
+      e.target.checked = !e.target.checked;
+      return;
+    }
+
+    // A wildcard from Settings (e.g. *.bank.com) still covers it
+    if (e.target.checked && !pageContextAllowed({ pageContextExcludedSites: excluded }, host)) {
+      e.target.checked = false;
+      document.getElementById('siteContextText').textContent = `${host} is excluded by a pattern in Settings`;
+    }
+  });
+}
+
+// Batch progress (written by the background worker, see batch.js)
+async function displayBatch() {
+  const data = await chrome.storage.session.get(CONFIG.STORAGE.BATCH);
+  const batch = data[CONFIG.STORAGE.BATCH];
+  const container = document.getElementById('batch');
+
+  // Finished batches stay visible for a few seconds
+  if (!batch || (batch.finished && Date.now() - batch.updatedAt > 10000)) {
+    container.style.display = 'none';
+    return;
+  }
+
+  const label = batch.prefix ? `"${batch.prefix}"` : `from ${batch.host}`;
+  document.getElementById('batchText').textContent = batch.finished
+    ? `✓ Batch ${label}: ${batch.total} images renamed`
+    : `Batch ${label}: ${batch.done} of ${batch.total} images renamed…`;
+  document.getElementById('batchFill').style.width = `${Math.round((batch.done / batch.total) * 100)}%`;
+  container.style.display = 'block';
 }
 
 // Display history
 async function displayHistory() {
-  const history = await loadHistory();
+  const history = await recentEntries(5);
   const container = document.getElementById('historyList');
   
   if (history.length === 0) {
@@ -82,18 +228,22 @@ async function displayHistory() {
     return;
   }
   
-  const html = history.slice(0, 5).map(item => {
+  const html = history.map(item => {
     const time = formatTime(item.timestamp);
     
     if (item.success) {
       const shortOriginal = shortenName(item.original);
-      const shortRenamed = shortenName(item.renamed);
+      const shortRenamed = shortenName(item.folder ? `${item.folder}/${item.renamed}` : item.renamed);
       
       return `
         <div class="history-item success">
           <div class="original">${escapeHtml(shortOriginal)}</div>
           <div class="renamed">→ ${escapeHtml(shortRenamed)}</div>
-          <div class="time">${time}</div>
+          <div class="time">${time}${item.undone ? ' - undone' : ''}</div>
+          <div class="item-actions">
+            <button class="item-action" data-action="undo" data-id="${item.id}"${!item.url || item.undone ? ' disabled' : ''}>Undo</button>
+            <button class="item-action" data-action="rename-again" data-id="${item.id}"${!item.url ? ' disabled' : ''}>Rename again</button>
+          </div>
         </div>
       `;
     } else {
@@ -129,6 +279,20 @@ function shortenName(name) {
   return base.slice(0, 30) + '...' + ext;
 }
 
+async function activeHost() {
+  const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+  return siteHost(tab?.url);
+}
+
+function siteHost(url) {
+  try {
+    const { protocol, hostname } = new URL(url);
+    return /^https?:$/.test(protocol) ? hostname.toLowerCase() : '';
+  } catch {
+    return '';
+  }
+}
+
 function escapeHtml(text) {
   const div = document.createElement('div');
   div.textContent = text;
@@ -140,15 +304,74 @@ document.getElementById('openSettings').addEventListener('click', () => {
   chrome.runtime.openOptionsPage();
 });
 
+document.getElementById('openHistory').addEventListener('click', () => {
+  chrome.tabs.create({ url: chrome.runtime.getURL('history.html') });
+});
+
+document.getElementById('autoRenameToggle').addEventListener('change', async (e) => {
+  if (!(await changeSettings(() => ({ autoRename: e.target.checked })))) {
+    e.target.checked = !e.target.checked;
+    return;
+  }
+  await refreshControls();
+});
+
+document.getElementById('siteRenameToggle').addEventListener('change', async (e) => {
+  const host = await activeHost();
+  if (!(await setSiteEnabled(host, e.target.checked))) {
+    e.target.checked = !e.target.checked;
+    return;
+  }
+  await refreshControls();
+
+  // A wildcard from Settings (e.g. *.bank.com) still covers it
+  if (e.target.checked && !siteAllowed(await loadSettings(), [host])) {
+    document.getElementById('siteRenameText').textContent = `${host} is excluded by a pattern in Settings`;
+  }
+});
+
+document.getElementById('pauseButtons').addEventListener('click', async (e) => {
+  const button = e.target.closest('[data-pause]');
+  if (!button) return;
+
+  await pauseRenaming(button.dataset.pause);
+  await refreshControls();
+});
+
+document.getElementById('resumeBtn').addEventListener('click', async () => {
+  await resumeRenaming();
+  await refreshControls();
+});
+
+// Undo / rename again (handled by the background worker)
+document.getElementById('historyList').addEventListener('click', async (e) => {
+  const button = e.target.closest('[data-action]');
+  if (!button || button.disabled) return;
+
+  button.disabled = true;
+  const response = await chrome.runtime.sendMessage({
+    type: `history:${button.dataset.action}`,
+    id: Number(button.dataset.id)
+  });
+
+  if (response?.error) showError(response.error);
+  await displayHistory();
+});
+
 // Initialize
 (async () => {
+  populatePauseButtons();
   await checkStatus();
+  await displayControls();
+  await displaySiteContext();
   await updateStats();
+  await displayBatch();
   await displayHistory();
   
   // Refresh every 2 seconds
   setInterval(async () => {
     await updateStats();
+    await displayBatch();
     await displayHistory();
   }, 2000);
 })();
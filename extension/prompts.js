@@ -0,0 +1,97 @@
+/**
+ * Prompt Profiles
+ * User-editable prompts that replace the built-in ones: an image profile is sent with the
+ * picture (photos, screenshots), a text profile with the text extracted from a document.
+ * Prompts can use {variables}; a rule can pick the profile for the files it matches.
+ */
+
+// Variables a prompt can use (filled per download)
+export const PROMPT_VARIABLES = {
+  hostname: 'Website the file came from',
+  pageTitle: 'Title of the page it was downloaded from',
+  pageContext: 'Alt text, caption and heading around the image (when page context is on)',
+  originalName: 'Original filename, without extension',
+  maxWords: 'The "Max words" setting',
+  title: 'Document title (text profiles)',
+  excerpt: 'Text from the start of the document (text profiles)'
+};
+
+export const PROFILE_KINDS = {
+  image: 'Image (sent with the picture)',
+  text: 'Text (sent with the document text)'
+};
+
+// Starting points offered by the options page
+export const PROMPT_PRESETS = {
+  product: {
+    name: 'Product photos',
+    kind: 'image',
+    prompt: 'This is a product photo from {hostname} (page: "{pageTitle}"). Name it as brand, product name and color in at most {maxWords} words. Use the page title for the product name when it fits. No punctuation.'
+  },
+  papers: {
+    name: 'Research papers',
+    kind: 'text',
+    system: 'You name research papers. Output ONLY the filename words.',
+    prompt: 'Name this paper as first author surname, year and a short title, in at most {maxWords} words.\n\nTitle: {title}\n\nText: {excerpt}'
+  },
+  memes: {
+    name: 'Memes',
+    kind: 'image',
+    prompt: 'This is a meme. Name it after its format or template and its joke (read the caption text), in at most {maxWords} words. No punctuation.'
+  }
+};
+
+// A fresh profile as created by the options page (optionally from a preset)
+export function createProfile(preset = null) {
+  return {
+    id: `profile-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+    name: 'New profile',
+    kind: 'image',
+    system: '',         // Replaces the default system prompt ('' = default)
+    prompt: '',
+    temperature: 0.2,
+    maxTokens: 60,
+    ...(preset || {})
+  };
+}
+
+/**
+ * The profile for one file: the rule's profile (settings.promptProfile) when it is of the
+ * right kind, else the default profile for that kind. null = built-in prompt.
+ */
+export function pickProfile(settings, kind) {
+  const profiles = settings.promptProfiles || [];
+  const byId = (id) => profiles.find((profile) => profile.id === id && profile.kind === kind && profile.prompt.trim());
+
+  return byId(settings.promptProfile) ||
+    byId(kind === 'image' ? settings.imagePromptProfile : settings.textPromptProfile) ||
+    null;
+}
+
+// Does the prompt use this variable?
+export function usesVariable(profile, name) {
+  return `${profile.system}\n${profile.prompt}`.includes(`{${name}}`);
+}
+
+// Fill {variables}; unknown names are left as typed
+export function renderPrompt(text, vars) {
+  return String(text || '').replace(/\{(\w+)\}/g, (match, name) =>
+    Object.prototype.hasOwnProperty.call(vars, name) ? String(vars[name] ?? '') : match
+  );
+}
+
+// Validate a profile; returns an error message or '' when OK
+export function validateProfile(profile) {
+  if (!profile.prompt.trim()) return 'The prompt is empty';
+
+  const unknown = [...`${profile.system}\n${profile.prompt}`.matchAll(/\{(\w+)\}/g)]
+    .map((m) => m[1])
+    .filter((name) => !(name in PROMPT_VARIABLES));
+  if (unknown.length) return `Unknown variable: {${unknown[0]}}`;
+
+  const { temperature, maxTokens } = profile;
+  if (!Number.isFinite(temperature) || temperature < 0 || temperature > 2) return 'Temperature must be between 0 and 2';
+  if (!Number.isInteger(maxTokens) || maxTokens < 5 || maxTokens > 1000) return 'Max tokens must be a whole number from 5 to 1000';
+
+  return '';
+}
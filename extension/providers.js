@@ -0,0 +1,201 @@
+/**
+ * AI provider backends
+ * Turns OpenAI-style chat messages into the request format of each backend
+ * (OpenAI-compatible, Anthropic Messages, Gemini generateContent) and back.
+ */
+
+import { CONFIG } from './config.js';
+
+// Resolve the active provider from settings: { id, kind, baseUrl, apiKey, model, vision, ... }
+export function resolveProvider(settings) {
+  const id = CONFIG.PROVIDERS[settings.provider] ? settings.provider : 'huggingface';
+  const defaults = CONFIG.PROVIDERS[id];
+
+  if (id === 'huggingface') {
+    return {
+      ...defaults,
+      id,
+      apiKey: settings.hfToken,
+      model: settings.modelOverride || settings.model
+    };
+  }
+
+  const saved = settings.providers?.[id] || {};
+  const models = defaults.models || {};
+
+  return {
+    ...defaults,
+    id,
+    baseUrl: (saved.baseUrl || defaults.baseUrl).replace(/\/+$/, ''),
+    apiKey: saved.apiKey || '',
+    model: settings.modelOverride || saved.model || Object.values(models)[0] || '',
+    vision: saved.vision ?? defaults.vision
+  };
+}
+
+// Is the active provider configured well enough to make a call?
+export function providerReady(settings) {
+  const provider = resolveProvider(settings);
+  if (!provider.baseUrl || !provider.model) return false;
+  return !provider.requiresKey || !!provider.apiKey;
+}
+
+// Model for "rename again with the stronger model" ('' when the provider has none: local servers)
+export function strongerModel(settings) {
+  if (settings.strongerModel) return settings.strongerModel;
+  return settings.provider === 'huggingface' || !CONFIG.PROVIDERS[settings.provider]
+    ? CONFIG.STRONG_MODEL
+    : CONFIG.PROVIDERS[settings.provider].strongModel || '';
+}
+
+// Models known for a provider (label -> id)
+export function providerModels(id) {
+  return id === 'huggingface' ? CONFIG.MODELS : (CONFIG.PROVIDERS[id]?.models || {});
+}
+
+// Build the fetch() arguments for a chat call
+export function buildChatRequest(provider, { messages, temperature, maxTokens }) {
+  switch (provider.kind) {
+    case 'anthropic':
+      return anthropicRequest(provider, messages, temperature, maxTokens);
+    case 'gemini':
+      return geminiRequest(provider, messages, temperature, maxTokens);
+    case 'openai':
+    default:
+      return openAiRequest(provider, messages, temperature, maxTokens);
+  }
+}
+
+// Pull the reply text out of a provider response
+export function parseChatResponse(provider, data) {
+  switch (provider.kind) {
+    case 'anthropic':
+      return (data?.content || [])
+        .filter((part) => part.type === 'text')
+        .map((part) => part.text)
+        .join('');
+    case 'gemini':
+      return (data?.candidates?.[0]?.content?.parts || [])
+        .map((part) => part.text || '')
+        .join('');
+    case 'openai':
+    default:
+      return data?.choices?.[0]?.message?.content || '';
+  }
+}
+
+// Pull an error message out of a failed provider response
+export function parseErrorMessage(data, status) {
+  return data?.error?.message || data?.message || (typeof data?.error === 'string' && data.error) || `HTTP ${status}`;
+}
+
+/* ------------------------------ adapters ------------------------------ */
+
+function openAiRequest(provider, messages, temperature, maxTokens) {
+  const headers = { 'Content-Type': 'application/json' };
+  // Local servers usually don't need a key
+  if (provider.apiKey) headers['Authorization'] = `Bearer ${provider.apiKey}`;
+
+  return {
+    url: `${provider.baseUrl}/chat/completions`,
+    init: {
+      method: 'POST',
+      headers,
+      body: JSON.stringify({
+        model: provider.model,
+        messages,
+        max_tokens: maxTokens,
+        temperature
+      })
+    }
+  };
+}
+
+function anthropicRequest(provider, messages, temperature, maxTokens) {
+  const system = messages
+    .filter((m) => m.role === 'system')
+    .map((m) => m.content)
+    .join('\n');
+
+  const converted = messages
+    .filter((m) => m.role !== 'system')
+    .map((m) => ({
+      role: m.role === 'assistant' ? 'assistant' : 'user',
+      content: toParts(m.content).map((part) =>
+        part.type === 'image'
+          ? { type: 'image', source: { type: 'base64', media_type: part.mimeType, data: part.data } }
+          : { type: 'text', text: part.text }
+      )
+    }));
+
+  return {
+    url: `${provider.baseUrl}/v1/messages`,
+    init: {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'x-api-key': provider.apiKey,
+        'anthropic-version': '2023-06-01',
+        // Required for calls made directly from a browser extension
+        'anthropic-dangerous-direct-browser-access': 'true'
+      },
+      body: JSON.stringify({
+        model: provider.model,
+        max_tokens: maxTokens,
+        temperature,
+        ...(system ? { system } : {}),
+        messages: converted
+      })
+    }
+  };
+}
+
+function geminiRequest(provider, messages, temperature, maxTokens) {
+  const system = messages
+    .filter((m) => m.role === 'system')
+    .map((m) => m.content)
+    .join('\n');
+
+  const contents = messages
+    .filter((m) => m.role !== 'system')
+    .map((m) => ({
+      role: m.role === 'assistant' ? 'model' : 'user',
+      parts: toParts(m.content).map((part) =>
+        part.type === 'image'
+          ? { inline_data: { mime_type: part.mimeType, data: part.data } }
+          : { text: part.text }
+      )
+    }));
+
+  return {
+    url: `${provider.baseUrl}/v1beta/models/${encodeURIComponent(provider.model)}:generateContent`,
+    init: {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'x-goog-api-key': provider.apiKey
+      },
+      body: JSON.stringify({
+        ...(system ? { systemInstruction: { parts: [{ text: system }] } } : {}),
+        contents,
+        generationConfig: { temperature, maxOutputTokens: maxTokens }
+      })
+    }
+  };
+}
+
+/* ------------------------------ utilities ------------------------------ */
+
+// Normalize OpenAI-style content (string or parts with data: URLs) to simple parts
+function toParts(content) {
+  if (typeof content === 'string') return [{ type: 'text', text: content }];
+
+  return (content || []).map((part) => {
+    if (part.type !== 'image_url') return { type: 'text', text: part.text || '' };
+
+    const match = (part.image_url?.url || '').match(/^data:([^;]+);base64,(.*)$/);
+    return match
+      ? { type: 'image', mimeType: match[1], data: match[2] }
+      : { type: 'text', text: '' };
+  });
+}
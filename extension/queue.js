@@ -0,0 +1,181 @@
+/**
+ * AI Request Queue
+ * Runs AI calls with limited concurrency, rate limits them with a token bucket kept in
+ * chrome.storage.session (so a suspended worker doesn't forget it), and retries 429/5xx
+ * responses with exponential backoff. Every wait is cancellable through an AbortSignal.
+ */
+
+import { CONFIG } from './config.js';
+
+const MAX_BACKOFF_MS = 60000;
+
+// Concurrency slots (per extension context)
+let active = 0;
+const waiting = [];
+
+// Serializes read-modify-write of the token bucket
+let bucketLock = Promise.resolve();
+
+/**
+ * Run task(signal) once a slot and a rate-limit token are available.
+ * options: { concurrency, perMinute, signal }
+ */
+export async function enqueue(task, options = {}) {
+  const {
+    concurrency = CONFIG.DEFAULTS.maxConcurrentRequests,
+    perMinute = CONFIG.DEFAULTS.maxRequestsPerMinute,
+    signal
+  } = options;
+
+  await acquireSlot(Math.max(1, concurrency), signal);
+
+  try {
+    return await runWithRetries(task, Math.max(1, perMinute), signal);
+  } finally {
+    releaseSlot();
+  }
+}
+
+// Build an Error for a failed HTTP response (status + Retry-After let the queue decide on retries)
+export function httpError(message, response, data = {}) {
+  const error = new Error(message);
+  error.status = response.status;
+
+  const retryAfter = parseRetryAfter(response.headers.get('Retry-After'));
+  // Hugging Face answers 503 with estimated_time (seconds) while a model loads
+  const estimated = Number(data.estimated_time);
+  error.retryAfter = retryAfter ?? (estimated > 0 ? estimated * 1000 : null);
+
+  return error;
+}
+
+// Retry-After is either delay-seconds or an HTTP date; returns milliseconds or null
+export function parseRetryAfter(value) {
+  if (!value) return null;
+
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/* ------------------------------ internals ------------------------------ */
+
+async function runWithRetries(task, perMinute, signal) {
+  for (let attempt = 0; ; attempt++) {
+    await takeToken(perMinute, signal);
+
+    try {
+      return await task(signal);
+    } catch (error) {
+      if (signal?.aborted || !isRetryable(error) || attempt >= CONFIG.RATE_LIMIT.maxRetries) throw error;
+
+      const delay = backoffDelay(error, attempt);
+      console.warn(`[Smart Rename] AI request failed (${error.status}), retrying in ${Math.ceil(delay / 1000)}s`);
+      await sleep(delay, signal);
+    }
+  }
+}
+
+function isRetryable(error) {
+  return error.status === 429 || error.status >= 500;
+}
+
+function backoffDelay(error, attempt) {
+  if (error.retryAfter != null) return Math.min(error.retryAfter, MAX_BACKOFF_MS);
+
+  const base = CONFIG.RATE_LIMIT.retryDelay * 2 ** attempt;
+  return Math.min(base + Math.random() * 250, MAX_BACKOFF_MS);
+}
+
+function acquireSlot(concurrency, signal) {
+  signal?.throwIfAborted();
+
+  if (active < concurrency && waiting.length === 0) {
+    active++;
+    return Promise.resolve();
+  }
+
+  return new Promise((resolve, reject) => {
+    const entry = { concurrency, resolve, reject, signal, onAbort: null };
+
+    entry.onAbort = () => {
+      waiting.splice(waiting.indexOf(entry), 1);
+      reject(signal.reason);
+    };
+    signal?.addEventListener('abort', entry.onAbort, { once: true });
+
+    waiting.push(entry);
+  });
+}
+
+function releaseSlot() {
+  active--;
+
+  while (waiting.length && active < waiting[0].concurrency) {
+    const next = waiting.shift();
+    next.signal?.removeEventListener('abort', next.onAbort);
+    active++;
+    next.resolve();
+  }
+}
+
+// Reserve a token, then wait until it is due (a cancelled wait hands the token back)
+async function takeToken(perMinute, signal) {
+  signal?.throwIfAborted();
+
+  const wait = await withBucket((bucket) => {
+    bucket.tokens -= 1;
+    return bucket.tokens >= 0 ? 0 : Math.ceil(-bucket.tokens / (perMinute / 60000));
+  }, perMinute);
+
+  if (wait <= 0) return;
+
+  try {
+    await sleep(wait, signal);
+  } catch (error) {
+    await withBucket((bucket) => {
+      bucket.tokens = Math.min(perMinute, bucket.tokens + 1);
+    }, perMinute);
+    throw error;
+  }
+}
+
+// Refill the bucket, let fn change it, store it again
+function withBucket(fn, perMinute) {
+  const run = bucketLock.then(async () => {
+    const key = CONFIG.STORAGE.RATE_BUCKET;
+    const now = Date.now();
+    const data = await chrome.storage.session.get(key);
+    const bucket = data[key] || { tokens: perMinute, updatedAt: now };
+
+    const refill = ((now - bucket.updatedAt) / 60000) * perMinute;
+    bucket.tokens = Math.min(perMinute, bucket.tokens + refill);
+    bucket.updatedAt = now;
+
+    const result = fn(bucket);
+    await chrome.storage.session.set({ [key]: bucket });
+    return result;
+  });
+
+  bucketLock = run.catch(() => {});
+  return run;
+}
+
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    signal?.throwIfAborted();
+
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
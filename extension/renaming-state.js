@@ -0,0 +1,72 @@
+/**
+ * Renaming State
+ * Whether downloads are renamed automatically right now: the master switch (autoRename), a
+ * pause (for a while or until the browser restarts) and the per-site allow/deny lists.
+ * Shown in the action badge; explicit requests (context menu, history) are not affected.
+ */
+
+import { CONFIG } from './config.js';
+import { hostMatches } from './rules.js';
+
+// Pause choices offered by the popup (minutes, or until the browser restarts)
+export const PAUSE_DURATIONS = {
+  15: '15 min',
+  60: '1 hour',
+  restart: 'Until restart'
+};
+
+// The current pause ({ until }, until = 0 for "until restart") or null. Kept in session
+// storage, so a pause never outlives the browser.
+export async function pauseState() {
+  const data = await chrome.storage.session.get(CONFIG.STORAGE.PAUSE);
+  const pause = data[CONFIG.STORAGE.PAUSE];
+  if (!pause || (pause.until && pause.until <= Date.now())) return null;
+  return pause;
+}
+
+export async function pauseRenaming(duration) {
+  const pause = { until: duration === 'restart' ? 0 : Date.now() + Number(duration) * 60 * 1000 };
+  await chrome.storage.session.set({ [CONFIG.STORAGE.PAUSE]: pause });
+  return pause;
+}
+
+export async function resumeRenaming() {
+  await chrome.storage.session.remove(CONFIG.STORAGE.PAUSE);
+}
+
+/**
+ * Why a download is not renamed automatically: 'off', 'paused' or 'site' ('' = it is).
+ * hosts: the page the download came from and the file's own host.
+ */
+export function blockedReason(settings, pause, hosts) {
+  if (!settings.autoRename) return 'off';
+  if (pause) return 'paused';
+  return siteAllowed(settings, hosts) ? '' : 'site';
+}
+
+// Any host on the deny list blocks; a non-empty allow list must match one of them
+export function siteAllowed(settings, hosts) {
+  const known = hosts.filter(Boolean);
+  const denied = (settings.disabledSites || []).join(',');
+  const allowed = (settings.allowedSites || []).join(',');
+
+  if (denied && known.some((host) => hostMatches(host, denied))) return false;
+  return !allowed || known.some((host) => hostMatches(host, allowed));
+}
+
+// Badge text, color and tooltip for the global state (text '' = renaming as usual)
+export function stateBadge(settings, pause) {
+  if (!settings.autoRename) {
+    return { text: 'OFF', color: '#777777', title: 'Smart Rename: automatic renaming is off' };
+  }
+  if (pause) {
+    return { text: '⏸', color: '#E37400', title: `Smart Rename: ${pauseLabel(pause)}` };
+  }
+  return { text: '', color: null, title: 'Smart Rename' };
+}
+
+// "Paused until 14:05" / "Paused until the browser restarts"
+export function pauseLabel(pause) {
+  if (!pause.until) return 'Paused until the browser restarts';
+  return `Paused until ${new Date(pause.until).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`;
+}
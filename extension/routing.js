@@ -0,0 +1,66 @@
+/**
+ * Folder routing
+ * Builds a relative subfolder (inside the Downloads folder) from a folder template
+ * such as "Invoices/{host}/{year}", and handles AI-picked categories.
+ */
+
+import { expandTemplate } from './template.js';
+import { transliterate, avoidReservedName } from './filename.js';
+
+const MAX_SEGMENT_LENGTH = 60;
+const MAX_DEPTH = 6;
+
+// Render a folder template into a safe relative path ('' = no subfolder)
+export function buildFolderPath(template, ctx, settings) {
+  if (!template || !template.trim()) return '';
+
+  return template
+    .split(/[\\/]+/)
+    .map((segment) => expandTemplate(segment, ctx, settings))
+    .map((segment) => sanitizePathSegment(settings.transliterate ? transliterate(segment) : segment))
+    .filter(Boolean) // Empty tokens drop their segment instead of leaving "//"
+    .slice(0, MAX_DEPTH)
+    .join('/');
+}
+
+// Make one folder name safe for Windows/macOS/Linux
+export function sanitizePathSegment(segment) {
+  const clean = Array.from((segment || '')
+    .normalize('NFC')
+    .replace(/[<>:"/\\|?*]/g, '')
+    .replace(/[\p{Cc}\p{Cf}]/gu, '')
+    .replace(/\s+/g, ' ')
+    .trim())
+    .slice(0, MAX_SEGMENT_LENGTH) // Code points, so surrogate pairs aren't split
+    .join('')
+    .replace(/^[. ]+|[. ]+$/g, ''); // No leading/trailing dots or spaces ("..", "name.")
+
+  return avoidReservedName(clean);
+}
+
+// Join folder + filename for chrome.downloads suggest()
+export function joinPath(folder, filename) {
+  return folder ? `${folder}/${filename}` : filename;
+}
+
+/* ------------------------------ categories ------------------------------ */
+
+// Prompt addition asking the model to also pick a category
+export function categoryInstruction(categories) {
+  return [
+    `Also classify the file into exactly one of these categories: ${categories.join(', ')}.`,
+    'Answer in the form: <category> | <filename words>'
+  ].join('\n');
+}
+
+// Split "<category> | <words>" replies; unknown categories are dropped
+export function parseCategorizedReply(reply, categories) {
+  const text = (reply || '').trim();
+  const sep = text.indexOf('|');
+  if (sep === -1) return { category: '', text };
+
+  const picked = text.slice(0, sep).replace(/[^\p{L}\p{M}\p{N}\s_-]/gu, '').trim().toLowerCase();
+  const category = categories.find((c) => c.toLowerCase() === picked) || '';
+
+  return { category, text: text.slice(sep + 1).trim() };
+}
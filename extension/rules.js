@@ -0,0 +1,182 @@
+/**
+ * Rename rules
+ * An ordered list of rules; the first enabled rule whose conditions all match decides
+ * what happens to a download. Evaluated before any network call, so only facts known
+ * at download time are used (URL, hostname, MIME type, extension, size if reported).
+ */
+
+export const RULE_ACTIONS = {
+  rename: 'Rename with AI',
+  original: 'Keep original name',
+  skip: 'Skip (leave untouched)'
+};
+
+// Where the file is read from for naming ('' = the readFrom setting)
+export const RULE_READ_MODES = {
+  '': 'Default',
+  fetch: 'Download again',
+  saved: 'Read the saved file'
+};
+
+// A fresh rule as created by the options page
+export function createRule() {
+  return {
+    id: `rule-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+    name: 'New rule',
+    enabled: true,
+    match: {
+      host: '',       // Hostname glob(s), comma separated: *.example.com, cdn.*
+      urlRegex: '',   // Regular expression tested against the full URL
+      mime: '',       // MIME glob(s): image/*, application/pdf
+      ext: '',        // Extensions, comma separated: jpg, png
+      minSizeKB: null,
+      maxSizeKB: null
+    },
+    action: 'rename',
+    template: '',     // Overrides the filename template
+    folder: '',       // Overrides the folder template
+    model: '',        // Overrides the AI model
+    prompt: '',       // Extra instructions appended to the AI prompt
+    profile: '',      // Prompt profile id (see prompts.js); '' = the default profile
+    readFrom: ''      // Overrides the readFrom setting (see RULE_READ_MODES)
+  };
+}
+
+// Find the first matching rule (or null)
+export function matchRule(rules, facts) {
+  for (const rule of rules || []) {
+    if (rule.enabled === false) continue;
+    if (ruleMatches(rule, facts)) return rule;
+  }
+  return null;
+}
+
+// Merge a rule's overrides into the settings used for one download
+export function applyRule(settings, rule) {
+  if (!rule) return settings;
+
+  return {
+    ...settings,
+    filenameTemplate: rule.template || settings.filenameTemplate,
+    imageFolderTemplate: rule.folder || settings.imageFolderTemplate,
+    pdfFolderTemplate: rule.folder || settings.pdfFolderTemplate,
+    modelOverride: rule.model || '',
+    extraPrompt: rule.prompt || '',
+    promptProfile: rule.profile || '',
+    readFrom: rule.readFrom || settings.readFrom,
+    ruleName: rule.name
+  };
+}
+
+// Facts about a download that rules can match on
+export function downloadFacts(downloadItem) {
+  const url = downloadItem.finalUrl || downloadItem.url || '';
+  const size = downloadItem.fileSize > 0 ? downloadItem.fileSize : downloadItem.totalBytes;
+
+  return {
+    url,
+    host: hostnameOf(url),
+    mime: (downloadItem.mime || '').toLowerCase(),
+    ext: extensionOf(downloadItem.filename) || extensionOf(pathnameOf(url)),
+    size: size > 0 ? size : -1
+  };
+}
+
+// Validate a rule; returns an error message or '' when OK
+export function validateRule(rule) {
+  if (rule.match.urlRegex) {
+    try {
+      new RegExp(rule.match.urlRegex, 'i');
+    } catch (error) {
+      return `Invalid URL regex: ${error.message}`;
+    }
+  }
+
+  const { minSizeKB, maxSizeKB } = rule.match;
+  if (minSizeKB != null && maxSizeKB != null && minSizeKB > maxSizeKB) {
+    return 'Minimum size is larger than maximum size';
+  }
+
+  return '';
+}
+
+/* ------------------------------ matching ------------------------------ */
+
+function ruleMatches(rule, facts) {
+  const m = rule.match || {};
+
+  if (m.host && !matchesAnyGlob(facts.host, m.host)) return false;
+
+  if (m.urlRegex) {
+    try {
+      if (!new RegExp(m.urlRegex, 'i').test(facts.url)) return false;
+    } catch {
+      return false; // Broken regex never matches
+    }
+  }
+
+  if (m.mime && !matchesAnyGlob(facts.mime, m.mime)) return false;
+
+  if (m.ext) {
+    const exts = splitList(m.ext).map((e) => e.replace(/^\./, ''));
+    if (!exts.includes(facts.ext)) return false;
+  }
+
+  // Size bounds only match when the browser reported a size
+  if (m.minSizeKB != null || m.maxSizeKB != null) {
+    if (facts.size < 0) return false;
+    const kb = facts.size / 1024;
+    if (m.minSizeKB != null && kb < m.minSizeKB) return false;
+    if (m.maxSizeKB != null && kb > m.maxSizeKB) return false;
+  }
+
+  return true;
+}
+
+// Hostname against comma-separated globs (also used for per-site settings)
+export function hostMatches(host, patterns) {
+  return matchesAnyGlob(host, patterns);
+}
+
+function matchesAnyGlob(value, patterns) {
+  return splitList(patterns).some((pattern) => {
+    // "*.example.com" should also cover the bare "example.com"
+    if (pattern.startsWith('*.') && value === pattern.slice(2)) return true;
+    return globToRegExp(pattern).test(value);
+  });
+}
+
+function globToRegExp(glob) {
+  const escaped = glob.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(`^${escaped.replace(/\*/g, '.*').replace(/\?/g, '.')}$`, 'i');
+}
+
+/* ------------------------------ utilities ------------------------------ */
+
+function splitList(list) {
+  return String(list)
+    .split(',')
+    .map((s) => s.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+function hostnameOf(url) {
+  try {
+    return new URL(url.replace(/^blob:/, '')).hostname.toLowerCase();
+  } catch {
+    return '';
+  }
+}
+
+function pathnameOf(url) {
+  try {
+    return new URL(url).pathname;
+  } catch {
+    return '';
+  }
+}
+
+function extensionOf(name) {
+  const last = (name || '').split(/[\\/]/).pop() || '';
+  return last.includes('.') ? last.split('.').pop().toLowerCase() : '';
+}
@@ -0,0 +1,84 @@
+/**
+ * Settings storage
+ * Settings are one chrome.storage.sync item, and sync allows only 8 KB per item. Lists that
+ * can grow past that (prompt profiles, rules) are kept in chrome.storage.local under their own
+ * keys; callers still see one settings object. Values from older versions are moved out on write.
+ */
+
+import { CONFIG } from './config.js';
+
+// Setting -> its own chrome.storage.local key
+const LOCAL_LISTS = {
+  promptProfiles: CONFIG.STORAGE.PROMPT_PROFILES,
+  rules: CONFIG.STORAGE.RULES
+};
+
+// Settings with defaults filled in
+export async function readSettings() {
+  return { ...CONFIG.DEFAULTS, ...(await readStoredSettings()) };
+}
+
+// Only what the user has saved (no defaults)
+export async function readStoredSettings() {
+  const [synced, local] = await Promise.all([
+    chrome.storage.sync.get(CONFIG.STORAGE.SETTINGS),
+    chrome.storage.local.get(Object.values(LOCAL_LISTS))
+  ]);
+
+  const stored = { ...(synced[CONFIG.STORAGE.SETTINGS] || {}) };
+  for (const [name, key] of Object.entries(LOCAL_LISTS)) {
+    if (local[key] !== undefined) stored[name] = local[key];
+  }
+  return stored;
+}
+
+/**
+ * Store the complete settings. Rejects with a message fit for a status line when a
+ * storage area refuses the write (quota, too many writes per minute).
+ */
+export async function writeSettings(settings) {
+  const synced = { ...settings };
+  const lists = {};
+  for (const [name, key] of Object.entries(LOCAL_LISTS)) {
+    if (name in synced) lists[key] = synced[name];
+    delete synced[name];
+  }
+
+  try {
+    if (Object.keys(lists).length) await chrome.storage.local.set(lists);
+    await chrome.storage.sync.set({ [CONFIG.STORAGE.SETTINGS]: synced });
+  } catch (error) {
+    throw new Error(storageErrorMessage(error));
+  }
+}
+
+// Change a few stored settings (change: stored -> changed fields)
+export async function patchSettings(change) {
+  const stored = await readStoredSettings();
+  await writeSettings({ ...stored, ...change(stored) });
+}
+
+// Settings saved by an older version still carry the lists in the sync item
+export async function migrateSettings() {
+  const data = await chrome.storage.sync.get(CONFIG.STORAGE.SETTINGS);
+  const synced = data[CONFIG.STORAGE.SETTINGS] || {};
+  if (!Object.keys(LOCAL_LISTS).some((name) => name in synced)) return;
+
+  const local = await chrome.storage.local.get(Object.values(LOCAL_LISTS));
+  const settings = { ...synced };
+  for (const [name, key] of Object.entries(LOCAL_LISTS)) {
+    if (local[key] !== undefined) settings[name] = local[key]; // Already moved: the local copy is newer
+  }
+  await writeSettings(settings);
+}
+
+function storageErrorMessage(error) {
+  const message = error?.message || String(error);
+
+  if (/QUOTA_BYTES_PER_ITEM/.test(message)) {
+    return 'Settings are too large to sync (8 KB limit). Shorten long lists such as sites or categories.';
+  }
+  if (/QUOTA_BYTES/.test(message)) return 'Browser sync storage is full.';
+  if (/MAX_WRITE_OPERATIONS/.test(message)) return 'Saved too often in a short time. Try again in a minute.';
+  return message;
+}
@@ -0,0 +1,259 @@
+/**
+ * Filename templates
+ * Turns a template like "{date:YYYYMMDD}_{host}_{caption:snake:4}_{seq}" into a base filename.
+ *
+ * Token syntax: {name} or {name:arg:arg}. Word tokens accept a case style
+ * (kebab, snake, camel, title) and/or a max word count, in any order.
+ */
+
+import { transliterate, avoidReservedName } from './filename.js';
+
+export const CASE_STYLES = ['kebab', 'snake', 'camel', 'title'];
+
+// Shown on the options page next to the template field
+export const TEMPLATE_TOKENS = {
+  '{caption}': 'AI caption / suggested name (e.g. {caption:snake:4})',
+  '{title}': 'PDF title, if the document has one',
+  '{host}': 'Source hostname without "www."',
+  '{original}': 'Original filename without extension',
+  '{date}': 'Download date (e.g. {date:YYYYMMDD}, default YYYY-MM-DD)',
+  '{year} {month} {day}': 'Parts of the download date',
+  '{category}': 'AI-picked category (when categories are enabled)',
+  '{mime}': 'MIME type (e.g. image-jpeg)',
+  '{seq}': 'Running counter (e.g. {seq:4} pads to 4 digits)',
+  '{docdate}': 'Date printed on the document (structured mode, e.g. {docdate:YYYYMMDD})',
+  '{org} {vendor}': 'Issuing company or institution (structured mode)',
+  '{doc_type}': 'Document type, e.g. Invoice (structured mode)',
+  '{ref}': 'Invoice / order / account number (structured mode)',
+  '{amount}': 'Total amount, e.g. 129.99-EUR (structured mode)',
+  '{person}': 'Addressee (structured mode)'
+};
+
+// Sample values used for the live preview on the options page
+export const SAMPLE_CONTEXT = {
+  caption: 'a white cat sitting on the wooden floor',
+  title: 'Quarterly Report Q1 2026',
+  host: 'www.example.com',
+  original: 'IMG_5482.jpg',
+  mime: 'image/jpeg',
+  category: 'photos',
+  seq: 42,
+  docDate: '2026-03-14',
+  org: 'Acme',
+  docType: 'Invoice',
+  ref: 'INV-4471',
+  amount: '129.99 EUR',
+  person: 'Jane Doe'
+};
+
+const TOKEN_RE = /\{(\w+)(?::([^{}]*))?\}/g;
+
+// Render a template into a base filename (no extension)
+export function renderTemplate(template, ctx, settings) {
+  let tpl = (template || '').trim() || '{caption}';
+
+  // Legacy "add date" checkbox still works when the template has no date of its own
+  if (settings.addDateSuffix && !/\{date\b/.test(tpl)) {
+    tpl += '-{date}';
+  }
+
+  let name = expandTemplate(tpl, ctx, settings);
+  if (settings.transliterate) name = transliterate(name);
+
+  return sanitizeBasename(name) || 'download';
+}
+
+// Substitute tokens only (no defaults, no sanitizing) - also used for folder templates
+export function expandTemplate(template, ctx, settings) {
+  return (template || '').replace(TOKEN_RE, (match, name, argString) => {
+    const args = argString ? argString.split(':').filter(Boolean) : [];
+    const value = renderToken(name.toLowerCase(), args, ctx, settings);
+    return value === null ? match : value;
+  });
+}
+
+// Does this template need a counter value?
+export function templateUsesCounter(template) {
+  return /\{seq\b/.test(template || '');
+}
+
+// Split free text into clean lowercase words (any script: "Größe", "請求書", "Москва")
+export function toWords(text, { cleanArticles = false } = {}) {
+  let clean = (text || '')
+    .normalize('NFKC')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{M}\p{N}\s_-]/gu, '') // Remove punctuation
+    .replace(/[-_]+/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+  if (cleanArticles) {
+    clean = clean.replace(/(?<![\p{L}\p{N}])(a|an|the)(?![\p{L}\p{N}])/gu, '').replace(/\s+/g, ' ').trim();
+  }
+
+  return clean.split(' ').filter((w) => w.length > 0);
+}
+
+export function applyCase(words, style) {
+  switch (style) {
+    case 'snake':
+      return words.join('_');
+    case 'camel':
+      return words.map((w, i) => (i === 0 ? w : capitalize(w))).join('');
+    case 'title':
+      return words.map(capitalize).join(' ');
+    case 'kebab':
+    default:
+      return words.join('-');
+  }
+}
+
+export function formatDate(date, format = 'YYYY-MM-DD') {
+  const pad = (n) => String(n).padStart(2, '0');
+  const parts = {
+    YYYY: String(date.getFullYear()),
+    YY: String(date.getFullYear()).slice(-2),
+    MM: pad(date.getMonth() + 1),
+    DD: pad(date.getDate()),
+    HH: pad(date.getHours()),
+    mm: pad(date.getMinutes()),
+    ss: pad(date.getSeconds())
+  };
+
+  return format.replace(/YYYY|YY|MM|DD|HH|mm|ss/g, (key) => parts[key]);
+}
+
+/* ------------------------------ tokens ------------------------------ */
+
+function renderToken(name, args, ctx, settings) {
+  switch (name) {
+    case 'caption':
+      return renderWords(ctx.caption, args, {
+        style: 'kebab',
+        maxWords: settings.maxWords || 5,
+        cleanArticles: settings.cleanCaptions
+      });
+
+    case 'title':
+      return renderWords(ctx.title, args, { style: 'kebab', maxWords: 8 });
+
+    case 'original': {
+      const base = stripExtension(ctx.original || '');
+      // Without arguments keep the original name as-is
+      if (!args.length) return base;
+      return renderWords(base, args, { style: 'kebab', maxWords: 0 });
+    }
+
+    case 'host': {
+      const host = ctx.host === 'unknown' ? '' : (ctx.host || '').replace(/^www\./, '');
+      if (!args.length) return host;
+      return renderWords(host.replace(/\./g, ' '), args, { style: 'kebab', maxWords: 0 });
+    }
+
+    case 'date':
+      return formatDate(ctx.date || new Date(), args.join(':') || 'YYYY-MM-DD');
+
+    case 'year':
+      return formatDate(ctx.date || new Date(), 'YYYY');
+
+    case 'month':
+      return formatDate(ctx.date || new Date(), 'MM');
+
+    case 'day':
+      return formatDate(ctx.date || new Date(), 'DD');
+
+    case 'category':
+      if (!args.length) return (ctx.category || '').trim();
+      return renderWords(ctx.category, args, { style: 'kebab', maxWords: 0 });
+
+    case 'mime':
+      return (ctx.mime || '').toLowerCase().replace(/\//g, '-');
+
+    case 'docdate': {
+      const date = parseIsoDate(ctx.docDate);
+      return date ? formatDate(date, args.join(':') || 'YYYY-MM-DD') : '';
+    }
+
+    // Document fields keep their own capitalization unless a case style is given
+    case 'org':
+    case 'vendor':
+      return renderField(ctx.org, args);
+
+    case 'doc_type':
+      return renderField(ctx.docType, args);
+
+    case 'person':
+      return renderField(ctx.person, args);
+
+    case 'ref':
+      return (ctx.ref || '').replace(/[\s/\\]+/g, '-');
+
+    case 'amount':
+      return (ctx.amount || '').replace(/\s+/g, '-');
+
+    case 'seq': {
+      const width = parseInt(args[0], 10) || 3;
+      return ctx.seq == null ? '' : String(ctx.seq).padStart(width, '0');
+    }
+
+    default:
+      return null; // Unknown token: leave it visible so the user notices
+  }
+}
+
+function renderWords(text, args, defaults) {
+  let style = defaults.style;
+  let maxWords = defaults.maxWords;
+
+  for (const arg of args) {
+    if (/^\d+$/.test(arg)) maxWords = parseInt(arg, 10);
+    else if (CASE_STYLES.includes(arg.toLowerCase())) style = arg.toLowerCase();
+  }
+
+  let words = toWords(text, { cleanArticles: defaults.cleanArticles });
+  if (maxWords > 0) words = words.slice(0, maxWords);
+
+  return applyCase(words, style);
+}
+
+function renderField(text, args) {
+  if (args.length) return renderWords(text, args, { style: 'kebab', maxWords: 0 });
+
+  return (text || '')
+    .replace(/[^\p{L}\p{N}\s&-]/gu, '')
+    .trim()
+    .split(/\s+/)
+    .filter(Boolean)
+    .join('-');
+}
+
+/* ------------------------------ utilities ------------------------------ */
+
+// Strip characters that aren't allowed in filenames
+export function sanitizeBasename(name) {
+  const clean = name
+    .normalize('NFC')
+    .replace(/[<>:"/\\|?*]/g, '') // Invalid on common filesystems
+    .replace(/[\p{Cc}\p{Cf}]/gu, '') // Control and invisible/bidi characters ("gnp.exe" tricks)
+    .replace(/\s+/g, ' ')
+    .replace(/([-_.])\1+/g, '$1') // Collapse separators left by empty tokens
+    .replace(/^[-_. ]+|[-_. ]+$/g, '')
+    .trim();
+
+  return avoidReservedName(clean);
+}
+
+function stripExtension(name) {
+  const base = name.split(/[\\/]/).pop() || name;
+  return base.replace(/\.[^.]+$/, '');
+}
+
+// "2026-03-14" -> local Date (null if missing/invalid)
+function parseIsoDate(value) {
+  const m = (value || '').match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  return m ? new Date(+m[1], +m[2] - 1, +m[3]) : null;
+}
+
+function capitalize(word) {
+  return word ? word[0].toUpperCase() + word.slice(1) : word;
+}
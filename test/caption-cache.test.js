@@ -0,0 +1,73 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { cachedReply, storeReply, cacheStats, clearCaptionCache } from '../extension/caption-cache.js';
+import { CONFIG } from '../extension/config.js';
+
+const settings = { cacheTtlDays: 30, cacheMaxEntries: 2 };
+const DAY = 24 * 60 * 60 * 1000;
+
+let items;
+let writes; // Keys written, in order
+
+// In-memory chrome.storage.local
+beforeEach(() => {
+  items = {};
+  writes = [];
+  globalThis.chrome = {
+    storage: {
+      local: {
+        get: async (key) => (key in items ? { [key]: structuredClone(items[key]) } : {}),
+        set: async (values) => {
+          writes.push(...Object.keys(values));
+          Object.assign(items, structuredClone(values));
+        }
+      }
+    }
+  };
+});
+
+test('a hit or a miss only writes the counts', async () => {
+  await storeReply('k1', 'red sneaker', settings);
+  writes.length = 0;
+
+  assert.equal(await cachedReply('k1', settings), 'red sneaker');
+  assert.equal(await cachedReply('k2', settings), null);
+
+  assert.deepEqual(writes, [CONFIG.STORAGE.CAPTION_CACHE_STATS, CONFIG.STORAGE.CAPTION_CACHE_STATS]);
+  assert.deepEqual(await cacheStats(), { entries: 1, hits: 1, misses: 1 });
+});
+
+test('an expired entry is deleted and counts as a miss', async () => {
+  items[CONFIG.STORAGE.CAPTION_CACHE] = { entries: { k1: { reply: 'old', time: Date.now() - 31 * DAY } } };
+
+  assert.equal(await cachedReply('k1', settings), null);
+  assert.deepEqual(writes, [CONFIG.STORAGE.CAPTION_CACHE, CONFIG.STORAGE.CAPTION_CACHE_STATS]);
+  assert.deepEqual(await cacheStats(), { entries: 0, hits: 0, misses: 1 });
+});
+
+test('the oldest entries are dropped beyond the size limit', async () => {
+  items[CONFIG.STORAGE.CAPTION_CACHE] = { entries: { k1: { reply: 'a', time: Date.now() - 2 * DAY } } };
+  await storeReply('k2', 'b', settings);
+  await storeReply('k3', 'c', settings);
+
+  assert.equal(await cachedReply('k1', settings), null);
+  assert.equal(await cachedReply('k3', settings), 'c');
+  assert.equal((await cacheStats()).entries, 2);
+});
+
+test('counts stored with the entries by older versions are kept', async () => {
+  items[CONFIG.STORAGE.CAPTION_CACHE] = { entries: {}, hits: 4, misses: 2 };
+
+  assert.deepEqual(await cacheStats(), { entries: 0, hits: 4, misses: 2 });
+  await cachedReply('k1', settings);
+  assert.deepEqual(await cacheStats(), { entries: 0, hits: 4, misses: 3 });
+});
+
+test('clearCaptionCache drops entries and counts', async () => {
+  await storeReply('k1', 'a', settings);
+  await cachedReply('k1', settings);
+  await clearCaptionCache();
+
+  assert.deepEqual(await cacheStats(), { entries: 0, hits: 0, misses: 0 });
+});
@@ -0,0 +1,65 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+
+import { extractDocumentText } from '../extension/doc-extract.js';
+import { zipArchive } from './fixtures/zip-builder.js';
+
+function fixture(name) {
+  const data = readFileSync(new URL(`./fixtures/${name}`, import.meta.url));
+  return data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength);
+}
+
+test('docx: core title and paragraphs, runs joined, tabs as spaces', async () => {
+  const result = await extractDocumentText(fixture('letter.docx'), 'docx');
+
+  assert.equal(result.kind, 'word');
+  assert.equal(result.title, 'Tenancy Agreement');
+  assert.deepEqual(result.lines, ['Tenancy Agreement', 'Flat 2, 12 Mill Lane & Co', 'Start date: 1 April 2026']);
+  assert.equal(result.excerpt, 'Tenancy Agreement Flat 2, 12 Mill Lane & Co Start date: 1 April 2026');
+});
+
+test('odt: meta title, headings and paragraphs', async () => {
+  const result = await extractDocumentText(fixture('notes.odt'), 'odt');
+
+  assert.equal(result.title, 'Meeting Notes');
+  assert.deepEqual(result.lines, ['Board meeting', 'Budget approved']);
+});
+
+test('maxChars limits the excerpt', async () => {
+  const text = Array.from({ length: 40 }, (_, i) => `Line number ${i + 1}`).join('\n');
+  const result = await extractDocumentText(new TextEncoder().encode(text).buffer, 'txt', { maxChars: 200 });
+
+  assert.equal(result.excerpt.length, 200);
+});
+
+test('truncated archive: rejects (no end of central directory)', async () => {
+  const data = fixture('letter.docx');
+
+  await assert.rejects(extractDocumentText(data.slice(0, data.byteLength - 40), 'docx'), /Not a valid ZIP-based document/);
+  await assert.rejects(extractDocumentText(data.slice(0, 100), 'docx'), /Not a valid ZIP-based document/);
+});
+
+test('not a ZIP at all: rejects', async () => {
+  const html = new TextEncoder().encode('<!doctype html><title>Sign in</title>').buffer;
+  await assert.rejects(extractDocumentText(html, 'docx'), /Not a valid ZIP-based document/);
+});
+
+test('corrupt entry data: that part reads as empty, the rest still counts', async () => {
+  const archive = zipArchive({
+    'docProps/core.xml': '<cp:coreProperties><dc:title>Still Named</dc:title></cp:coreProperties>',
+    'word/document.xml': '<w:document><w:body><w:p><w:r><w:t>Lost</w:t></w:r></w:p></w:body></w:document>'
+  }, { store: ['docProps/core.xml'] });
+
+  // Overwrite the deflated document.xml with bytes that don't inflate
+  const start = archive.indexOf('word/document.xml') + 'word/document.xml'.length;
+  archive.fill(0xff, start, start + 8);
+
+  const result = await extractDocumentText(archive.buffer.slice(archive.byteOffset, archive.byteOffset + archive.byteLength), 'docx');
+  assert.equal(result.title, 'Still Named');
+  assert.deepEqual(result.lines, []);
+});
+
+test('unsupported extension: rejects', async () => {
+  await assert.rejects(extractDocumentText(new ArrayBuffer(0), 'rtf'), /Unsupported document type: \.rtf/);
+});
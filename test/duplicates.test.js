@@ -0,0 +1,93 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { fingerprint, findDuplicate, hammingDistance, rememberFile } from '../extension/duplicates.js';
+
+// In-memory chrome.storage.local
+beforeEach(() => {
+  const items = {};
+  globalThis.chrome = {
+    storage: {
+      local: {
+        get: async (key) => (key in items ? { [key]: structuredClone(items[key]) } : {}),
+        set: async (values) => Object.assign(items, structuredClone(values)),
+        remove: async (key) => delete items[key]
+      }
+    }
+  };
+});
+
+test('hammingDistance', () => {
+  const cases = [
+    ['0000000000000000', '0000000000000000', 0],
+    ['ffffffffffffffff', 'ffffffffffffffff', 0],
+    ['0000000000000000', '0000000000000001', 1],
+    ['0000000000000000', '8000000000000000', 1],
+    ['00000000000000ff', '0000000000000000', 8],
+    ['0f0f0f0f0f0f0f0f', 'f0f0f0f0f0f0f0f0', 64],
+    ['a5a5a5a5a5a5a5a5', 'a5a5a5a5a5a5a5a4', 1],
+    ['00', '0000', Infinity] // Different lengths never match
+  ];
+
+  for (const [a, b, expected] of cases) {
+    assert.equal(hammingDistance(a, b), expected, `${a} vs ${b}`);
+  }
+});
+
+const earlier = {
+  sha256: 'a'.repeat(64),
+  phash: '8f3c5a1e0b7d6c24',
+  fileType: 'image',
+  basename: 'red-sneaker',
+  renamed: 'red-sneaker.jpg',
+  folder: 'Shop',
+  historyId: 7
+};
+
+test('findDuplicate: same bytes are an exact match', async () => {
+  await rememberFile(earlier);
+
+  const match = await findDuplicate({ sha256: earlier.sha256, phash: 'ffffffffffffffff' }, 'image');
+  assert.equal(match.exact, true);
+  assert.equal(match.entry.renamed, 'red-sneaker.jpg');
+});
+
+test('findDuplicate: a close picture is only similar', async () => {
+  await rememberFile(earlier);
+
+  const cases = [
+    ['8f3c5a1e0b7d6c24', true], // Same hash, other bytes (re-encoded, recoloured)
+    ['8f3c5a1e0b7d6c25', true], // 1 bit
+    ['8f3c5a1e0b7d6c3b', true], // 5 bits
+    ['8f3c5a1e0b7d6c1b', false], // 6 bits: a different picture
+    ['70c3a5e1f48293db', false]
+  ];
+
+  for (const [phash, similar] of cases) {
+    const match = await findDuplicate({ sha256: 'b'.repeat(64), phash }, 'image');
+    if (similar) {
+      assert.deepEqual({ exact: match?.exact, id: match?.entry.historyId }, { exact: false, id: 7 }, phash);
+    } else {
+      assert.equal(match, null, phash);
+    }
+  }
+});
+
+test('findDuplicate: other file types and missing hashes never match', async () => {
+  await rememberFile(earlier);
+  await rememberFile({ ...earlier, sha256: 'c'.repeat(64), phash: '', fileType: 'pdf', historyId: 8 });
+
+  assert.equal(await findDuplicate({ sha256: earlier.sha256, phash: '' }, 'pdf'), null);
+  assert.equal(await findDuplicate({ sha256: 'd'.repeat(64), phash: '' }, 'image'), null);
+  assert.equal((await findDuplicate({ sha256: 'c'.repeat(64), phash: '' }, 'pdf')).exact, true);
+});
+
+test('fingerprint: SHA-256 over all parts', async () => {
+  const bytes = new TextEncoder().encode('%PDF-1.4 hello');
+  const whole = await fingerprint(bytes.buffer);
+  const parts = await fingerprint([bytes.slice(0, 5).buffer, bytes.slice(5).buffer]);
+
+  assert.equal(whole.sha256, parts.sha256);
+  assert.equal(whole.sha256.length, 64);
+  assert.equal(whole.phash, '');
+});
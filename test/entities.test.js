@@ -0,0 +1,61 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { localEntities, mergeEntities } from '../extension/entities.js';
+
+const IBAN = 'DE89 3704 0044 0532 0130 00';
+
+test('localEntities: amount keeps its currency', () => {
+  const cases = [
+    ['Total: EUR 1,234.50', '1234.50 EUR'],
+    ['Total EUR1234', '1234 EUR'],
+    ['Amount due: USD 99.00', '99.00 USD'],
+    ['Grand total CHF 1\'250.00', '1250.00 CHF'],
+    ['Total: 1.234,56 €', '1234.56 EUR'],
+    ['Gesamtbetrag 1.234,56 EUR', '1234.56 EUR'],
+    ['Amount due $99.00', '99.00 USD'],
+    ['Total £12.50', '12.50 GBP'],
+    ['Total for Europe: 12.00', '12.00'],
+    ['Total: 12.00', '12.00'],
+    ['No amounts here', '']
+  ];
+
+  for (const [text, expected] of cases) {
+    assert.equal(localEntities(text).amount, expected, text);
+  }
+});
+
+test('localEntities: an IBAN is never the reference of other documents', () => {
+  const cases = [
+    `Invoice\nPlease pay to IBAN ${IBAN}\nTotal 10.00`,
+    `Receipt\nPaid from IBAN ${IBAN}`,
+    `Payslip March\nPaid to ${IBAN}`,
+    `Some letter\n${IBAN}`
+  ];
+
+  for (const text of cases) {
+    assert.equal(localEntities(text).reference, '', text);
+  }
+});
+
+test('localEntities: statements get the masked IBAN', () => {
+  const cases = [
+    [`Bank Statement\nAccount ${IBAN}`, 'DExx3000'],
+    ['Kontoauszug\nGB82WEST12345698765432', 'GBxx5432'],
+    ['Statement\nDE89 3704 0044 0532 0130 01', ''], // Checksum fails
+    [`Statement\nReference: ST-2026-03\n${IBAN}`, 'ST-2026-03'] // A printed reference wins
+  ];
+
+  for (const [text, expected] of cases) {
+    assert.equal(localEntities(text).reference, expected, text);
+  }
+});
+
+test('mergeEntities: IBANs from the model are masked too', () => {
+  const text = `Statement\nAccount ${IBAN}`;
+  const merged = mergeEntities({ reference: IBAN, organization: 'Northwind' }, localEntities(text), text);
+
+  assert.equal(merged.reference, 'DExx3000');
+  assert.equal(merged.organization, 'Northwind');
+  assert.equal(mergeEntities({ reference: 'INV-4471' }, localEntities('Invoice INV-4471'), 'Invoice INV-4471').reference, 'INV-4471');
+});
@@ -0,0 +1,126 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { avoidReservedName, fitFilename, transliterate } from '../extension/filename.js';
+import { sanitizePathSegment } from '../extension/routing.js';
+
+const utf8Length = (text) => Buffer.byteLength(text, 'utf8');
+
+test('transliterate', () => {
+  const cases = [
+    ['Café Müller', 'Cafe Muller'],
+    ['Größe', 'Grosse'],
+    ['Ærø Łódź', 'AEro Lodz'],
+    ['Москва', 'Moskva'],
+    ['Щука Жёлтая', 'Shchuka Zheltaya'],
+    ['Львів', 'Lviv'],
+    ['Αθήνα', 'Athina'],
+    ['請求書 2026', '請求書 2026'], // No simple mapping: kept
+    ['plain-ascii_name', 'plain-ascii_name'],
+    ['', ''],
+    [null, '']
+  ];
+
+  for (const [input, expected] of cases) {
+    assert.equal(transliterate(input), expected, `transliterate(${JSON.stringify(input)})`);
+  }
+});
+
+test('avoidReservedName', () => {
+  const cases = [
+    ['CON', 'CON_'],
+    ['nul', 'nul_'],
+    ['NUL.txt', 'NUL_.txt'],
+    ['COM1', 'COM1_'],
+    ['com1.report.pdf', 'com1_.report.pdf'],
+    ['LPT9', 'LPT9_'],
+    ['COM¹', 'COM¹_'],
+    ['CONIN$', 'CONIN$_'],
+    ['CON ', 'CON_ '],
+    ['nul .txt', 'nul_ .txt'],
+    ['console', 'console'],
+    ['COM10', 'COM10'],
+    ['icon', 'icon'],
+    ['', '']
+  ];
+
+  for (const [input, expected] of cases) {
+    assert.equal(avoidReservedName(input), expected, `avoidReservedName(${JSON.stringify(input)})`);
+  }
+});
+
+test('sanitizePathSegment', () => {
+  const cases = [
+    ['Invoices', 'Invoices'],
+    ['a<b>c:d"e|f?g*h', 'abcdefgh'],
+    ['back\\slash/forward', 'backslashforward'],
+    ['  many   spaces  ', 'many spaces'],
+    ['trailing dots...', 'trailing dots'],
+    ['..', ''],
+    ['.hidden', 'hidden'],
+    ['CON', 'CON_'],
+    ['con.', 'con_'],
+    ['NUL . ', 'NUL_'],
+    ['COM1 ', 'COM1_'],
+    ['bidi‮txt.exe', 'biditxt.exe'],
+    ['x'.repeat(80), 'x'.repeat(60)],
+    ['😀'.repeat(61), '😀'.repeat(60)], // Code points, never half a surrogate pair
+    ['', '']
+  ];
+
+  for (const [input, expected] of cases) {
+    assert.equal(sanitizePathSegment(input), expected, `sanitizePathSegment(${JSON.stringify(input)})`);
+  }
+});
+
+test('fitFilename: short names unchanged, extension and tail kept', () => {
+  const cases = [
+    [['invoice-acme', 'pdf'], 'invoice-acme.pdf'],
+    [['invoice-acme', ''], 'invoice-acme'],
+    [['photo', 'jpg', 'Pictures', '-03'], 'photo-03.jpg'],
+    [['name-', 'png'], 'name.png'],
+    [['CON', 'txt'], 'CON_.txt'],
+    [['', 'pdf'], 'download.pdf'],
+    [['...', 'pdf'], 'download.pdf']
+  ];
+
+  for (const [args, expected] of cases) {
+    assert.equal(fitFilename(...args), expected, `fitFilename(${JSON.stringify(args)})`);
+  }
+});
+
+test('fitFilename: byte and path limits', () => {
+  const cases = [
+    // [basename, ext, folder, tail], expected length in characters and UTF-8 bytes
+    [['a'.repeat(300), 'pdf'], { chars: 200, bytes: 200 }],
+    [['word '.repeat(60), 'jpeg'], { chars: 199, bytes: 199 }], // Cut after a whole word
+    [['ü'.repeat(150), 'pdf'], { chars: 102, bytes: 200 }], // 2 bytes each
+    [['日本語'.repeat(60), 'pdf'], { chars: 69, bytes: 199 }], // 3 bytes each
+    [['👍🏽'.repeat(40), 'png', '', '-12'], { chars: 103, bytes: 199 }], // 8 bytes per emoji
+    [['report-'.repeat(40), 'docx', 'Documents/Work/Clients/'.repeat(4)], { chars: 102, bytes: 102 }], // Path limit
+    [['x'.repeat(50), 'pdf', 'f'.repeat(195)], { chars: 20, bytes: 20 }] // Never shorter than 16 characters
+  ];
+
+  for (const [[basename, ext, folder = '', tail = ''], expected] of cases) {
+    const name = fitFilename(basename, ext, folder, tail);
+    const label = `fitFilename(${JSON.stringify(basename.slice(0, 12))}…, ${ext}, folder ${folder.length})`;
+
+    assert.deepEqual({ chars: name.length, bytes: utf8Length(name) }, expected, label);
+    assert.ok(name.endsWith(`${tail}.${ext}`), `${label}: lost "${tail}.${ext}"`);
+    assert.ok(basename.startsWith(name.slice(0, -`${tail}.${ext}`.length)), `${label}: not a prefix`);
+    assert.doesNotMatch(name, /[-_. ]\./, `${label}: trailing separator`);
+  }
+});
+
+test('fitFilename: cuts at a word boundary near the limit', () => {
+  const name = fitFilename('quarterly-financial-report-'.repeat(10), 'pdf');
+  assert.ok(name.endsWith('-quarterly-financial-report.pdf'), name);
+  assert.ok(name.length <= 200);
+});
+
+test('fitFilename: grapheme clusters are never split', () => {
+  const name = fitFilename('👍🏽'.repeat(40), 'png');
+  const base = name.slice(0, -'.png'.length);
+  assert.equal(base.length % '👍🏽'.length, 0);
+  assert.equal(utf8Length(base) % 8, 0);
+});
@@ -0,0 +1,115 @@
+/**
+ * Writes the fixture files used by pdf-extract.test.js and doc-extract.test.js:
+ * node test/fixtures/build-fixtures.js
+ */
+
+import { writeFileSync } from 'node:fs';
+import { dirname, join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { HELVETICA, classicPdf, pagesWithText, stream, textContent, xrefStreamPdf } from './pdf-builder.js';
+import { zipArchive } from './zip-builder.js';
+
+const here = dirname(fileURLToPath(import.meta.url));
+
+export const FIXTURES = {
+  // Four pages, xref table, uncompressed content
+  'classic.pdf': () => {
+    const pages = [
+      ['Invoice INV-4471', 'Acme Supplies Ltd'],
+      ['Page two terms'],
+      ['Page three appendix'],
+      ['Page four notes']
+    ];
+    return classicPdf([...pagesWithText(pages, { fontNum: 11 }), HELVETICA], '/Root 1 0 R');
+  },
+
+  // PDF 1.5: dictionaries packed in an object stream, xref stream, Flate content
+  'xref-stream.pdf': () => {
+    const pages = [['Statement March 2026', 'Northwind Bank'], ['Second page totals']];
+    const objects = [...pagesWithText(pages, { fontNum: 7, compress: true }), HELVETICA];
+    return xrefStreamPdf(objects, [1, 2, 3, 5, 7], '/Root 1 0 R');
+  },
+
+  // Type0 / Identity-H font: two-byte glyph ids mapped through a ToUnicode CMap
+  'type0.pdf': () => {
+    const text = 'Größe 日本語';
+    const chars = [...new Set(text)];
+    const gid = (char) => (chars.indexOf(char) + 1).toString(16).padStart(4, '0').toUpperCase();
+    const utf16 = (char) => Buffer.from(char, 'utf16le').swap16().toString('hex').toUpperCase();
+
+    const cmap = [
+      '/CIDInit /ProcSet findresource begin 12 dict begin begincmap',
+      '/CMapName /Adobe-Identity-UCS def /CMapType 2 def',
+      '1 begincodespacerange <0000> <FFFF> endcodespacerange',
+      `${chars.length} beginbfchar`,
+      ...chars.map((char) => `<${gid(char)}> <${utf16(char)}>`),
+      'endbfchar endcmap CMapName currentdict /CMap defineresource pop end end'
+    ].join('\n');
+
+    const hex = `<${[...text].map(gid).join('')}>`;
+    return classicPdf([
+      '<< /Type /Catalog /Pages 2 0 R >>',
+      '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+      '<< /Type /Page /Parent 2 0 R /MediaBox [0 0 612 792] /Resources << /Font << /F1 5 0 R >> >> /Contents 4 0 R >>',
+      stream('', textContent([hex])),
+      '<< /Type /Font /Subtype /Type0 /BaseFont /NotoSans /Encoding /Identity-H /DescendantFonts [6 0 R] /ToUnicode 7 0 R >>',
+      '<< /Type /Font /Subtype /CIDFontType2 /BaseFont /NotoSans /CIDSystemInfo << /Registry (Adobe) /Ordering (Identity) /Supplement 0 >> /CIDToGIDMap /Identity >>',
+      stream('', cmap)
+    ], '/Root 1 0 R');
+  },
+
+  // /Encrypt in the trailer: content is unreadable, the XMP metadata is not encrypted
+  'encrypted.pdf': () => {
+    const xmp = [
+      '<?xpacket begin="" id="W5M0MpCehiHzreSzNTczkc9d"?>',
+      '<x:xmpmeta xmlns:x="adobe:ns:meta/"><rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">',
+      '<rdf:Description rdf:about="" xmlns:dc="http://purl.org/dc/elements/1.1/">',
+      '<dc:title><rdf:Alt><rdf:li xml:lang="x-default">Encrypted Quarterly Report</rdf:li></rdf:Alt></dc:title>',
+      '</rdf:Description></rdf:RDF></x:xmpmeta>',
+      '<?xpacket end="w"?>'
+    ].join('\n');
+
+    return classicPdf([
+      '<< /Type /Catalog /Pages 2 0 R /Metadata 6 0 R >>',
+      '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+      '<< /Type /Page /Parent 2 0 R /MediaBox [0 0 612 792] /Resources << /Font << /F1 5 0 R >> >> /Contents 4 0 R >>',
+      stream('', Buffer.from('9f3a1c77e2b04d5a8c6e1f2093b7d4a6', 'hex')),
+      HELVETICA,
+      stream('/Type /Metadata /Subtype /XML', xmp),
+      '<< /Filter /Standard /V 2 /R 3 /Length 128 /P -1340 /O <28BF4E5E4E758A4164004E56FFFA01082E2E00B6D0683E802F0CA9FE6453697A> /U <C3F2A6F1E1C5D7B8A9E0F4D3C2B1A09F00000000000000000000000000000000> >>'
+    ], '/Root 1 0 R /Encrypt 7 0 R /ID [<9A1B2C3D4E5F60718293A4B5C6D7E8F9> <9A1B2C3D4E5F60718293A4B5C6D7E8F9>]');
+  },
+
+  // Word document: core.xml title, paragraphs of several runs, a tab; [Content_Types].xml stored
+  'letter.docx': () => zipArchive({
+    '[Content_Types].xml': '<?xml version="1.0"?><Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types"/>',
+    'docProps/core.xml': '<cp:coreProperties xmlns:dc="http://purl.org/dc/elements/1.1/"><dc:title>Tenancy Agreement</dc:title></cp:coreProperties>',
+    'word/document.xml': [
+      '<w:document xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main"><w:body>',
+      '<w:p><w:r><w:t>Tenancy </w:t></w:r><w:r><w:t xml:space="preserve">Agreement</w:t></w:r></w:p>',
+      '<w:p><w:r><w:t>Flat 2,</w:t><w:tab/><w:t>12 Mill Lane &amp; Co</w:t></w:r></w:p>',
+      '<w:p/>',
+      '<w:p><w:r><w:t>Start date: 1 April 2026</w:t></w:r></w:p>',
+      '</w:body></w:document>'
+    ].join('')
+  }, { store: ['[Content_Types].xml'] }),
+
+  // OpenDocument text: meta.xml title, heading, paragraph with <text:s/>
+  'notes.odt': () => zipArchive({
+    mimetype: 'application/vnd.oasis.opendocument.text',
+    'meta.xml': '<office:document-meta xmlns:dc="http://purl.org/dc/elements/1.1/"><office:meta><dc:title>Meeting Notes</dc:title></office:meta></office:document-meta>',
+    'content.xml': [
+      '<office:document-content><office:body><office:text>',
+      '<text:h text:outline-level="1">Board meeting</text:h>',
+      '<text:p text:style-name="P1">Budget<text:s/>approved</text:p>',
+      '</office:text></office:body></office:document-content>'
+    ].join('')
+  }, { store: ['mimetype'] })
+};
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  for (const [name, build] of Object.entries(FIXTURES)) {
+    writeFileSync(join(here, name), build());
+    console.log(`wrote ${name}`);
+  }
+}
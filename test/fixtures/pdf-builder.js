@@ -0,0 +1,138 @@
+/**
+ * Small PDF writer for the test fixtures (see build-fixtures.js): classic xref tables,
+ * xref streams with object streams, Type0 fonts with ToUnicode CMaps, an /Encrypt trailer
+ * and large files with padding between the first pages and the xref.
+ */
+
+import { deflateSync } from 'node:zlib';
+
+// One object body: dictionary text, optionally with stream data (string or bytes)
+export function stream(dict, data, { compress = false } = {}) {
+  const raw = Buffer.isBuffer(data) ? data : Buffer.from(data, 'latin1');
+  const body = compress ? deflateSync(raw) : raw;
+  const filter = compress ? ' /Filter /FlateDecode' : '';
+  return Buffer.concat([
+    Buffer.from(`<< ${dict}${filter} /Length ${body.length} >>\nstream\n`, 'latin1'),
+    body,
+    Buffer.from('\nendstream', 'latin1')
+  ]);
+}
+
+// Classic file: objects (1-based, in order) + "xref" table + trailer. padding = [{ after, bytes }]
+// writes a comment of that many bytes after object `after` (large files without large objects).
+export function classicPdf(objects, trailer, { padding = [] } = {}) {
+  const parts = [Buffer.from('%PDF-1.4\n%\xe2\xe3\xcf\xd3\n', 'latin1')];
+  const offsets = [];
+  let length = parts[0].length;
+
+  objects.forEach((body, i) => {
+    const chunk = Buffer.concat([
+      Buffer.from(`${i + 1} 0 obj\n`, 'latin1'),
+      Buffer.isBuffer(body) ? body : Buffer.from(body, 'latin1'),
+      Buffer.from('\nendobj\n', 'latin1')
+    ]);
+    offsets.push(length);
+    parts.push(chunk);
+    length += chunk.length;
+
+    for (const { bytes } of padding.filter((pad) => pad.after === i + 1)) {
+      const comment = Buffer.alloc(bytes, ' ');
+      comment[0] = 0x25; // %
+      comment[bytes - 1] = 0x0a;
+      parts.push(comment);
+      length += comment.length;
+    }
+  });
+
+  const xref = [
+    'xref',
+    `0 ${objects.length + 1}`,
+    '0000000000 65535 f ',
+    ...offsets.map((offset) => `${String(offset).padStart(10, '0')} 00000 n `),
+    'trailer',
+    `<< /Size ${objects.length + 1} ${trailer} >>`,
+    'startxref',
+    String(length),
+    '%%EOF\n'
+  ].join('\n');
+  parts.push(Buffer.from(xref, 'latin1'));
+
+  return Buffer.concat(parts);
+}
+
+// PDF 1.5 file: objects listed in `packed` go into one compressed object stream, the rest are
+// written directly; the cross-reference data is a compressed xref stream
+export function xrefStreamPdf(objects, packed, trailer) {
+  const parts = [Buffer.from('%PDF-1.5\n%\xe2\xe3\xcf\xd3\n', 'latin1')];
+  const entries = new Map(); // num -> [type, field2, field3]
+  let length = parts[0].length;
+
+  const write = (num, body) => {
+    const chunk = Buffer.concat([
+      Buffer.from(`${num} 0 obj\n`, 'latin1'),
+      Buffer.isBuffer(body) ? body : Buffer.from(body, 'latin1'),
+      Buffer.from('\nendobj\n', 'latin1')
+    ]);
+    entries.set(num, [1, length, 0]);
+    parts.push(chunk);
+    length += chunk.length;
+  };
+
+  objects.forEach((body, i) => {
+    if (!packed.includes(i + 1)) write(i + 1, body);
+  });
+
+  // Object stream: "num offset" pairs, then the bodies
+  const objStmNum = objects.length + 1;
+  let header = '';
+  let bodies = '';
+  packed.forEach((num, index) => {
+    header += `${num} ${bodies.length} `;
+    bodies += `${objects[num - 1]}\n`;
+    entries.set(num, [2, objStmNum, index]);
+  });
+  write(objStmNum, stream(`/Type /ObjStm /N ${packed.length} /First ${header.length}`, header + bodies, { compress: true }));
+
+  // Xref stream, W [1 4 2]
+  const xrefNum = objStmNum + 1;
+  entries.set(xrefNum, [1, length, 0]);
+  const size = xrefNum + 1;
+  const rows = Buffer.alloc(size * 7);
+  for (let num = 0; num < size; num++) {
+    const [type, a, b] = entries.get(num) || [0, 0, 65535];
+    rows.writeUInt8(type, num * 7);
+    rows.writeUInt32BE(a, num * 7 + 1);
+    rows.writeUInt16BE(b, num * 7 + 5);
+  }
+  const xrefOffset = length;
+  write(xrefNum, stream(`/Type /XRef /Size ${size} /W [1 4 2] ${trailer}`, rows, { compress: true }));
+  parts.push(Buffer.from(`startxref\n${xrefOffset}\n%%EOF\n`, 'latin1'));
+
+  return Buffer.concat(parts);
+}
+
+// Page tree objects for content streams at objects 3.. (catalog 1, pages 2, font last)
+export function pagesWithText(pageTexts, { fontNum, compress = false } = {}) {
+  const pageNums = pageTexts.map((_, i) => 3 + i * 2);
+  const objects = [
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    `<< /Type /Pages /Kids [${pageNums.map((n) => `${n} 0 R`).join(' ')}] /Count ${pageTexts.length} >>`
+  ];
+
+  for (const [i, lines] of pageTexts.entries()) {
+    objects.push(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 612 792] /Resources << /Font << /F1 ${fontNum} 0 R >> >> /Contents ${pageNums[i] + 1} 0 R >>`);
+    objects.push(stream('', textContent(lines), { compress }));
+  }
+  return objects;
+}
+
+// Content stream drawing one line per entry; entries are literal strings or <hex> strings
+export function textContent(lines) {
+  const shown = lines.map((line, i) => {
+    const string = line.startsWith('<') ? line : `(${line.replace(/[\\()]/g, '\\$&')})`;
+    return `${i === 0 ? '72 720 Td' : '0 -16 Td'} ${string} Tj`;
+  });
+  return `BT /F1 12 Tf ${shown.join(' ')} ET`;
+}
+
+export const HELVETICA = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>';
@@ -0,0 +1,40 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { detectReference, pdfNameFromSignals } from '../extension/heuristics.js';
+
+test('detectReference', () => {
+  const cases = [
+    ['Invoice No: INV-4471', 'INV-4471'],
+    ['INVOICE\nInvoice No: INV-4471', 'INV-4471'],
+    ['Your order has shipped. Order number: 112-4471', '112-4471'],
+    ['Rechnung Nr. 2026/0042/', '2026/0042'],
+    ['Receipt #A12345', 'A12345'],
+    ['Thank you for your order. Reference: 7F3K-22', '7F3K-22'],
+    ['Invoice for consulting services', ''],
+    ['Order summary', ''],
+    ['', ''],
+    [null, '']
+  ];
+
+  for (const [text, expected] of cases) {
+    assert.equal(detectReference(text), expected, JSON.stringify(text));
+  }
+});
+
+test('pdfNameFromSignals: the reference is not repeated when the heading has it', () => {
+  const cases = [
+    [{ title: 'Invoice INV-4471', excerpt: 'Date: 2026-03-14' }, 'Invoice INV-4471 20260314'],
+    [{ lines: ['INVOICE', 'Invoice No: INV-4471', 'Date: 14.03.2026'] }, 'Invoice No: INV-4471 20260314'],
+    [{ title: 'Acme invoice (INV-4471)' }, 'Acme invoice (INV-4471)'], // Punctuation around it ignored
+    [{ title: 'Order 112-4471, shipped' }, 'Order 112-4471, shipped'],
+    [{ title: 'Acme Supplies Invoice', excerpt: 'Invoice No: INV-4471' }, 'Acme Supplies Invoice INV-4471'],
+    [{ title: 'Project A4471-2 summary', excerpt: 'Ref: A4471' }, 'Project A4471-2 summary A4471'], // Only whole words count
+    [{ title: 'Acme Supplies Ltd Invoice INV-4471', excerpt: '2026-03-14', maxWords: 5 }, 'Acme Supplies INV-4471 20260314'], // Cut from the heading: kept as an extra
+    [{ excerpt: 'Your order has shipped. Order number: 112-4471' }, 'Your order has 112-4471']
+  ];
+
+  for (const [signals, expected] of cases) {
+    assert.equal(pdfNameFromSignals(signals), expected, JSON.stringify(signals));
+  }
+});
@@ -0,0 +1,77 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+
+import { CONFIG } from '../extension/config.js';
+import { extractPdfPreviewText } from '../extension/pdf-extract.js';
+import { HELVETICA, classicPdf, pagesWithText } from './fixtures/pdf-builder.js';
+
+// Same as PDF_TAIL_BYTES in background.js
+const TAIL_BYTES = 256 * 1024;
+
+function fixture(name) {
+  const data = readFileSync(new URL(`./fixtures/${name}`, import.meta.url));
+  return data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength);
+}
+
+test('classic xref table: text of the first pages, in order', async () => {
+  const result = await extractPdfPreviewText(fixture('classic.pdf'), { maxPages: 3 });
+
+  assert.deepEqual(result.lines, ['Invoice INV-4471', 'Acme Supplies Ltd', 'Page two terms', 'Page three appendix']);
+  assert.match(result.excerpt, /^Invoice INV-4471\s+Acme Supplies Ltd\s+Page two terms\s+Page three appendix$/);
+});
+
+test('classic xref table: maxPages and maxChars limit the excerpt', async () => {
+  const twoPages = await extractPdfPreviewText(fixture('classic.pdf'), { maxPages: 2 });
+  assert.ok(twoPages.excerpt.includes('Page two terms'));
+  assert.ok(!twoPages.excerpt.includes('Page three'));
+
+  const onePage = await extractPdfPreviewText(fixture('classic.pdf'), { maxPages: 0 }); // clamped to 1
+  assert.deepEqual(onePage.lines, ['Invoice INV-4471', 'Acme Supplies Ltd']);
+
+  const short = await extractPdfPreviewText(fixture('classic.pdf'), { maxPages: 20, maxChars: 10 }); // clamped to 200
+  assert.ok(short.excerpt.length <= 200);
+  assert.ok(short.excerpt.includes('Page four notes'));
+});
+
+test('xref stream with object stream and Flate content', async () => {
+  const result = await extractPdfPreviewText(fixture('xref-stream.pdf'));
+  assert.deepEqual(result.lines, ['Statement March 2026', 'Northwind Bank', 'Second page totals']);
+
+  const onePage = await extractPdfPreviewText(fixture('xref-stream.pdf'), { maxPages: 1 });
+  assert.ok(!onePage.excerpt.includes('Second page'));
+});
+
+test('Type0 font: two-byte codes mapped through the ToUnicode CMap', async () => {
+  const result = await extractPdfPreviewText(fixture('type0.pdf'));
+  assert.deepEqual(result.lines, ['Größe 日本語']);
+  assert.equal(result.excerpt, 'Größe 日本語');
+});
+
+test('encrypted file: XMP title only, no excerpt', async () => {
+  const result = await extractPdfPreviewText(fixture('encrypted.pdf'));
+  assert.equal(result.title, 'Encrypted Quarterly Report');
+  assert.equal(result.excerpt, '');
+  assert.deepEqual(result.lines, []);
+});
+
+test('large file read as head (pdfMaxBytes) + tail: pages in the head, nothing from the gap', async () => {
+  const pages = [['Contract 2026-118'], ['Schedule of payments'], ['Signature page']];
+  const file = classicPdf([...pagesWithText(pages, { fontNum: 9 }), HELVETICA], '/Root 1 0 R', {
+    // Page 3 lands between the head and the tail
+    padding: [{ after: 6, bytes: CONFIG.DEFAULTS.pdfMaxBytes }, { after: 8, bytes: TAIL_BYTES + 1024 }]
+  });
+  assert.ok(file.length > CONFIG.DEFAULTS.pdfMaxBytes + TAIL_BYTES);
+
+  const head = file.subarray(0, CONFIG.DEFAULTS.pdfMaxBytes);
+  const tail = file.subarray(file.length - TAIL_BYTES);
+  const toBuffer = (part) => part.buffer.slice(part.byteOffset, part.byteOffset + part.byteLength);
+
+  const result = await extractPdfPreviewText(toBuffer(head), { tail: toBuffer(tail), totalSize: file.length, maxPages: 3 });
+
+  assert.deepEqual(result.lines, ['Contract 2026-118', 'Schedule of payments']);
+  assert.ok(!result.excerpt.includes('Signature'));
+
+  const onePage = await extractPdfPreviewText(toBuffer(head), { tail: toBuffer(tail), totalSize: file.length, maxPages: 1 });
+  assert.deepEqual(onePage.lines, ['Contract 2026-118']);
+});
@@ -0,0 +1,86 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { CONFIG } from '../extension/config.js';
+import { readSettings, readStoredSettings, writeSettings, patchSettings, migrateSettings } from '../extension/settings-store.js';
+
+// In-memory chrome.storage area; sync refuses items over 8 KB like the real one
+function storageArea(quotaBytesPerItem = Infinity) {
+  const items = {};
+  return {
+    items,
+    async get(keys) {
+      const list = Array.isArray(keys) ? keys : [keys];
+      return Object.fromEntries(list.filter((key) => key in items).map((key) => [key, structuredClone(items[key])]));
+    },
+    async set(values) {
+      for (const [key, value] of Object.entries(values)) {
+        if (JSON.stringify(value).length + key.length > quotaBytesPerItem) {
+          throw new Error('QUOTA_BYTES_PER_ITEM quota exceeded');
+        }
+      }
+      Object.assign(items, structuredClone(values));
+    }
+  };
+}
+
+let sync;
+let local;
+
+beforeEach(() => {
+  sync = storageArea(8192);
+  local = storageArea();
+  globalThis.chrome = { storage: { sync, local } };
+});
+
+const bigProfiles = Array.from({ length: 12 }, (_, i) => ({ id: `p${i}`, name: `Profile ${i}`, prompt: 'x'.repeat(1000) }));
+
+test('prompt profiles are stored outside the sync item', async () => {
+  await writeSettings({ maxWords: 4, promptProfiles: bigProfiles });
+
+  assert.deepEqual(sync.items[CONFIG.STORAGE.SETTINGS], { maxWords: 4 });
+  assert.equal(local.items[CONFIG.STORAGE.PROMPT_PROFILES].length, 12);
+
+  const settings = await readSettings();
+  assert.equal(settings.maxWords, 4);
+  assert.equal(settings.promptProfiles.length, 12);
+  assert.equal(settings.filenameTemplate, CONFIG.DEFAULTS.filenameTemplate);
+});
+
+test('rules are stored outside the sync item', async () => {
+  const rules = Array.from({ length: 40 }, (_, i) => ({ id: `r${i}`, name: `Rule ${i}`, match: { urlRegex: 'y'.repeat(200) } }));
+  await writeSettings({ maxWords: 4, rules });
+
+  assert.deepEqual(sync.items[CONFIG.STORAGE.SETTINGS], { maxWords: 4 });
+  assert.equal((await readSettings()).rules.length, 40);
+});
+
+test('a refused write rejects with a readable message', async () => {
+  await assert.rejects(
+    writeSettings({ categories: Array.from({ length: 2000 }, (_, i) => `category-${i}`) }),
+    /too large to sync \(8 KB limit\)/
+  );
+});
+
+test('patchSettings keeps everything else', async () => {
+  await writeSettings({ maxWords: 4, autoRename: true, promptProfiles: bigProfiles });
+  await patchSettings((stored) => ({ autoRename: !stored.autoRename }));
+
+  const stored = await readStoredSettings();
+  assert.equal(stored.autoRename, false);
+  assert.equal(stored.maxWords, 4);
+  assert.equal(stored.promptProfiles.length, 12);
+});
+
+test('migrateSettings moves lists out of an old sync item', async () => {
+  const profiles = [{ id: 'a', name: 'A', prompt: 'Name it' }];
+  const rules = [{ id: 'r', name: 'R', action: 'skip' }];
+  sync.items[CONFIG.STORAGE.SETTINGS] = { maxWords: 3, promptProfiles: profiles, rules };
+
+  assert.deepEqual((await readSettings()).promptProfiles, profiles); // Readable before the move too
+  await migrateSettings();
+
+  assert.deepEqual(sync.items[CONFIG.STORAGE.SETTINGS], { maxWords: 3 });
+  assert.deepEqual(local.items[CONFIG.STORAGE.PROMPT_PROFILES], profiles);
+  assert.deepEqual(local.items[CONFIG.STORAGE.RULES], rules);
+});
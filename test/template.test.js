@@ -0,0 +1,98 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { renderTemplate, expandTemplate, SAMPLE_CONTEXT } from '../extension/template.js';
+
+const DATE = new Date(2026, 2, 14, 9, 5, 7);
+const CTX = { ...SAMPLE_CONTEXT, date: DATE };
+const SETTINGS = { maxWords: 5, cleanCaptions: true };
+
+test('renderTemplate: tokens', () => {
+  const cases = [
+    ['{caption}', 'white-cat-sitting-on-wooden'],
+    ['{caption:snake:3}', 'white_cat_sitting'],
+    ['{caption:2:camel}', 'whiteCat'],
+    ['{caption:title:2}', 'White Cat'],
+    ['{date:YYYYMMDD}_{host}_{caption:snake:2}_{seq}', '20260314_example.com_white_cat_042'],
+    ['{date:YYYY-MM-DD_HH-mm-ss}', '2026-03-14_09-05-07'],
+    ['{year}/{month}/{day}', '20260314'], // "/" is not allowed in a filename
+    ['{original}', 'IMG_5482'],
+    ['{original:snake}', 'img_5482'],
+    ['{host:snake}', 'example_com'],
+    ['{mime}', 'image-jpeg'],
+    ['{seq:5}', '00042'],
+    ['{docdate:DD.MM.YYYY} {doc_type} {ref}', '14.03.2026 Invoice INV-4471'],
+    ['{org}_{amount}', 'Acme_129.99-EUR'],
+    ['{person:snake}', 'jane_doe'],
+    ['{TITLE:4}', 'quarterly-report-q1-2026']
+  ];
+
+  for (const [template, expected] of cases) {
+    assert.equal(renderTemplate(template, CTX, SETTINGS), expected, template);
+  }
+});
+
+test('renderTemplate: unknown tokens stay visible', () => {
+  const cases = [
+    ['{nope}', '{nope}'],
+    ['{caption:2}-{colour}', 'white-cat-{colour}'],
+    ['{caption:2}-{nope:snake:3}', 'white-cat-{nopesnake3}'], // ":" is not allowed in a filename
+    ['{}-{caption:1}', '{}-white'] // Not a token at all
+  ];
+
+  for (const [template, expected] of cases) {
+    assert.equal(renderTemplate(template, CTX, SETTINGS), expected, template);
+  }
+});
+
+test('renderTemplate: empty tokens collapse their separators', () => {
+  const empty = { date: DATE, host: 'unknown' };
+  const cases = [
+    ['{category}-{caption}', { ...CTX, category: '' }, 'white-cat-sitting-on-wooden'],
+    ['{caption:2}__{ref}__{seq}', { ...CTX, ref: '', seq: null }, 'white-cat'],
+    ['{org}-{doc_type}-{ref}-{docdate}', { ...empty, docType: 'Receipt' }, 'Receipt'],
+    ['{host}_{original}_{date:YYYY}', empty, '2026'],
+    ['{title}. .{caption:1}', { ...CTX, title: '' }, 'white'],
+    ['{org} - {ref}', { ...empty, org: 'Acme' }, 'Acme'],
+    ['{org}--{ref}', empty, 'download'], // Nothing left
+    ['', CTX, 'white-cat-sitting-on-wooden'], // Empty template = {caption}
+    ['   ', CTX, 'white-cat-sitting-on-wooden']
+  ];
+
+  for (const [template, ctx, expected] of cases) {
+    assert.equal(renderTemplate(template, ctx, SETTINGS), expected, JSON.stringify(template));
+  }
+});
+
+test('renderTemplate: settings', () => {
+  const cases = [
+    ['{caption}', { ...SETTINGS, maxWords: 2 }, 'white-cat'],
+    ['{caption}', { ...SETTINGS, cleanCaptions: false }, 'a-white-cat-sitting-on'],
+    ['{caption:2}', { ...SETTINGS, addDateSuffix: true }, 'white-cat-2026-03-14'],
+    ['{date:YYYY}_{caption:2}', { ...SETTINGS, addDateSuffix: true }, '2026_white-cat'],
+    ['{org}', { ...SETTINGS, transliterate: true }, 'Muller-&-Sohne'],
+    ['{org}', SETTINGS, 'Müller-&-Söhne']
+  ];
+
+  for (const [template, settings, expected] of cases) {
+    assert.equal(renderTemplate(template, { ...CTX, org: 'Müller & Söhne' }, settings), expected, `${template} ${JSON.stringify(settings)}`);
+  }
+});
+
+test('renderTemplate: unsafe characters and reserved names', () => {
+  const cases = [
+    ['{original}', { original: 'a<b>:c"d|e?f*.png' }, 'abcdef'],
+    ['{original}', { original: 'C:\\fakepath\\report.pdf' }, 'report'],
+    ['{original}', { original: 'CON.txt' }, 'CON_'],
+    ['{original}', { original: 'nul .txt' }, 'nul_'],
+    ['{original}', { original: 'evil‮gnp.exe' }, 'evilgnp']
+  ];
+
+  for (const [template, ctx, expected] of cases) {
+    assert.equal(renderTemplate(template, { date: DATE, ...ctx }, SETTINGS), expected, JSON.stringify(ctx.original));
+  }
+});
+
+test('expandTemplate keeps empty values for folder templates', () => {
+  assert.equal(expandTemplate('Invoices/{org}/{year}', { date: DATE, org: '' }, SETTINGS), 'Invoices//2026');
+});
@@ -0,0 +1,89 @@
+/**
+ * Stub AI server for offline testing
+ * Answers the three request formats the extension speaks with canned filenames:
+ *   OpenAI-compatible  POST /v1/chat/completions, GET /v1/models
+ *   Anthropic          POST /v1/messages
+ *   Gemini             POST /v1beta/models/<model>:generateContent
+ *
+ * Usage: node tools/stub-ai-server.mjs [port]   (default 8787)
+ * Then in Settings pick "OpenAI-compatible server" with base URL http://localhost:8787/v1,
+ * or Anthropic/Gemini with base URL http://localhost:8787 and any API key.
+ */
+
+import http from 'node:http';
+
+const port = Number(process.argv[2]) || 8787;
+
+const server = http.createServer(async (req, res) => {
+  // Extension pages call from chrome-extension:// origins
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Headers', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+  if (req.method === 'OPTIONS') return send(res, 204);
+
+  const url = new URL(req.url, `http://localhost:${port}`);
+  const body = req.method === 'POST' ? await readJson(req) : {};
+  console.log(`${req.method} ${url.pathname}`);
+
+  if (req.method === 'GET' && url.pathname === '/v1/models') {
+    return send(res, 200, { data: [{ id: 'stub-vision' }, { id: 'stub-text' }] });
+  }
+
+  if (url.pathname === '/v1/chat/completions') {
+    const text = replyFor(body.messages);
+    return send(res, 200, { choices: [{ message: { role: 'assistant', content: text } }] });
+  }
+
+  if (url.pathname === '/v1/messages') {
+    const text = replyFor(body.messages);
+    return send(res, 200, { content: [{ type: 'text', text }] });
+  }
+
+  if (/^\/v1beta\/models\/[^/]+:generateContent$/.test(url.pathname)) {
+    const messages = (body.contents || []).map((c) => ({
+      content: (c.parts || []).map((p) => (p.inline_data ? { type: 'image' } : { type: 'text', text: p.text }))
+    }));
+    const text = replyFor(messages);
+    return send(res, 200, { candidates: [{ content: { parts: [{ text }] } }] });
+  }
+
+  send(res, 404, { error: { message: `No stub for ${url.pathname}` } });
+});
+
+server.listen(port, () => console.log(`Stub AI server on http://localhost:${port}`));
+
+// Canned answers: connection test, image caption or document name
+function replyFor(messages = []) {
+  const parts = messages.flatMap((m) => (typeof m.content === 'string' ? [{ type: 'text', text: m.content }] : m.content || []));
+  const text = parts.map((p) => p.text || '').join(' ');
+  const hasImage = parts.some((p) => p.type === 'image_url' || p.type === 'image');
+
+  if (/Say OK/i.test(text)) return 'OK';
+  if (/Reply with ONLY a JSON object/i.test(text)) {
+    return JSON.stringify({ doc_type: 'Invoice', organization: 'Acme', date: '2024-03-01', reference: '4711', amount: '99.00 EUR', person: null });
+  }
+  if (hasImage && /Read the visible text/i.test(text)) {
+    return /screenshot/i.test(text) ? 'github pull request review comments' : 'acme invoice 4711 march 2024';
+  }
+  if (hasImage) return 'white cat sitting on wooden floor';
+  return 'stub quarterly report acme corp';
+}
+
+function readJson(req) {
+  return new Promise((resolve) => {
+    let raw = '';
+    req.on('data', (chunk) => { raw += chunk; });
+    req.on('end', () => {
+      try {
+        resolve(JSON.parse(raw || '{}'));
+      } catch {
+        resolve({});
+      }
+    });
+  });
+}
+
+function send(res, status, data) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(data === undefined ? '' : JSON.stringify(data));
+}